@@ -7,53 +7,7 @@
 // Domain & Utility Layer (Single-responsibility helpers)
 // ===============================
 let USER_BRANCH = null;
-
-const CategoryItems = Object.freeze({
-  Chemistry: [
-    'Glucose',
-    'Cholesterol',
-    'Triglycerides',
-    'HDL Chol',
-    'Uric Acid',
-    'Total Protein',
-    'Albumin',
-    'Amylase',
-    'Calcium',
-    'Phosphorus',
-    'SGPT',
-    'SGOT',
-    'Urea',
-    'Creatinine',
-    'TB',
-    'Pathologic Control',
-    'DB',
-  ],
-  Hematology: [
-    'URIT Diluent',
-    'URIT Lyse',
-    'URIT Probe Cleanser',
-    'URIT Detergent',
-    'Anti Sera A',
-    'Anti Sera B',
-    'Rh Typing',
-  ],
-  Immunoserology: [
-    'GP PSA',
-    'TSH',
-    'GP FT4',
-    'GP T4',
-    'HbA1c',
-    'GP T3',
-    'FBS',
-    'CRP',
-    'Trop I',
-    'Thyroid Panel B',
-    'GLU Serology',
-    'HCG Serum (1,2)',
-    'HBsAg (1,2)',
-    'RPR/Anti-TP',
-  ],
-});
+let CURRENT_USER = null;
 
 const DateUtils = (() => {
   function parse(dateStr) {
@@ -71,6 +25,14 @@ const DateUtils = (() => {
     return `${day}/${month}/${year}`;
   }
 
+  function formatDateTime(dateStr) {
+    const d = parse(dateStr);
+    if (!d) return '';
+    const hours = String(d.getHours()).padStart(2, '0');
+    const minutes = String(d.getMinutes()).padStart(2, '0');
+    return `${format(dateStr)} ${hours}:${minutes}`;
+  }
+
   function daysBetween(from, to) {
     if (!from || !to) return null;
     const msPerDay = 24 * 60 * 60 * 1000;
@@ -78,680 +40,8670 @@ const DateUtils = (() => {
     return Math.round(diff / msPerDay);
   }
 
-  function classifyExpiry(expiryDateStr) {
+  function toIsoDate(d) {
+    const day = String(d.getDate()).padStart(2, '0');
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+
+  function today() {
+    return toIsoDate(new Date());
+  }
+
+  // Reads a date as people type it in spreadsheets: DD/MM/YYYY (also with
+  // `-` or `.`), or ISO. Returns an ISO date string, or null if it is not a
+  // real calendar date.
+  function fromDisplay(value) {
+    const text = String(value ?? '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let year;
+    let month;
+    let day;
+    if (match) {
+      [, year, month, day] = match.map(Number);
+    } else {
+      match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+      if (!match) return null;
+      [, day, month, year] = match.map(Number);
+      if (year < 100) year += 2000;
+    }
+    const d = new Date(year, month - 1, day);
+    if (
+      d.getFullYear() !== year ||
+      d.getMonth() !== month - 1 ||
+      d.getDate() !== day
+    ) {
+      return null;
+    }
+    return toIsoDate(d);
+  }
+
+  const DEFAULT_TIERS = [{ code: 'warning', label: 'Warning', days: 90 }];
+
+  function addDays(dateStr, days) {
+    const d = parse(dateStr);
+    if (!d) return null;
+    d.setDate(d.getDate() + Number(days));
+    return d;
+  }
+
+  // Classifies against the earlier of the printed expiry and, for an opened
+  // vial with a known on-board stability, the open date plus that stability.
+  // `source` says which of the two applies and `date` is the one used.
+  // `tiers` are the warning windows, most urgent first; a lot inside any of
+  // them is 'warning', with `tier` naming the one it falls in.
+  function classifyExpiry(
+    expiryDateStr,
+    { dateOpened, stabilityDays, tiers = DEFAULT_TIERS } = {}
+  ) {
     const today = new Date();
-    const expiry = parse(expiryDateStr);
-    if (!expiry) return { label: 'No Expiry', code: 'none', days: null };
+    const printed = parse(expiryDateStr);
+    const openExpiry =
+      dateOpened && stabilityDays > 0 ? addDays(dateOpened, stabilityDays) : null;
+    const useOpen = Boolean(openExpiry && (!printed || openExpiry < printed));
+    const expiry = useOpen ? openExpiry : printed;
+    const source = useOpen ? 'opened' : 'printed';
+    if (!expiry) {
+      return { label: 'No Expiry', code: 'none', days: null, source, date: '' };
+    }
+    const date = toIsoDate(expiry);
+    const suffix = useOpen ? ' (open vial)' : '';
     const daysDiff = daysBetween(today, expiry);
     if (daysDiff < 0) {
-      return { label: 'Expired', code: 'expired', days: daysDiff };
+      return {
+        label: `Expired${suffix}`,
+        code: 'expired',
+        days: daysDiff,
+        source,
+        date,
+      };
     }
-    if (daysDiff <= 90) {
+    const tier = tiers.find((t) => t.days > 0 && daysDiff <= t.days);
+    if (tier) {
       return {
-        label: `Expiring in ${daysDiff} day${daysDiff === 1 ? '' : 's'}`,
+        label: `${tier.label}: expiring in ${daysDiff} day${
+          daysDiff === 1 ? '' : 's'
+        }${suffix}`,
         code: 'warning',
+        tier: tier.code,
         days: daysDiff,
+        source,
+        date,
       };
     }
     return {
-      label: `Valid (${daysDiff} day${daysDiff === 1 ? '' : 's'} left)`,
+      label: `Valid (${daysDiff} day${daysDiff === 1 ? '' : 's'} left)${suffix}`,
       code: 'good',
       days: daysDiff,
+      source,
+      date,
     };
   }
 
-  return { parse, format, classifyExpiry };
+  return {
+    parse,
+    format,
+    formatDateTime,
+    toIsoDate,
+    fromDisplay,
+    today,
+    addDays,
+    classifyExpiry,
+  };
 })();
 
-// ===============================
-// Persistence Layer
-// ===============================
+// Parser for GS1-128 / GS1 DataMatrix scanner input. Accepts the raw
+// keystroke string (with an optional symbology prefix and FNC1 as the ASCII
+// group separator) as well as the bracketed human-readable form.
+const GS1 = (() => {
+  const GROUP_SEPARATOR = '\x1d';
 
-const InventoryRepository = (() => {
-  const TABLE_NAME = 'inventory_items';
-  const CUSTOM_ITEMS_TABLE = 'inventory_custom_items';
+  // Application identifiers we may meet on reagent packaging. `length` is a
+  // fixed data length, `max` a variable one terminated by FNC1.
+  const AIS = Object.freeze({
+    '00': { name: 'sscc', length: 18 },
+    '01': { name: 'gtin', length: 14 },
+    '02': { name: 'contentGtin', length: 14 },
+    '10': { name: 'lotNumber', max: 20 },
+    '11': { name: 'productionDate', length: 6 },
+    '13': { name: 'packagingDate', length: 6 },
+    '15': { name: 'bestBefore', length: 6 },
+    '17': { name: 'expiryDate', length: 6 },
+    '20': { name: 'variant', length: 2 },
+    '21': { name: 'serial', max: 20 },
+    '30': { name: 'count', max: 8 },
+    '37': { name: 'units', max: 8 },
+    '240': { name: 'additionalId', max: 30 },
+    '241': { name: 'customerPartNo', max: 30 },
+    '250': { name: 'secondarySerial', max: 30 },
+    '400': { name: 'orderNo', max: 30 },
+    '710': { name: 'nhrnDe', max: 20 },
+    '711': { name: 'nhrnFr', max: 20 },
+    '712': { name: 'nhrnEs', max: 20 },
+    '714': { name: 'nhrnPt', max: 20 },
+  });
 
-  function getClient() {
-    const client = window.supabaseClient;
-    if (!client) {
-      console.error('Supabase client not found on window.supabaseClient');
-    }
-    return client;
+  const DATE_AIS = ['11', '13', '15', '17'];
+
+  // Scanners disagree on how FNC1 reaches a text field; fold the usual
+  // stand-ins into the real separator.
+  function normalize(raw) {
+    return String(raw || '')
+      .replace(/^\](C1|d2|Q3|e0)/, '')
+      .replace(/\u241d|<GS>|\[GS\]|\{GS\}/gi, GROUP_SEPARATOR)
+      .replace(/[\r\n]+$/, '')
+      .trim();
   }
 
-  async function loadCustomItems(category) {
-    const supabase = getClient();
-    if (!supabase || !category) return [];
+  // YYMMDD; a day of 00 means the last day of that month.
+  function parseDate(value) {
+    if (!/^\d{6}$/.test(value)) return '';
+    const year = 2000 + Number(value.slice(0, 2));
+    const month = Number(value.slice(2, 4));
+    let day = Number(value.slice(4, 6));
+    if (month < 1 || month > 12) return '';
+    if (day === 0) day = new Date(year, month, 0).getDate();
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
 
-    try {
-      const { data, error } = await supabase
-        .from(CUSTOM_ITEMS_TABLE)
-        .select('item_name')
-        .eq('category', category)
-        .order('item_name', { ascending: true });
+  function lookup(data, index) {
+    for (const len of [2, 3, 4]) {
+      const ai = data.slice(index, index + len);
+      if (AIS[ai]) return { ai, def: AIS[ai] };
+    }
+    // 31nn-36nn: trade measures, always six digits.
+    const measure = data.slice(index, index + 4);
+    if (/^3[1-6]\d\d$/.test(measure)) {
+      return { ai: measure, def: { name: `measure${measure}`, length: 6 } };
+    }
+    return null;
+  }
 
-      if (error) {
-        console.error('Failed to load custom items', error);
-        return [];
+  function parseBracketed(data, fields) {
+    const re = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    while ((match = re.exec(data))) {
+      fields[match[1]] = match[2].replace(GROUP_SEPARATOR, '').trim();
+    }
+  }
+
+  function parseRaw(data, fields, errors) {
+    let index = 0;
+    while (index < data.length) {
+      if (data[index] === GROUP_SEPARATOR) {
+        index += 1;
+        continue;
       }
+      const found = lookup(data, index);
+      if (!found) {
+        errors.push(`Unknown application identifier at "${data.slice(index, index + 4)}"`);
+        return;
+      }
+      index += found.ai.length;
+      let value;
+      if (found.def.length) {
+        value = data.slice(index, index + found.def.length);
+        index += found.def.length;
+      } else {
+        const end = data.indexOf(GROUP_SEPARATOR, index);
+        const stop = end === -1 ? data.length : end;
+        value = data.slice(index, Math.min(stop, index + found.def.max));
+        index += value.length;
+      }
+      fields[found.ai] = value;
+    }
+  }
 
-      return (data || []).map((r) => r.item_name).filter(Boolean);
-    } catch (err) {
-      console.error('Unexpected error loading custom items', err);
-      return [];
+  function parse(raw) {
+    const data = normalize(raw);
+    const fields = {};
+    const errors = [];
+
+    if (!data) {
+      errors.push('Nothing scanned');
+    } else if (data.startsWith('(')) {
+      parseBracketed(data, fields);
+    } else if (/^\d{8}$|^\d{12,14}$/.test(data)) {
+      // Plain EAN/UPC: the barcode is the GTIN itself.
+      fields['01'] = data;
+    } else {
+      parseRaw(data, fields, errors);
+    }
+
+    const result = { ais: fields, errors };
+    Object.entries(fields).forEach(([ai, value]) => {
+      const def = AIS[ai];
+      if (!def) return;
+      result[def.name] = DATE_AIS.includes(ai) ? parseDate(value) : value;
+    });
+    if (result.gtin) result.gtin = normalizeGtin(result.gtin);
+    if (fields['17'] && !result.expiryDate) {
+      errors.push(`Invalid expiry date "${fields['17']}"`);
     }
+    return result;
   }
 
-  async function saveCustomItem(category, itemName) {
-    const supabase = getClient();
-    if (!supabase || !category || !itemName) return;
+  function normalizeGtin(gtin) {
+    const digits = String(gtin || '').replace(/\D/g, '');
+    return digits ? digits.padStart(14, '0') : '';
+  }
 
-    try {
-      const { error } = await supabase.from(CUSTOM_ITEMS_TABLE).insert({
-        category,
-        item_name: itemName,
-      });
+  return { GROUP_SEPARATOR, parse, normalizeGtin };
+})();
 
-      // Ignore duplicates (because of unique index)
-      if (
-        error &&
-        !String(error.message || '').toLowerCase().includes('duplicate')
-      ) {
-        console.error('Failed to save custom item', error);
+// Reagent catalog shared by all branches: categories and items with their
+// manufacturer attributes and default reorder settings. Reorder levels set
+// by the current branch override those defaults.
+const Catalog = (() => {
+  // Applied when neither the branch nor the catalog sets a value; the
+  // minimum matches the old hard-coded low-stock rule.
+  const DEFAULT_MIN_LEVEL = 2;
+  const DEFAULT_LEAD_TIME_DAYS = 30;
+
+  // Only used to seed an empty catalog on first run.
+  const SEED_ITEMS = Object.freeze({
+    Chemistry: [
+      'Glucose',
+      'Cholesterol',
+      'Triglycerides',
+      'HDL Chol',
+      'Uric Acid',
+      'Total Protein',
+      'Albumin',
+      'Amylase',
+      'Calcium',
+      'Phosphorus',
+      'SGPT',
+      'SGOT',
+      'Urea',
+      'Creatinine',
+      'TB',
+      'Pathologic Control',
+      'DB',
+    ],
+    Hematology: [
+      'URIT Diluent',
+      'URIT Lyse',
+      'URIT Probe Cleanser',
+      'URIT Detergent',
+      'Anti Sera A',
+      'Anti Sera B',
+      'Rh Typing',
+    ],
+    Immunoserology: [
+      'GP PSA',
+      'TSH',
+      'GP FT4',
+      'GP T4',
+      'HbA1c',
+      'GP T3',
+      'FBS',
+      'CRP',
+      'Trop I',
+      'Thyroid Panel B',
+      'GLU Serology',
+      'HCG Serum (1,2)',
+      'HBsAg (1,2)',
+      'RPR/Anti-TP',
+    ],
+  });
+
+  let categoryList = [];
+  let entries = [];
+  let byKey = new Map();
+  let reorderLevels = new Map();
+
+  function key(category, itemName) {
+    return `${category}::${itemName}`;
+  }
+
+  function setCatalog({ categories: cats = [], items: list = [] } = {}) {
+    entries = list.slice();
+    byKey = new Map(entries.map((e) => [key(e.category, e.itemName), e]));
+    const names = new Map(cats.map((c) => [c.name, c]));
+    entries.forEach((e) => {
+      if (!names.has(e.category)) {
+        names.set(e.category, { name: e.category, retired: false });
       }
-    } catch (err) {
-      console.error('Unexpected error saving custom item', err);
-    }
+    });
+    categoryList = [...names.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
   }
 
-  function mapRowToItem(row) {
-    if (!row) return null;
-    return {
-      id: row.id,
-      category: row.category || '',
-      itemName: row.item_name,
-      brand: row.brand || '',
-      contentVolume: row.content_volume || '',
-      lotNumber: row.lot_number || '',
-      dateReceived: row.date_received || '',
-      expiryDate: row.expiry_date || '',
-      dateOpened: row.date_opened || '',
-      status: row.status || 'Unopened',
-      quantity: Number(row.quantity ?? 0),
-      remarks: row.remarks || '',
-    };
+  function categories({ includeRetired = false } = {}) {
+    return categoryList
+      .filter((c) => includeRetired || !c.retired)
+      .map((c) => c.name);
   }
 
-  function mapItemToRow(item) {
-    return {
-      id: item.id,
-      category: item.category || null,
-      item_name: item.itemName,
-      brand: item.brand || null,
-      content_volume: item.contentVolume || null,
-      lot_number: item.lotNumber || null,
-      date_received: item.dateReceived || null,
-      expiry_date: item.expiryDate || null,
-      date_opened: item.dateOpened || null,
-      status: item.status || 'Unopened',
-      quantity: Number(item.quantity ?? 0),
-      remarks: item.remarks || null,
-      branch: USER_BRANCH,
-    };
+  function isCategoryRetired(name) {
+    const found = categoryList.find((c) => c.name === name);
+    return Boolean(found && found.retired);
   }
 
-  async function load() {
-    const supabase = getClient();
-    if (!supabase) return [];
-    try {
-      const { data, error } = await supabase
-  .from(TABLE_NAME)
-  .select('*')
-  .eq('branch', USER_BRANCH)
-  .order('expiry_date', { ascending: true });
+  function items(category, { includeRetired = false } = {}) {
+    return entries
+      .filter(
+        (e) => e.category === category && (includeRetired || !e.retired)
+      )
+      .sort((a, b) => a.itemName.localeCompare(b.itemName));
+  }
 
-      if (error) {
-        console.error('Failed to load inventory from Supabase', error);
-        return [];
-      }
-      return (data || []).map(mapRowToItem);
-    } catch (err) {
-      console.error('Unexpected error loading inventory from Supabase', err);
-      return [];
-    }
+  function get(category, itemName) {
+    return byKey.get(key(category, itemName)) || null;
   }
 
-  async function upsert(item) {
-    const supabase = getClient();
-    if (!supabase) return [];
-    try {
-      const row = mapItemToRow(item);
-      const { error } = await supabase.from(TABLE_NAME).upsert(row);
-      if (error) {
-        console.error('Failed to upsert inventory item in Supabase', error);
-      }
-    } catch (err) {
-      console.error('Unexpected error upserting inventory item in Supabase', err);
-    }
-    return load();
+  function getById(id) {
+    return entries.find((e) => e.id === id) || null;
   }
 
-  async function remove(id) {
-    const supabase = getClient();
-    if (!supabase) return [];
-    try {
-      const { error } = await supabase.from(TABLE_NAME).delete().eq('id', id);
-      if (error) {
-        console.error('Failed to delete inventory item in Supabase', error);
-      }
-    } catch (err) {
-      console.error('Unexpected error deleting inventory item in Supabase', err);
+  // Case-insensitive lookup for names typed outside the app. Follows merges
+  // so an old name lands on the entry it was folded into.
+  function resolve(category, itemName) {
+    const wantedCategory = String(category || '').trim().toLowerCase();
+    const wantedItem = String(itemName || '').trim().toLowerCase();
+    const matchedCategory =
+      categoryList.find((c) => c.name.toLowerCase() === wantedCategory) ||
+      null;
+    let entry =
+      entries.find(
+        (e) =>
+          e.category.toLowerCase() === wantedCategory &&
+          e.itemName.toLowerCase() === wantedItem
+      ) || null;
+    while (entry && entry.mergedInto) {
+      entry = getById(entry.mergedInto);
     }
-    return load();
+    return {
+      category: matchedCategory ? matchedCategory.name : null,
+      entry,
+    };
   }
 
-  async function initializeWithSampleDataIfEmpty() {
-    const items = await load();
-    return items;
+  function stabilityDays(category, itemName) {
+    const entry = get(category, itemName);
+    return entry ? Number(entry.stabilityDays || 0) : 0;
   }
 
-  return {
-    load,
-    upsert,
-    remove,
-    initializeWithSampleDataIfEmpty,
-    loadCustomItems,
-    saveCustomItem,
-  };
-})();
+  function findByGtin(gtin) {
+    const wanted = GS1.normalizeGtin(gtin);
+    if (!wanted) return null;
+    return (
+      entries.find((e) => e.gtin && GS1.normalizeGtin(e.gtin) === wanted) ||
+      null
+    );
+  }
 
-// ===============================
-// Service Layer (business rules)
-// ===============================
+  function setReorderLevels(list) {
+    reorderLevels = new Map(
+      (list || []).map((r) => [key(r.category, r.itemName), r])
+    );
+  }
 
-const InventoryService = (() => {
-  function createItem(payload) {
+  function branchLevel(category, itemName) {
+    return reorderLevels.get(key(category, itemName)) || null;
+  }
+
+  // Branch override, then catalog default, then the global default.
+  function reorderLevel(category, itemName) {
+    const level = branchLevel(category, itemName);
+    const entry = get(category, itemName);
+    const pick = (field, fallback) => {
+      if (level && level[field] != null) return Number(level[field]);
+      if (entry && entry[field] != null) return Number(entry[field]);
+      return fallback;
+    };
+    return {
+      minLevel: pick('minLevel', DEFAULT_MIN_LEVEL),
+      reorderQty: pick('reorderQty', 0),
+      leadTimeDays: pick('leadTimeDays', DEFAULT_LEAD_TIME_DAYS),
+      configured: Boolean(
+        level &&
+          (level.minLevel != null ||
+            level.reorderQty != null ||
+            level.leadTimeDays != null)
+      ),
+    };
+  }
+
+  function numberOrNull(value) {
+    if (value === '' || value == null) return null;
+    const n = Number(value);
+    return Number.isNaN(n) ? null : n;
+  }
+
+  function createEntry(payload) {
     return {
       id:
         payload.id ||
-        `itm-${Date.now()}-${Math.random().toString(16).slice(2)}`,
-      category: payload.category,
-      itemName: payload.itemName,
-      brand: payload.brand || '',
-      contentVolume: payload.contentVolume || '',
-      lotNumber: payload.lotNumber || '',
-      dateReceived: payload.dateReceived || '',
-      expiryDate: payload.expiryDate || '',
-      dateOpened: payload.dateOpened || '',
-      status: payload.status || 'Unopened',
-      quantity: Number(payload.quantity ?? 0),
-      remarks: payload.remarks || '',
+        `cat-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      category: (payload.category || '').trim(),
+      itemName: (payload.itemName || '').trim(),
+      defaultBrand: (payload.defaultBrand || '').trim(),
+      unit: (payload.unit || '').trim(),
+      storageTemp: (payload.storageTemp || '').trim(),
+      gtin: payload.gtin ? GS1.normalizeGtin(payload.gtin) : '',
+      stabilityDays: numberOrNull(payload.stabilityDays),
+      minLevel: numberOrNull(payload.minLevel),
+      reorderQty: numberOrNull(payload.reorderQty),
+      leadTimeDays: numberOrNull(payload.leadTimeDays),
+      retired: Boolean(payload.retired),
+      mergedInto: payload.mergedInto || '',
     };
   }
 
-  function validate(item) {
+  function validateEntry(entry) {
     const errors = [];
-    if (!item.category) errors.push('Category is required');
-    if (!item.itemName) errors.push('Item Name is required');
-    if (!item.expiryDate) errors.push('Expiry Date is required');
-    if (item.quantity == null || Number.isNaN(item.quantity)) {
-      errors.push('Quantity must be a number');
+    if (!entry.category) errors.push('Category is required');
+    if (!entry.itemName) errors.push('Item Name is required');
+    const clash = get(entry.category, entry.itemName);
+    if (clash && clash.id !== entry.id) {
+      errors.push(`${entry.itemName} already exists in ${entry.category}`);
     }
-    if (item.quantity < 0) {
-      errors.push('Quantity cannot be negative');
+    if (entry.gtin) {
+      // GTIN-8, -12 and -13 codes are padded to 14 digits (GS1.normalizeGtin).
+      if (GS1.normalizeGtin(entry.gtin).length !== 14) {
+        errors.push('GTIN must have 14 digits (shorter codes are padded with leading zeros)');
+      }
+      const owner = findByGtin(entry.gtin);
+      if (owner && owner.id !== entry.id) {
+        errors.push(`GTIN is already assigned to ${owner.itemName}`);
+      }
     }
+    ['stabilityDays', 'minLevel', 'reorderQty', 'leadTimeDays'].forEach(
+      (field) => {
+        if (entry[field] != null && entry[field] < 0) {
+          errors.push(`${field} cannot be negative`);
+        }
+      }
+    );
     return errors;
   }
 
-  function filter(items, filters) {
-    return items.filter((i) => {
-      if (filters.category && i.category !== filters.category) return false;
-      if (filters.status && i.status !== filters.status) return false;
-
-      if (filters.search) {
-        const q = filters.search.toLowerCase();
-        const haystack = [
-          i.category,
-          i.itemName,
-          i.brand,
-          i.contentVolume,
-          i.lotNumber,
-          i.remarks,
-        ]
-          .filter(Boolean)
-          .join(' ')
-          .toLowerCase();
-        if (!haystack.includes(q)) return false;
+  // First-run catalog: the built-in list plus any custom items that were
+  // added through the old "Other" option.
+  function seed(customItems = []) {
+    const list = [];
+    Object.entries(SEED_ITEMS).forEach(([category, names]) => {
+      names.forEach((itemName) => list.push(createEntry({ category, itemName })));
+    });
+    customItems.forEach(({ category, itemName }) => {
+      if (!list.some((e) => e.category === category && e.itemName === itemName)) {
+        list.push(createEntry({ category, itemName }));
       }
+    });
+    const cats = [...new Set(list.map((e) => e.category))].map((name) => ({
+      name,
+      retired: false,
+    }));
+    return { categories: cats, items: list };
+  }
 
-      const expInfo = DateUtils.classifyExpiry(i.expiryDate);
-      if (filters.expiry === 'expired' && expInfo.code !== 'expired')
-        return false;
-      if (filters.expiry === '3months' && expInfo.code !== 'warning')
-        return false;
-      if (filters.expiry === 'good' && expInfo.code !== 'good') return false;
+  return {
+    setCatalog,
+    categories,
+    isCategoryRetired,
+    items,
+    get,
+    getById,
+    resolve,
+    stabilityDays,
+    findByGtin,
+    setReorderLevels,
+    branchLevel,
+    reorderLevel,
+    createEntry,
+    validateEntry,
+    seed,
+  };
+})();
 
-      if (filters.lowStock === 'low' && !(i.quantity <= 2)) return false;
+// How many days before expiry a lot starts to be flagged, in up to three
+// tiers. A branch sets a default and can override it per category and per
+// item; each tier is taken from the most specific rule that sets it. Blank
+// inherits, 0 switches the tier off.
+const ExpiryTiers = (() => {
+  const TIERS = Object.freeze([
+    { code: 'critical', label: 'Critical' },
+    { code: 'warning', label: 'Warning' },
+    { code: 'watch', label: 'Watch' },
+  ]);
 
-      return true;
-    });
+  // The single 90-day window the app used before tiers were configurable.
+  const DEFAULT_DAYS = Object.freeze({ critical: 0, warning: 90, watch: 0 });
+
+  let rules = new Map();
+
+  function key(category, itemName) {
+    return `${category || ''}::${itemName || ''}`;
   }
 
-  function sort(items, sortField, direction) {
-    if (!sortField) return items.slice();
-    const dir = direction === 'desc' ? -1 : 1;
-    const sorted = items.slice().sort((a, b) => {
-      let av = a[sortField];
-      let bv = b[sortField];
+  function byKey(list) {
+    return new Map((list || []).map((r) => [key(r.category, r.itemName), r]));
+  }
 
-      if (sortField === 'quantity') {
-        av = Number(av ?? 0);
-        bv = Number(bv ?? 0);
-      }
+  function setRules(list) {
+    rules = byKey(list);
+  }
 
-      if (sortField.toLowerCase().includes('date')) {
-        const ad = DateUtils.parse(av);
-        const bd = DateUtils.parse(bv);
-        const at = ad ? ad.getTime() : 0;
-        const bt = bd ? bd.getTime() : 0;
-        return at === bt ? 0 : at > bt ? dir : -dir;
-      }
+  function all() {
+    return [...rules.values()];
+  }
 
-      if (typeof av === 'string') av = av.toLowerCase();
-      if (typeof bv === 'string') bv = bv.toLowerCase();
+  function rule(category, itemName) {
+    return rules.get(key(category, itemName)) || null;
+  }
 
-      if (av === bv) return 0;
-      return av > bv ? dir : -dir;
+  // Item rule, then category rule, then branch default, then DEFAULT_DAYS,
+  // looked up in `ruleMap` (as built by `byKey`).
+  function resolve(ruleMap, category, itemName) {
+    const find = (c, i) => ruleMap.get(key(c, i)) || null;
+    const chain = [
+      category && itemName ? find(category, itemName) : null,
+      category ? find(category, '') : null,
+      find('', ''),
+    ];
+    return TIERS.map(({ code, label }) => {
+      const found = chain.find((r) => r && r[code] != null);
+      return { code, label, days: found ? Number(found[code]) : DEFAULT_DAYS[code] };
     });
-    return sorted;
   }
 
-  function computeAlerts(items) {
-    let expSoon = 0;
-    let expired = 0;
-    let outOfStock = 0;
-    let zeroQty = 0;
+  // Returned most urgent first, as `DateUtils.classifyExpiry` expects.
+  function forItem(category, itemName) {
+    return resolve(rules, category, itemName);
+  }
 
-    items.forEach((i) => {
-      const expInfo = DateUtils.classifyExpiry(i.expiryDate);
-      if (expInfo.code === 'expired') expired += 1;
-      if (expInfo.code === 'warning') expSoon += 1;
-      if (i.status === 'Out of Stock') outOfStock += 1;
-      if (i.quantity === 0) zeroQty += 1;
+  // Tiers switched on anywhere in the branch, for the filter and alerts.
+  function active() {
+    const defaults = forItem('', '');
+    return TIERS.filter(
+      ({ code }, n) =>
+        defaults[n].days > 0 || all().some((r) => Number(r[code]) > 0)
+    );
+  }
+
+  function label(code) {
+    const found = TIERS.find((t) => t.code === code);
+    return found ? found.label : code;
+  }
+
+  // Checks `r` as it would apply, with the tiers it inherits from the
+  // other rules in `list` (the rules being saved with it; by default the
+  // saved ones).
+  function validateRule(r, list = all()) {
+    const errors = [];
+    const name = r.itemName || r.category || 'Branch default';
+    TIERS.forEach(({ code, label: tierLabel }) => {
+      const days = r[code];
+      if (days != null && !(Number.isInteger(days) && days >= 0)) {
+        errors.push(`${name}: ${tierLabel} must be a whole number of days`);
+      }
     });
+    if (errors.length) return errors;
 
-    return { expSoon, expired, outOfStock, zeroQty };
+    const ruleMap = byKey(list);
+    ruleMap.set(key(r.category, r.itemName), r);
+    const set = resolve(ruleMap, r.category, r.itemName).filter((t) => t.days > 0);
+    if (set.some((t, n) => n > 0 && t.days <= set[n - 1].days)) {
+      errors.push(
+        `${name}: each tier must start earlier than the one before it (Critical < Warning < Watch); ` +
+          `with the tiers it inherits it would be ${set.map((t) => `${t.label} ${t.days}`).join(', ')}`
+      );
+    }
+    return errors;
   }
 
-  return { createItem, validate, filter, sort, computeAlerts };
+  return {
+    TIERS,
+    DEFAULT_DAYS,
+    setRules,
+    all,
+    rule,
+    forItem,
+    active,
+    label,
+    validateRule,
+  };
 })();
 
-// ===============================
-// UI Layer
-// ===============================
+// Every change to a lot's stock is an append-only movement. `quantity` on a
+// movement is the signed delta; `direction` is applied to the amount the
+// user enters (adjust takes a counted quantity instead).
+const MovementTypes = Object.freeze({
+  receive: { label: 'Receive', direction: 1 },
+  consume: { label: 'Use / Consume', direction: -1 },
+  adjust: { label: 'Adjust (stock count)', direction: 0 },
+  discard: { label: 'Discard', direction: -1 },
+  transfer: { label: 'Transfer out', direction: -1 },
+});
 
-const UI = (() => {
-  let state = {
-    items: [],
-    filters: {
-      search: '',
-      category: '',
-      status: '',
-      expiry: '',
-      lowStock: '',
-    },
-    sortField: 'expiryDate',
-    sortDirection: 'asc',
-  };
+// Why stock went into the waste register (see the Discard action).
+const WasteReasons = Object.freeze({
+  expired: 'Expired',
+  contaminated: 'Contaminated',
+  spilled: 'Spilled',
+  qc_failure: 'QC failure',
+});
 
-  // DOM references
-  const els = {};
+// What a notification in the bell menu is about.
+const NotificationKinds = Object.freeze({
+  expiry: 'Expiry',
+  reorder: 'Below reorder point',
+  zero: 'Out of stock',
+  edited: 'Edited',
+  deleted: 'Deleted',
+});
 
-  function cacheDom() {
-    els.category = document.getElementById('category');
-    els.itemName = document.getElementById('itemName');
-    els.customItemName = document.getElementById('customItemName');
-    els.inventoryForm = document.getElementById('inventoryForm');
-    els.submitBtn = document.getElementById('submitBtn');
-    els.tableBody = document.getElementById('inventoryTableBody');
-    els.searchInput = document.getElementById('searchInput');
-    els.filterCategory = document.getElementById('filterCategory');
-    els.filterStatus = document.getElementById('filterStatus');
-    els.filterExpiry = document.getElementById('filterExpiry');
-    els.filterLowStock = document.getElementById('filterLowStock');
-    els.tableHead = document.querySelector('#inventoryTable thead');
-    els.alertSummary = document.getElementById('alertSummary');
-    els.exportCsvBtn = document.getElementById('exportCsvBtn');
-    els.yearSpan = document.getElementById('yearSpan');
-    els.kpiExpSoon = document.getElementById('kpiExpSoon');
-    els.kpiOutOrZero = document.getElementById('kpiOutOrZero');
-    els.kpiTotal = document.getElementById('kpiTotal');
-    els.fabAddItem = document.getElementById('fabAddItem');
-    els.topSearchInput = document.getElementById('topSearchInput');
+// How often a user's expiry and stock digest email goes out.
+const DigestFrequencies = Object.freeze({
+  off: 'Off',
+  daily: 'Daily',
+  weekly: 'Weekly',
+});
 
-    // Edit modal elements
-    els.editModalBackdrop = document.getElementById('editModalBackdrop');
-    els.editModalCloseBtn = document.getElementById('editModalCloseBtn');
-    els.editForm = document.getElementById('editForm');
-    els.editCancelBtn = document.getElementById('editCancelBtn');
+const RequisitionStatuses = Object.freeze({
+  draft: 'Draft',
+  submitted: 'Submitted',
+  approved: 'Approved',
+  received: 'Received',
+});
 
-    // Add modal elements
-    els.addModalBackdrop = document.getElementById('addModalBackdrop');
-    els.addModalCloseBtn = document.getElementById('addModalCloseBtn');
-    els.addCancelBtn = document.getElementById('addCancelBtn');
-  }
+const TransferStatuses = Object.freeze({
+  in_transit: 'In transit',
+  received: 'Received',
+  cancelled: 'Cancelled',
+});
 
-  function initCategoryItemOptions() {
-    if (!els.category || !els.itemName) return;
+const Roles = Object.freeze({
+  admin: 'Administrator',
+  supervisor: 'Supervisor',
+  technician: 'Technician',
+  viewer: 'Viewer',
+});
 
-    async function populate() {
-      const category = els.category.value;
-      const select = els.itemName;
+// What each role may do. The UI hides what is not allowed and the
+// repository refuses it, so both ask `can`. The role is the one on
+// CURRENT_USER, read from the user's profile at sign-in.
+const Permissions = (() => {
+  // Action keys and how they read in a refusal message.
+  const ACTIONS = Object.freeze({
+    'item.create': 'add inventory items',
+    'item.edit': 'edit inventory items',
+    'item.delete': 'delete inventory items',
+    'item.import': 'import inventory',
+    'stock.move': 'record stock movements',
+    'stock.adjust': 'change quantities directly',
+    'delivery.receive': 'receive deliveries',
+    'transfer.manage': 'send or receive transfers',
+    'requisition.edit': 'prepare requisitions',
+    'requisition.approve': 'approve requisitions',
+    'catalog.manage': 'manage the catalog',
+    'item.purge': 'permanently purge deleted items',
+    'settings.manage': 'change settings',
+  });
 
-      // Reset dropdown
-      select.innerHTML = '<option value="">Select item</option>';
+  const TECHNICIAN = [
+    'item.create',
+    'item.edit',
+    'stock.move',
+    'delivery.receive',
+    'transfer.manage',
+    'requisition.edit',
+  ];
+  const SUPERVISOR = [
+    ...TECHNICIAN,
+    'item.delete',
+    'item.import',
+    'stock.adjust',
+    'requisition.approve',
+  ];
+  const GRANTS = Object.freeze({
+    admin: [...SUPERVISOR, 'catalog.manage', 'item.purge', 'settings.manage'],
+    supervisor: SUPERVISOR,
+    technician: TECHNICIAN,
+    viewer: [],
+  });
 
-      // Reset custom item field
-      if (els.customItemName) {
-        els.customItemName.value = '';
-        els.customItemName.hidden = true;
-        els.customItemName.required = false;
-      }
+  // Users without a profile only get to look. Accounts that predate roles
+  // were given one (supabase/migrations/*_backfill_profiles.sql).
+  const DEFAULT_ROLE = 'viewer';
 
-      if (!category) return;
+  function normalizeRole(role) {
+    const key = String(role || '').trim().toLowerCase();
+    return Roles[key] ? key : DEFAULT_ROLE;
+  }
 
-      // 1) Add default items
-      if (CategoryItems[category]) {
-        CategoryItems[category].forEach((name) => {
-          const opt = document.createElement('option');
-          opt.value = name;
-          opt.textContent = name;
-          select.appendChild(opt);
-        });
-      }
+  function currentRole() {
+    return normalizeRole(CURRENT_USER && CURRENT_USER.role);
+  }
+
+  function can(action, role = currentRole()) {
+    return GRANTS[normalizeRole(role)].includes(action);
+  }
+
+  function deniedMessage(action) {
+    return (
+      `Your role (${Roles[currentRole()]}) does not allow you to ` +
+      `${ACTIONS[action] || action}. Ask an administrator if you need access.`
+    );
+  }
+
+  return { ACTIONS, DEFAULT_ROLE, normalizeRole, currentRole, can, deniedMessage };
+})();
 
-      // 2) Load custom items from Supabase
-      const customItems = await InventoryRepository.loadCustomItems(category);
+const StockLedger = (() => {
+  function balance(movements) {
+    return movements.reduce((sum, m) => sum + Number(m.quantity || 0), 0);
+  }
+
+  function groupByItem(movements) {
+    const byItem = new Map();
+    movements.forEach((m) => {
+      if (!byItem.has(m.itemId)) byItem.set(m.itemId, []);
+      byItem.get(m.itemId).push(m);
+    });
+    return byItem;
+  }
 
-      customItems.forEach((name) => {
-        const existsInDefault = (CategoryItems[category] || []).includes(name);
-        if (existsInDefault) return;
+  // Lots without any movement yet (created before the ledger existed) keep
+  // their stored quantity until their first movement records it. A lot
+  // emptied by a discard reads as Discarded, so it stops counting as
+  // expired or out of stock.
+  function apply(items, movements) {
+    const byItem = groupByItem(movements);
+    return items.map((item) => {
+      const list = byItem.get(item.id);
+      if (!list || list.length === 0) return item;
+      const quantity = balance(list);
+      const last = list.reduce((a, b) =>
+        String(b.createdAt) >= String(a.createdAt) ? b : a
+      );
+      return {
+        ...item,
+        quantity,
+        status: quantity === 0 && last.type === 'discard' ? 'Discarded' : item.status,
+      };
+    });
+  }
 
-        const opt = document.createElement('option');
-        opt.value = name;
-        opt.textContent = `${name} (Custom)`;
-        select.appendChild(opt);
+  function withRunningBalance(movements) {
+    let running = 0;
+    return movements
+      .slice()
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .map((m) => {
+        running += Number(m.quantity || 0);
+        return { ...m, balanceAfter: running };
       });
+  }
 
-      // 3) Add "Other"
-      const otherOpt = document.createElement('option');
-      otherOpt.value = '__other__';
-      otherOpt.textContent = 'Other';
-      select.appendChild(otherOpt);
-    }
+  function openingBalance(item) {
+    return {
+      id: `mov-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      itemId: item.id,
+      type: 'adjust',
+      quantity: Number(item.quantity ?? 0),
+      note: 'Opening balance',
+      createdAt: new Date().toISOString(),
+    };
+  }
 
-    // Category change
-    els.category.addEventListener('change', populate);
+  return { balance, apply, withRunningBalance, openingBalance };
+})();
 
-    // Item change -> show/hide textbox
-    els.itemName.addEventListener('change', () => {
-      if (!els.customItemName) return;
+const AuditLog = (() => {
+  const ACTION_LABELS = Object.freeze({
+    create: 'Created',
+    update: 'Edited',
+    delete: 'Deleted',
+    restore: 'Restored',
+    purge: 'Purged',
+  });
 
-      if (els.itemName.value === '__other__') {
-        els.customItemName.hidden = false;
-        els.customItemName.required = true;
-        els.customItemName.focus();
-      } else {
-        els.customItemName.hidden = true;
-        els.customItemName.required = false;
-        els.customItemName.value = '';
+  function normalize(value) {
+    return value === undefined || value === '' ? null : value;
+  }
+
+  // Field-level before/after of two mapped rows; either side may be null
+  // for creates and deletes.
+  function diff(before, after) {
+    const changes = {};
+    const keys = new Set([
+      ...Object.keys(before || {}),
+      ...Object.keys(after || {}),
+    ]);
+    keys.forEach((key) => {
+      const from = normalize(before ? before[key] : null);
+      const to = normalize(after ? after[key] : null);
+      if (String(from) !== String(to)) {
+        changes[key] = { before: from, after: to };
       }
     });
+    return changes;
+  }
 
-    populate();
+  function filter(entries, filters) {
+    return entries.filter((e) => {
+      if (filters.itemId && e.itemId !== filters.itemId) return false;
+      if (filters.userId && e.userId !== filters.userId) return false;
+      return true;
+    });
   }
 
-  // ✅ UPDATED FUNCTION (CORRECT VERSION)
-  async function handleFormSubmit(e) {
-    e.preventDefault();
+  function describeChanges(entry) {
+    return Object.entries(entry.changes || {})
+      .filter(([key]) => !['id', 'branch', 'updated_at'].includes(key))
+      .map(([key, change]) => {
+        const from = change.before == null ? '—' : change.before;
+        const to = change.after == null ? '—' : change.after;
+        if (entry.action === 'create') return `${key}: ${to}`;
+        // Purges (and deletes from before the recycle bin) removed the row.
+        if (entry.action === 'purge' || (entry.action === 'delete' && to === '—')) {
+          return `${key}: ${from}`;
+        }
+        return `${key}: ${from} → ${to}`;
+      });
+  }
 
-    const formData = new FormData(els.inventoryForm);
+  function actionLabel(action) {
+    return ACTION_LABELS[action] || action;
+  }
 
-    const payloadCategory = formData.get('category');
-    let selectedItemName = formData.get('itemName');
-    const customItemName = (formData.get('customItemName') || '').trim();
+  return { diff, filter, describeChanges, actionLabel };
+})();
 
-    // If Other -> use custom
-    if (selectedItemName === '__other__') {
-      selectedItemName = customItemName;
-    }
+// RFC 4180 reader for spreadsheet exports. Excel in some locales saves with
+// `;` instead of `,`, so the delimiter is taken from the header line.
+const Csv = (() => {
+  function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = (ch) => firstLine.split(ch).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+  }
 
-    // Basic validation for custom
-    if (!selectedItemName || selectedItemName.trim() === '') {
-      alert('Item Name is required.');
-      return;
+  function parse(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i += 1) {
+      const ch = input[i];
+      if (quoted) {
+        if (ch === '"' && input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && input[i + 1] === '\n') i += 1;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
     }
+    if (field !== '' || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((value) => value.trim() !== ''));
+  }
 
-    const payload = {
-      category: payloadCategory,
-      itemName: selectedItemName,
-      brand: formData.get('brand'),
-      contentVolume: formData.get('contentVolume'),
-      lotNumber: formData.get('lotNumber'),
-      dateReceived: formData.get('dateReceived'),
-      expiryDate: formData.get('expiryDate'),
-      status: formData.get('status'),
-      quantity: Number(formData.get('quantity')),
-      remarks: '',
-    };
+  return { parse };
+})();
 
-    // If user typed custom -> save it permanently
-    if (formData.get('itemName') === '__other__') {
-      await InventoryRepository.saveCustomItem(payload.category, payload.itemName);
-    }
+// Text placed in generated HTML (mail bodies, printable reports).
+const Html = (() => {
+  const ENTITIES = Object.freeze({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  });
 
-    const item = InventoryService.createItem(payload);
-    const errors = InventoryService.validate(item);
+  function escape(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (ch) => ENTITIES[ch]);
+  }
 
-    if (errors.length) {
-      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
-      return;
-    }
+  return { escape };
+})();
 
-    state.items = await InventoryRepository.upsert(item);
+// App-wide preferences, one `inventory_settings` row per key. Unset keys
+// fall back to DEFAULTS; loaded at start-up like the catalog.
+const Settings = (() => {
+  const DEFAULTS = Object.freeze({
+    currency: 'PHP',
+    mailFunction: 'send-mail',
+  });
 
-    els.inventoryForm.reset();
+  let values = { ...DEFAULTS };
 
-    // Hide custom field after reset
-    if (els.customItemName) {
-      els.customItemName.value = '';
-      els.customItemName.hidden = true;
-      els.customItemName.required = false;
-    }
+  function setSettings(next) {
+    values = { ...DEFAULTS, ...(next || {}) };
+  }
 
-    closeAddModal();
-    render();
+  function get(key) {
+    return values[key];
   }
 
-  function handleFilters() {
-    const baseSearch = els.searchInput ? els.searchInput.value.trim() : '';
-    const topSearch = els.topSearchInput ? els.topSearchInput.value.trim() : '';
-    state.filters.search = `${baseSearch} ${topSearch}`.trim();
-    state.filters.category = els.filterCategory ? els.filterCategory.value : '';
-    state.filters.status = els.filterStatus.value;
-    state.filters.expiry = els.filterExpiry.value;
-    state.filters.lowStock = els.filterLowStock.value;
-    renderTable();
-    renderAlerts();
+  function all() {
+    return { ...values };
   }
 
-  function handleSortClick(e) {
-    const th = e.target.closest('th[data-sort]');
-    if (!th) return;
-    const field = th.dataset.sort;
-    if (state.sortField === field) {
-      state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
-    } else {
-      state.sortField = field;
-      state.sortDirection = 'asc';
+  return { DEFAULTS, setSettings, get, all };
+})();
+
+// Amounts in the configured currency.
+const Money = (() => {
+  function isCurrencyCode(code) {
+    if (!/^[A-Z]{3}$/.test(code || '')) return false;
+    if (typeof Intl.supportedValuesOf === 'function') {
+      return Intl.supportedValuesOf('currency').includes(code);
+    }
+    try {
+      new Intl.NumberFormat(undefined, { style: 'currency', currency: code });
+      return true;
+    } catch (err) {
+      return false;
     }
-    renderTable();
   }
 
-  function openEditModal(id) {
-    const item = state.items.find((i) => i.id === id);
-    if (!item) return;
-    els.editModalBackdrop.hidden = false;
-    document.body.style.overflow = 'hidden';
+  // Blank means "not known" (null). Commas are read as thousands
+  // separators, as in our invoices; anything else unreadable is NaN.
+  function parse(value) {
+    const text = String(value ?? '').trim().replace(/,/g, '');
+    return text === '' ? null : Number(text);
+  }
 
-    document.getElementById('editId').value = item.id;
-    const editCategory = document.getElementById('editCategory');
-    if (editCategory) {
-      editCategory.value = item.category || '';
-    }
-    document.getElementById('editItemName').value = item.itemName;
-    document.getElementById('editBrand').value = item.brand;
-    document.getElementById('editContentVolume').value = item.contentVolume;
-    document.getElementById('editLotNumber').value = item.lotNumber;
-    document.getElementById('editDateReceived').value = item.dateReceived;
-    document.getElementById('editExpiryDate').value = item.expiryDate;
-    document.getElementById('editStatus').value = item.status;
-    document.getElementById('editQuantity').value = item.quantity;
+  // `currencyDisplay: 'code'` writes "PHP 1,200.00" instead of a symbol,
+  // for output whose fonts may not have the symbol (PDF).
+  function format(amount, { currencyDisplay = 'symbol' } = {}) {
+    if (amount == null || Number.isNaN(Number(amount))) return '';
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency: Settings.get('currency'),
+      currencyDisplay,
+    }).format(amount);
+  }
 
-    const firstInput = document.getElementById('editItemName');
-    if (firstInput) {
-      firstInput.focus();
-    }
+  // Plain figure for CSV files, so spreadsheets can add it up.
+  function toCsv(amount) {
+    return amount == null ? '' : Number(amount).toFixed(2);
   }
 
-  function closeEditModal() {
-    els.editModalBackdrop.hidden = true;
-    document.body.style.overflow = '';
+  return { isCurrencyCode, parse, format, toCsv };
+})();
+
+// ===============================
+// Persistence Layer
+// ===============================
+
+// Storage backends for InventoryRepository. Every adapter's `client` offers
+// `from(table)` with the part of the supabase-js query builder the
+// repository uses (select / eq / is / gte / lte / order / limit /
+// maybeSingle, insert, upsert, update, delete), resolving to
+// `{ data, error }`. Only `remote` adapters go through the offline cache and
+// write queue, and only Supabase has realtime channels.
+const StorageAdapters = (() => {
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
   }
 
-  function openAddModal() {
-    if (!els.addModalBackdrop) return;
-    els.addModalBackdrop.hidden = false;
-    document.body.style.overflow = 'hidden';
-    if (els.inventoryForm) {
-      els.inventoryForm.reset();
-      if (els.category) {
-        els.category.dispatchEvent(new Event('change'));
-        els.category.focus();
-      }
-    }
+  function compare(a, b) {
+    if (a == null && b == null) return 0;
+    if (a == null) return 1;
+    if (b == null) return -1;
+    if (a < b) return -1;
+    return a > b ? 1 : 0;
   }
 
-  function closeAddModal() {
-    if (!els.addModalBackdrop) return;
-    els.addModalBackdrop.hidden = true;
+  function project(row, columns) {
+    if (columns.trim() === '*') return row;
+    return Object.fromEntries(
+      columns.split(',').map((c) => [c.trim(), row[c.trim()] ?? null])
+    );
+  }
+
+  function execute(store, table, query) {
+    try {
+      const rows = store.read(table);
+      const matches = (row) => query.filters.every((test) => test(row));
+      const done = { data: null, error: null };
+
+      if (query.action === 'insert') {
+        const clash = query.payload.find(
+          (row) => row.id != null && rows.some((r) => r.id === row.id)
+        );
+        if (clash) {
+          return {
+            data: null,
+            error: { code: '23505', message: `Duplicate id ${clash.id} in ${table}` },
+          };
+        }
+        store.write(table, rows.concat(query.payload.map(clone)));
+        return done;
+      }
+      if (query.action === 'upsert') {
+        const keys = query.onConflict.split(',').map((k) => k.trim());
+        const next = rows.slice();
+        query.payload.forEach((row) => {
+          const index = next.findIndex((r) => keys.every((k) => r[k] === row[k]));
+          if (index >= 0) next[index] = { ...next[index], ...clone(row) };
+          else next.push(clone(row));
+        });
+        store.write(table, next);
+        return done;
+      }
+      if (query.action === 'update') {
+        const updated = [];
+        store.write(
+          table,
+          rows.map((r) => {
+            if (!matches(r)) return r;
+            const next = { ...r, ...clone(query.payload) };
+            updated.push(clone(next));
+            return next;
+          })
+        );
+        return { data: query.returning ? updated : null, error: null };
+      }
+      if (query.action === 'delete') {
+        store.write(table, rows.filter((r) => !matches(r)));
+        return done;
+      }
+
+      let data = rows.filter(matches);
+      if (query.order) {
+        const { column, ascending } = query.order;
+        data.sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+      }
+      if (query.limit != null) data = data.slice(0, query.limit);
+      data = data.map((row) => project(clone(row), query.columns));
+      return { data: query.single ? data[0] || null : data, error: null };
+    } catch (err) {
+      return { data: null, error: { message: err.message } };
+    }
+  }
+
+  // Builds a supabase-style client over `store`, which only has to
+  // `read(table)` and `write(table, rows)` whole tables.
+  function createClient(store) {
+    function from(table) {
+      const query = {
+        action: 'select',
+        columns: '*',
+        filters: [],
+        order: null,
+        limit: null,
+        single: false,
+        payload: null,
+        onConflict: 'id',
+        returning: false,
+      };
+      const builder = {
+        select(columns = '*') {
+          if (query.action === 'select') query.columns = columns;
+          else query.returning = true;
+          return builder;
+        },
+        eq(column, value) {
+          query.filters.push((row) => row[column] === value);
+          return builder;
+        },
+        is(column, value) {
+          query.filters.push((row) => (row[column] ?? null) === value);
+          return builder;
+        },
+        gte(column, value) {
+          query.filters.push((row) => row[column] >= value);
+          return builder;
+        },
+        lte(column, value) {
+          query.filters.push((row) => row[column] <= value);
+          return builder;
+        },
+        order(column, { ascending = true } = {}) {
+          query.order = { column, ascending };
+          return builder;
+        },
+        limit(count) {
+          query.limit = count;
+          return builder;
+        },
+        maybeSingle() {
+          query.single = true;
+          return builder;
+        },
+        insert(rows) {
+          query.action = 'insert';
+          query.payload = [].concat(rows);
+          return builder;
+        },
+        upsert(rows, { onConflict = 'id' } = {}) {
+          query.action = 'upsert';
+          query.payload = [].concat(rows);
+          query.onConflict = onConflict;
+          return builder;
+        },
+        update(patch) {
+          query.action = 'update';
+          query.payload = patch;
+          return builder;
+        },
+        delete() {
+          query.action = 'delete';
+          return builder;
+        },
+        then(resolve, reject) {
+          return Promise.resolve()
+            .then(() => execute(store, table, query))
+            .then(resolve, reject);
+        },
+      };
+      return builder;
+    }
+    return { from };
+  }
+
+  function supabase(client) {
+    return { name: 'supabase', label: 'Supabase', remote: true, client };
+  }
+
+  // Browser-only data, kept in localStorage (one key per table). Good for
+  // training and demos on a single machine.
+  function local(prefix = 'north-med-local') {
+    const store = {
+      read: (table) =>
+        JSON.parse(window.localStorage.getItem(`${prefix}:${table}`) || '[]'),
+      write: (table, rows) =>
+        window.localStorage.setItem(`${prefix}:${table}`, JSON.stringify(rows)),
+    };
+    return {
+      name: 'local',
+      label: 'Local data',
+      remote: false,
+      client: createClient(store),
+    };
+  }
+
+  // Throw-away data for tests; `seed` maps table names to rows.
+  function memory(seed = {}) {
+    const tables = new Map(
+      Object.entries(seed).map(([table, rows]) => [table, clone(rows)])
+    );
+    const store = {
+      read: (table) => tables.get(table) || [],
+      write: (table, rows) => tables.set(table, rows),
+    };
+    return {
+      name: 'memory',
+      label: 'In-memory data',
+      remote: false,
+      client: createClient(store),
+    };
+  }
+
+  return { supabase, local, memory };
+})();
+
+// IndexedDB copy of the last data read from Supabase, plus the queue of
+// writes made while offline. Calls never reject: without IndexedDB they
+// resolve to null and the app behaves as if nothing was cached.
+const LocalStore = (() => {
+  const DB_NAME = 'north-med-inventory';
+  const DB_VERSION = 1;
+  const CACHE_STORE = 'cache';
+  const QUEUE_STORE = 'queue';
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        if (!window.indexedDB) {
+          resolve(null);
+          return;
+        }
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(CACHE_STORE)) {
+            db.createObjectStore(CACHE_STORE);
+          }
+          if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+            db.createObjectStore(QUEUE_STORE, {
+              keyPath: 'seq',
+              autoIncrement: true,
+            });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error('Failed to open local cache', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(storeName, mode, action) {
+    const db = await open();
+    if (!db) return null;
+    return new Promise((resolve) => {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result ?? null);
+      tx.onerror = () => {
+        console.error('Local cache operation failed', tx.error);
+        resolve(null);
+      };
+    });
+  }
+
+  function get(key) {
+    return run(CACHE_STORE, 'readonly', (store) => store.get(key));
+  }
+
+  function set(key, value) {
+    return run(CACHE_STORE, 'readwrite', (store) => store.put(value, key));
+  }
+
+  // Queue entries get an increasing `seq`, so `queued()` returns them in
+  // the order they were made.
+  function enqueue(op) {
+    return run(QUEUE_STORE, 'readwrite', (store) => store.add(op));
+  }
+
+  function update(op) {
+    return run(QUEUE_STORE, 'readwrite', (store) => store.put(op));
+  }
+
+  function dequeue(seq) {
+    return run(QUEUE_STORE, 'readwrite', (store) => store.delete(seq));
+  }
+
+  async function queued() {
+    return (await run(QUEUE_STORE, 'readonly', (store) => store.getAll())) || [];
+  }
+
+  return { get, set, enqueue, update, dequeue, queued };
+})();
+
+const InventoryRepository = (() => {
+  const TABLE_NAME = 'inventory_items';
+  const CUSTOM_ITEMS_TABLE = 'inventory_custom_items';
+  const MOVEMENTS_TABLE = 'inventory_movements';
+  const AUDIT_TABLE = 'inventory_audit_log';
+  const CATALOG_TABLE = 'inventory_catalog';
+  const CATEGORIES_TABLE = 'inventory_categories';
+  const REORDER_TABLE = 'inventory_reorder_levels';
+  const REQUISITIONS_TABLE = 'inventory_requisitions';
+  const DELIVERIES_TABLE = 'inventory_deliveries';
+  const TRANSFERS_TABLE = 'inventory_transfers';
+  const PROFILES_TABLE = 'inventory_profiles';
+  const SETTINGS_TABLE = 'inventory_settings';
+  const EXPIRY_TIERS_TABLE = 'inventory_expiry_tiers';
+  const NOTIFICATIONS_TABLE = 'inventory_notifications';
+  const DIGEST_TABLE = 'inventory_digest_subscriptions';
+  const NOTIFICATION_LIMIT = 200;
+
+  let adapter = null;
+  let deniedListener = null;
+
+  // Swaps the storage backend (see StorageAdapters); bootstrap picks one.
+  function useAdapter(next) {
+    adapter = next;
+    lastSnapshot = null;
+  }
+
+  function getClient() {
+    if (!adapter) {
+      console.error('No storage adapter configured for InventoryRepository');
+      return null;
+    }
+    return adapter.client;
+  }
+
+  // Local adapters are always reachable; only a remote one can be offline.
+  function isOnline() {
+    return !(adapter && adapter.remote) || navigator.onLine;
+  }
+
+  // Called with the refusal message whenever a write is not allowed, for
+  // the signed-in role or for the record's state.
+  function onPermissionDenied(listener) {
+    deniedListener = listener;
+  }
+
+  function refuse(message) {
+    if (deniedListener) deniedListener(message);
+    else console.error(message);
+  }
+
+  function authorize(action) {
+    if (Permissions.can(action)) return true;
+    refuse(Permissions.deniedMessage(action));
+    return false;
+  }
+
+  // The IndexedDB copies only matter for a remote backend.
+  async function cacheLocally(key, value) {
+    if (adapter && adapter.remote) await LocalStore.set(key, value);
+  }
+
+  // The role on the user's profile row, cached so an offline start keeps
+  // the same permissions. No profile means Permissions.DEFAULT_ROLE.
+  async function loadRole(userId) {
+    const supabase = getClient();
+    const key = `profile:${userId}`;
+    const cached = async () =>
+      (await LocalStore.get(key)) || Permissions.DEFAULT_ROLE;
+    if (!supabase || !isOnline()) return cached();
+    try {
+      const { data, error } = await supabase
+        .from(PROFILES_TABLE)
+        .select('role')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Failed to load user profile', error);
+        return cached();
+      }
+      const role = Permissions.normalizeRole(data && data.role);
+      await cacheLocally(key, role);
+      return role;
+    } catch (err) {
+      console.error('Unexpected error loading user profile', err);
+      return cached();
+    }
+  }
+
+  // Settings as { key: value }, cached for offline starts.
+  async function loadSettings() {
+    const supabase = getClient();
+    const cached = async () => (await LocalStore.get('settings')) || {};
+    if (!supabase || !isOnline()) return cached();
+    try {
+      const { data, error } = await supabase
+        .from(SETTINGS_TABLE)
+        .select('key, value');
+
+      if (error) {
+        console.error('Failed to load settings', error);
+        return cached();
+      }
+      const settings = {};
+      (data || []).forEach((row) => {
+        settings[row.key] = row.value;
+      });
+      await cacheLocally('settings', settings);
+      return settings;
+    } catch (err) {
+      console.error('Unexpected error loading settings', err);
+      return cached();
+    }
+  }
+
+  async function saveSettings(values) {
+    const supabase = getClient();
+    if (!supabase) return loadSettings();
+    if (!authorize('settings.manage')) return loadSettings();
+    try {
+      const { error } = await supabase.from(SETTINGS_TABLE).upsert(
+        Object.entries(values).map(([key, value]) => ({
+          key,
+          value,
+          updated_at: new Date().toISOString(),
+          updated_by_email: CURRENT_USER ? CURRENT_USER.email : null,
+        })),
+        { onConflict: 'key' }
+      );
+      if (error) {
+        console.error('Failed to save settings', error);
+      }
+    } catch (err) {
+      console.error('Unexpected error saving settings', err);
+    }
+    return loadSettings();
+  }
+
+  // Items added through the old "Other" option, read once to seed the
+  // catalog.
+  async function loadLegacyCustomItems(supabase) {
+    const { data, error } = await supabase
+      .from(CUSTOM_ITEMS_TABLE)
+      .select('category, item_name');
+    if (error) {
+      console.error('Failed to load custom items', error);
+      return [];
+    }
+    return (data || [])
+      .filter((r) => r.category && r.item_name)
+      .map((r) => ({ category: r.category, itemName: r.item_name }));
+  }
+
+  function mapRowToCatalogEntry(row) {
+    return Catalog.createEntry({
+      id: row.id,
+      category: row.category,
+      itemName: row.item_name,
+      defaultBrand: row.default_brand,
+      unit: row.unit,
+      storageTemp: row.storage_temp,
+      gtin: row.gtin,
+      stabilityDays: row.stability_days,
+      minLevel: row.min_level,
+      reorderQty: row.reorder_qty,
+      leadTimeDays: row.lead_time_days,
+      retired: row.retired,
+      mergedInto: row.merged_into,
+    });
+  }
+
+  function mapCatalogEntryToRow(entry) {
+    return {
+      id: entry.id,
+      category: entry.category,
+      item_name: entry.itemName,
+      default_brand: entry.defaultBrand || null,
+      unit: entry.unit || null,
+      storage_temp: entry.storageTemp || null,
+      gtin: entry.gtin || null,
+      stability_days: entry.stabilityDays,
+      min_level: entry.minLevel,
+      reorder_qty: entry.reorderQty,
+      lead_time_days: entry.leadTimeDays,
+      retired: Boolean(entry.retired),
+      merged_into: entry.mergedInto || null,
+    };
+  }
+
+  // The last catalog read is kept locally so the item lists still work
+  // offline.
+  async function cachedCatalog() {
+    return (await LocalStore.get('catalog')) || Catalog.seed();
+  }
+
+  async function loadCatalog() {
+    const supabase = getClient();
+    if (!supabase) return Catalog.seed();
+    if (!isOnline()) return cachedCatalog();
+    try {
+      const [categoriesResult, itemsResult] = await Promise.all([
+        supabase.from(CATEGORIES_TABLE).select('name, retired'),
+        supabase.from(CATALOG_TABLE).select('*'),
+      ]);
+      if (categoriesResult.error || itemsResult.error) {
+        console.error(
+          'Failed to load catalog',
+          categoriesResult.error || itemsResult.error
+        );
+        return cachedCatalog();
+      }
+
+      const categories = (categoriesResult.data || []).map((r) => ({
+        name: r.name,
+        retired: Boolean(r.retired),
+      }));
+      const items = (itemsResult.data || []).map(mapRowToCatalogEntry);
+      if (categories.length || items.length) {
+        await cacheLocally('catalog', { categories, items });
+        return { categories, items };
+      }
+
+      const seeded = Catalog.seed(await loadLegacyCustomItems(supabase));
+      const { error: categoryError } = await supabase
+        .from(CATEGORIES_TABLE)
+        .insert(seeded.categories);
+      const { error: itemError } = await supabase
+        .from(CATALOG_TABLE)
+        .insert(seeded.items.map(mapCatalogEntryToRow));
+      if (categoryError || itemError) {
+        console.error('Failed to seed catalog', categoryError || itemError);
+      }
+      return seeded;
+    } catch (err) {
+      console.error('Unexpected error loading catalog', err);
+      return cachedCatalog();
+    }
+  }
+
+  // Moves every lot (all branches) and branch reorder level of one catalog
+  // item to another name, auditing each lot touched.
+  async function moveInventoryItems(supabase, from, to) {
+    const { data, error } = await supabase
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('category', from.category)
+      .eq('item_name', from.itemName);
+    if (error) {
+      console.error('Failed to find lots for catalog change', error);
+      return false;
+    }
+
+    const patch = { category: to.category, item_name: to.itemName };
+    const { error: updateError } = await supabase
+      .from(TABLE_NAME)
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('category', from.category)
+      .eq('item_name', from.itemName);
+    if (updateError) {
+      console.error('Failed to update lots for catalog change', updateError);
+      return false;
+    }
+    for (const row of data || []) {
+      await recordAudit(supabase, 'update', row, { ...row, ...patch });
+    }
+
+    const { error: levelError } = await supabase
+      .from(REORDER_TABLE)
+      .update(patch)
+      .eq('category', from.category)
+      .eq('item_name', from.itemName);
+    if (levelError) {
+      console.error('Failed to update reorder levels', levelError);
+    }
+    return true;
+  }
+
+  // Saving under a new name or category renames the item everywhere it is
+  // used.
+  async function saveCatalogEntry(entry, previous) {
+    const supabase = getClient();
+    if (!supabase) return loadCatalog();
+    if (!authorize('catalog.manage')) return loadCatalog();
+    try {
+      if (
+        previous &&
+        (previous.itemName !== entry.itemName ||
+          previous.category !== entry.category)
+      ) {
+        const moved = await moveInventoryItems(supabase, previous, entry);
+        if (!moved) return loadCatalog();
+      }
+      const { error } = await supabase
+        .from(CATALOG_TABLE)
+        .upsert(mapCatalogEntryToRow(entry));
+      if (error) {
+        console.error('Failed to save catalog item', error);
+      }
+    } catch (err) {
+      console.error('Unexpected error saving catalog item', err);
+    }
+    return loadCatalog();
+  }
+
+  // Folds `source` into `target`: its lots take the target's name and the
+  // source entry is retired with a pointer to where it went.
+  async function mergeCatalogEntry(source, target) {
+    const supabase = getClient();
+    if (!supabase) return loadCatalog();
+    if (!authorize('catalog.manage')) return loadCatalog();
+    try {
+      const moved = await moveInventoryItems(supabase, source, target);
+      if (!moved) return loadCatalog();
+      const { error } = await supabase
+        .from(CATALOG_TABLE)
+        .update({ retired: true, merged_into: target.id })
+        .eq('id', source.id);
+      if (error) {
+        console.error('Failed to retire merged catalog item', error);
+      }
+    } catch (err) {
+      console.error('Unexpected error merging catalog items', err);
+    }
+    return loadCatalog();
+  }
+
+  async function saveCategory(category) {
+    const supabase = getClient();
+    if (!supabase) return loadCatalog();
+    if (!authorize('catalog.manage')) return loadCatalog();
+    try {
+      const { error } = await supabase
+        .from(CATEGORIES_TABLE)
+        .upsert(
+          { name: category.name, retired: Boolean(category.retired) },
+          { onConflict: 'name' }
+        );
+      if (error) {
+        console.error('Failed to save category', error);
+      }
+    } catch (err) {
+      console.error('Unexpected error saving category', err);
+    }
+    return loadCatalog();
+  }
+
+  async function loadReorderLevels() {
+    const supabase = getClient();
+    if (!supabase) return [];
+    const cached = async () => (await LocalStore.get(cacheKey('reorder'))) || [];
+    if (!isOnline()) return cached();
+    try {
+      const { data, error } = await supabase
+        .from(REORDER_TABLE)
+        .select('category, item_name, min_level, reorder_qty, lead_time_days')
+        .eq('branch', USER_BRANCH);
+
+      if (error) {
+        console.error('Failed to load reorder levels', error);
+        return cached();
+      }
+      const levels = (data || []).map((r) => ({
+        category: r.category,
+        itemName: r.item_name,
+        minLevel: r.min_level == null ? null : Number(r.min_level),
+        reorderQty: r.reorder_qty == null ? null : Number(r.reorder_qty),
+        leadTimeDays: r.lead_time_days == null ? null : Number(r.lead_time_days),
+      }));
+      await cacheLocally(cacheKey('reorder'), levels);
+      return levels;
+    } catch (err) {
+      console.error('Unexpected error loading reorder levels', err);
+      return cached();
+    }
+  }
+
+  async function saveReorderLevels(list) {
+    const supabase = getClient();
+    if (!supabase || !list.length) return loadReorderLevels();
+    if (!authorize('catalog.manage')) return loadReorderLevels();
+    try {
+      const rows = list.map((r) => ({
+        branch: USER_BRANCH,
+        category: r.category,
+        item_name: r.itemName,
+        min_level: r.minLevel ?? null,
+        reorder_qty: r.reorderQty ?? null,
+        lead_time_days: r.leadTimeDays ?? null,
+      }));
+      const { error } = await supabase
+        .from(REORDER_TABLE)
+        .upsert(rows, { onConflict: 'branch,category,item_name' });
+      if (error) {
+        console.error('Failed to save reorder levels', error);
+      }
+    } catch (err) {
+      console.error('Unexpected error saving reorder levels', err);
+    }
+    return loadReorderLevels();
+  }
+
+  // Expiry tier rules for this branch. The branch default has an empty
+  // category and item name; a category rule has an empty item name.
+  async function loadExpiryTiers() {
+    const supabase = getClient();
+    if (!supabase) return [];
+    const cached = async () =>
+      (await LocalStore.get(cacheKey('expiryTiers'))) || [];
+    if (!isOnline()) return cached();
+    try {
+      const { data, error } = await supabase
+        .from(EXPIRY_TIERS_TABLE)
+        .select('category, item_name, critical_days, warning_days, watch_days')
+        .eq('branch', USER_BRANCH);
+
+      if (error) {
+        console.error('Failed to load expiry tiers', error);
+        return cached();
+      }
+      const days = (value) => (value == null ? null : Number(value));
+      const rules = (data || []).map((r) => ({
+        category: r.category || '',
+        itemName: r.item_name || '',
+        critical: days(r.critical_days),
+        warning: days(r.warning_days),
+        watch: days(r.watch_days),
+      }));
+      await cacheLocally(cacheKey('expiryTiers'), rules);
+      return rules;
+    } catch (err) {
+      console.error('Unexpected error loading expiry tiers', err);
+      return cached();
+    }
+  }
+
+  async function saveExpiryTiers(list, removed = []) {
+    const supabase = getClient();
+    if (!supabase) return loadExpiryTiers();
+    if (!authorize('settings.manage')) return loadExpiryTiers();
+    try {
+      if (list.length) {
+        const { error } = await supabase.from(EXPIRY_TIERS_TABLE).upsert(
+          list.map((r) => ({
+            branch: USER_BRANCH,
+            category: r.category || '',
+            item_name: r.itemName || '',
+            critical_days: r.critical ?? null,
+            warning_days: r.warning ?? null,
+            watch_days: r.watch ?? null,
+          })),
+          { onConflict: 'branch,category,item_name' }
+        );
+        if (error) {
+          console.error('Failed to save expiry tiers', error);
+        }
+      }
+      for (const r of removed) {
+        const { error } = await supabase
+          .from(EXPIRY_TIERS_TABLE)
+          .delete()
+          .eq('branch', USER_BRANCH)
+          .eq('category', r.category || '')
+          .eq('item_name', r.itemName || '');
+        if (error) {
+          console.error('Failed to remove expiry tier rule', error);
+        }
+      }
+    } catch (err) {
+      console.error('Unexpected error saving expiry tiers', err);
+    }
+    return loadExpiryTiers();
+  }
+
+  function mapRowToRequisition(row) {
+    return {
+      id: row.id,
+      status: row.status || 'draft',
+      notes: row.notes || '',
+      lines: Array.isArray(row.lines) ? row.lines : [],
+      createdAt: row.created_at || '',
+      createdBy: row.created_by_email || '',
+      updatedAt: row.updated_at || '',
+    };
+  }
+
+  async function loadRequisitions() {
+    const supabase = getClient();
+    if (!supabase) return [];
+    try {
+      const { data, error } = await supabase
+        .from(REQUISITIONS_TABLE)
+        .select('*')
+        .eq('branch', USER_BRANCH)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Failed to load requisitions', error);
+        return [];
+      }
+      return (data || []).map(mapRowToRequisition);
+    } catch (err) {
+      console.error('Unexpected error loading requisitions', err);
+      return [];
+    }
+  }
+
+  async function saveRequisition(requisition) {
+    const supabase = getClient();
+    if (!supabase) return [];
+    if (!authorize('requisition.edit')) return loadRequisitions();
+    try {
+      const { data: previous, error: previousError } = await supabase
+        .from(REQUISITIONS_TABLE)
+        .select('status')
+        .eq('id', requisition.id)
+        .maybeSingle();
+      if (previousError) {
+        console.error('Failed to load requisition status', previousError);
+        return loadRequisitions();
+      }
+      const previousStatus = previous ? previous.status : '';
+      if (
+        requisition.status === 'received' &&
+        !['approved', 'received'].includes(previousStatus)
+      ) {
+        refuse('Only an approved requisition can be marked received.');
+        return loadRequisitions();
+      }
+      // Approving, or taking an approval back other than by receiving it.
+      const wasApproved = previousStatus === 'approved';
+      if (
+        wasApproved !== (requisition.status === 'approved') &&
+        requisition.status !== 'received' &&
+        !authorize('requisition.approve')
+      ) {
+        return loadRequisitions();
+      }
+      const { error } = await supabase.from(REQUISITIONS_TABLE).upsert({
+        id: requisition.id,
+        branch: USER_BRANCH,
+        status: requisition.status,
+        notes: requisition.notes || null,
+        lines: requisition.lines,
+        created_at: requisition.createdAt,
+        created_by_email:
+          requisition.createdBy || (CURRENT_USER ? CURRENT_USER.email : null),
+        updated_at: new Date().toISOString(),
+      });
+      if (error) {
+        console.error('Failed to save requisition', error);
+      }
+    } catch (err) {
+      console.error('Unexpected error saving requisition', err);
+    }
+    return loadRequisitions();
+  }
+
+  function mapRowToItem(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      category: row.category || '',
+      itemName: row.item_name,
+      brand: row.brand || '',
+      contentVolume: row.content_volume || '',
+      lotNumber: row.lot_number || '',
+      dateReceived: row.date_received || '',
+      expiryDate: row.expiry_date || '',
+      dateOpened: row.date_opened || '',
+      status: row.status || 'Unopened',
+      quantity: Number(row.quantity ?? 0),
+      unitCost: row.unit_cost == null ? null : Number(row.unit_cost),
+      remarks: row.remarks || '',
+      deliveryId: row.delivery_id || '',
+      updatedAt: row.updated_at || '',
+      branch: row.branch || '',
+      deletedAt: row.deleted_at || '',
+      deletedBy: row.deleted_by_email || '',
+      deleteReason: row.delete_reason || '',
+    };
+  }
+
+  function mapItemToRow(item) {
+    return {
+      id: item.id,
+      category: item.category || null,
+      item_name: item.itemName,
+      brand: item.brand || null,
+      content_volume: item.contentVolume || null,
+      lot_number: item.lotNumber || null,
+      date_received: item.dateReceived || null,
+      expiry_date: item.expiryDate || null,
+      date_opened: item.dateOpened || null,
+      status: item.status || 'Unopened',
+      quantity: Number(item.quantity ?? 0),
+      unit_cost: item.unitCost ?? null,
+      remarks: item.remarks || null,
+      delivery_id: item.deliveryId || null,
+      branch: USER_BRANCH,
+      deleted_at: item.deletedAt || null,
+      deleted_by_email: item.deletedBy || null,
+      delete_reason: item.deleteReason || null,
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  function mapRowToMovement(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      itemId: row.item_id,
+      type: row.movement_type,
+      quantity: Number(row.quantity ?? 0),
+      note: row.note || '',
+      reason: row.reason || '',
+      responsible: row.responsible || '',
+      unitCost: row.unit_cost == null ? null : Number(row.unit_cost),
+      createdAt: row.created_at || '',
+      createdBy: row.created_by_email || '',
+    };
+  }
+
+  function mapMovementToRow(movement) {
+    return {
+      id: movement.id,
+      item_id: movement.itemId,
+      movement_type: movement.type,
+      quantity: Number(movement.quantity ?? 0),
+      note: movement.note || null,
+      reason: movement.reason || null,
+      responsible: movement.responsible || null,
+      unit_cost: movement.unitCost ?? null,
+      created_at: movement.createdAt || new Date().toISOString(),
+      created_by: CURRENT_USER ? CURRENT_USER.id : null,
+      created_by_email: CURRENT_USER ? CURRENT_USER.email : null,
+      branch: USER_BRANCH,
+    };
+  }
+
+  function mapRowToAudit(row) {
+    return {
+      id: row.id,
+      itemId: row.item_id,
+      itemLabel: row.item_label || '',
+      action: row.action,
+      userId: row.user_id || '',
+      userEmail: row.user_email || '',
+      branch: row.branch || '',
+      createdAt: row.created_at || '',
+      changes: row.changes || {},
+    };
+  }
+
+  async function fetchRow(supabase, id) {
+    const { data, error } = await supabase
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) {
+      console.error('Failed to read inventory row for audit', error);
+      return null;
+    }
+    return data || null;
+  }
+
+  // Audit entries are best-effort: a failed write is logged but never blocks
+  // the change it describes.
+  async function recordAudit(supabase, action, before, after) {
+    const row = after || before;
+    if (!row) return;
+    try {
+      const { error } = await supabase.from(AUDIT_TABLE).insert({
+        id: `aud-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+        item_id: row.id,
+        item_label: [row.item_name, row.lot_number].filter(Boolean).join(' · '),
+        action,
+        user_id: CURRENT_USER ? CURRENT_USER.id : null,
+        user_email: CURRENT_USER ? CURRENT_USER.email : null,
+        // A catalog rename touches lots of every branch; each is audited
+        // where it lives.
+        branch: row.branch || USER_BRANCH,
+        created_at: new Date().toISOString(),
+        changes: AuditLog.diff(before, after),
+      });
+      if (error) {
+        console.error('Failed to write audit entry', error);
+      }
+    } catch (err) {
+      console.error('Unexpected error writing audit entry', err);
+    }
+  }
+
+  async function loadAudit(filters = {}) {
+    const supabase = getClient();
+    if (!supabase) return [];
+    try {
+      let query = supabase
+        .from(AUDIT_TABLE)
+        .select('*')
+        .eq('branch', USER_BRANCH);
+      if (filters.from) query = query.gte('created_at', filters.from);
+      if (filters.to) query = query.lte('created_at', filters.to);
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(500);
+
+      if (error) {
+        console.error('Failed to load audit log', error);
+        return [];
+      }
+      return (data || []).map(mapRowToAudit);
+    } catch (err) {
+      console.error('Unexpected error loading audit log', err);
+      return [];
+    }
+  }
+
+  // ----- Notifications -----
+  // Each user's notifications for the branch. The device copy comes first
+  // so they work offline; whatever the server is missing (new ones, or read
+  // marks) is pushed on the next online load.
+  function notificationsKey() {
+    return cacheKey(`notifications:${CURRENT_USER ? CURRENT_USER.id : ''}`);
+  }
+
+  function mapRowToNotification(row) {
+    return {
+      id: row.id,
+      kind: row.kind,
+      title: row.title || '',
+      body: row.body || '',
+      itemId: row.item_id || null,
+      category: row.category || '',
+      itemName: row.item_name || '',
+      createdAt: row.created_at || '',
+      readAt: row.read_at || null,
+    };
+  }
+
+  function mapNotificationToRow(n) {
+    return {
+      id: n.id,
+      user_id: CURRENT_USER.id,
+      branch: USER_BRANCH,
+      kind: n.kind,
+      title: n.title,
+      body: n.body || null,
+      item_id: n.itemId || null,
+      category: n.category || null,
+      item_name: n.itemName || null,
+      created_at: n.createdAt,
+      read_at: n.readAt || null,
+    };
+  }
+
+  // Newest first; a notification read anywhere stays read.
+  function mergeNotifications(...lists) {
+    const byId = new Map();
+    lists.flat().forEach((n) => {
+      const seen = byId.get(n.id);
+      byId.set(n.id, seen ? { ...seen, readAt: seen.readAt || n.readAt } : n);
+    });
+    return [...byId.values()]
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, NOTIFICATION_LIMIT);
+  }
+
+  async function loadNotifications() {
+    const local = (await LocalStore.get(notificationsKey())) || [];
+    const supabase = getClient();
+    if (!supabase || !CURRENT_USER || !isOnline()) return local;
+    try {
+      const { data, error } = await supabase
+        .from(NOTIFICATIONS_TABLE)
+        .select('*')
+        .eq('user_id', CURRENT_USER.id)
+        .eq('branch', USER_BRANCH)
+        .order('created_at', { ascending: false })
+        .limit(NOTIFICATION_LIMIT);
+
+      if (error) {
+        console.error('Failed to load notifications', error);
+        return local;
+      }
+      const server = new Map(
+        (data || []).map((row) => [row.id, mapRowToNotification(row)])
+      );
+      const merged = mergeNotifications(local, [...server.values()]);
+      const unsynced = merged.filter((n) => {
+        const known = server.get(n.id);
+        return !known || (n.readAt && !known.readAt);
+      });
+      if (unsynced.length) {
+        const { error: pushError } = await supabase
+          .from(NOTIFICATIONS_TABLE)
+          .upsert(unsynced.map(mapNotificationToRow), { onConflict: 'user_id,id' });
+        if (pushError) {
+          console.error('Failed to save notifications', pushError);
+        }
+      }
+      await cacheLocally(notificationsKey(), merged);
+      return merged;
+    } catch (err) {
+      console.error('Unexpected error loading notifications', err);
+      return local;
+    }
+  }
+
+  // Adds new notifications or read marks; returns the full list.
+  async function saveNotifications(list) {
+    if (!CURRENT_USER || !list.length) return loadNotifications();
+    const local = (await LocalStore.get(notificationsKey())) || [];
+    await cacheLocally(notificationsKey(), mergeNotifications(list, local));
+    const supabase = getClient();
+    if (supabase && isOnline()) {
+      try {
+        const { error } = await supabase
+          .from(NOTIFICATIONS_TABLE)
+          .upsert(list.map(mapNotificationToRow), { onConflict: 'user_id,id' });
+        if (error) {
+          console.error('Failed to save notifications', error);
+        }
+      } catch (err) {
+        console.error('Unexpected error saving notifications', err);
+      }
+    }
+    return loadNotifications();
+  }
+
+  // What the last notification check saw: the condition keys that were
+  // true and how far the audit log had been read. Kept on this device only.
+  async function loadNotificationWatch() {
+    return (
+      (await LocalStore.get(cacheKey(`notifyWatch:${CURRENT_USER ? CURRENT_USER.id : ''}`))) ||
+      null
+    );
+  }
+
+  async function saveNotificationWatch(watch) {
+    await cacheLocally(
+      cacheKey(`notifyWatch:${CURRENT_USER ? CURRENT_USER.id : ''}`),
+      watch
+    );
+  }
+
+  // ----- Digest subscriptions -----
+  function mapRowToDigestSubscription(row) {
+    return {
+      userId: row.user_id,
+      email: row.email || '',
+      frequency: row.frequency || 'off',
+      weekday: row.weekday == null ? 1 : Number(row.weekday),
+      lastSentAt: row.last_sent_at || null,
+    };
+  }
+
+  // The signed-in user's digest settings for this branch.
+  async function loadDigestSubscription() {
+    const supabase = getClient();
+    const none = {
+      userId: CURRENT_USER ? CURRENT_USER.id : '',
+      email: CURRENT_USER ? CURRENT_USER.email : '',
+      frequency: 'off',
+      weekday: 1,
+      lastSentAt: null,
+    };
+    if (!supabase || !CURRENT_USER) return none;
+    try {
+      const { data, error } = await supabase
+        .from(DIGEST_TABLE)
+        .select('*')
+        .eq('branch', USER_BRANCH)
+        .eq('user_id', CURRENT_USER.id)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Failed to load digest subscription', error);
+        return none;
+      }
+      return data ? mapRowToDigestSubscription(data) : none;
+    } catch (err) {
+      console.error('Unexpected error loading digest subscription', err);
+      return none;
+    }
+  }
+
+  async function saveDigestSubscription(sub) {
+    const supabase = getClient();
+    if (!supabase || !CURRENT_USER) return loadDigestSubscription();
+    try {
+      const { error } = await supabase.from(DIGEST_TABLE).upsert(
+        {
+          branch: USER_BRANCH,
+          user_id: CURRENT_USER.id,
+          email: sub.email,
+          frequency: sub.frequency,
+          weekday: sub.weekday,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: 'branch,user_id' }
+      );
+      if (error) {
+        console.error('Failed to save digest subscription', error);
+      }
+    } catch (err) {
+      console.error('Unexpected error saving digest subscription', err);
+    }
+    return loadDigestSubscription();
+  }
+
+  // Whether the backend runs Edge Functions (only Supabase does).
+  function hasFunctions() {
+    const supabase = adapter && adapter.client;
+    return Boolean(supabase && supabase.functions);
+  }
+
+  // Calls a Supabase Edge Function; other storage backends have none.
+  async function invokeFunction(name, body) {
+    const supabase = getClient();
+    if (!supabase || !supabase.functions) {
+      return { error: { message: 'Server functions need the Supabase backend' } };
+    }
+    if (!isOnline()) return { error: { message: 'No connection' } };
+    try {
+      const { error } = await supabase.functions.invoke(name, { body });
+      return { error: error || null };
+    } catch (err) {
+      return { error: err };
+    }
+  }
+
+  // ----- Offline cache and write queue -----
+  // Reads fall back to the IndexedDB snapshot of the last successful load.
+  // Lot edits, deletes and stock movements made without a connection are
+  // queued and replayed by `sync()`. A queued change whose lot was edited or
+  // deleted on the server in the meantime is not applied; it becomes a
+  // conflict for the user to settle.
+  const syncListeners = [];
+  let syncing = false;
+  let lastSnapshot = null;
+
+  function cacheKey(name) {
+    return `${name}:${USER_BRANCH}`;
+  }
+
+  function isNetworkError(error) {
+    if (!isOnline()) return true;
+    const message = (error && error.message) || String(error || '');
+    return /failed to fetch|networkerror|network request failed|load failed/i.test(
+      message
+    );
+  }
+
+  async function readSnapshot() {
+    return (
+      lastSnapshot ||
+      (await LocalStore.get(cacheKey('snapshot'))) || { items: [], movements: [] }
+    );
+  }
+
+  async function pendingChanges() {
+    return (await LocalStore.queued()).filter(
+      (op) => op.branch === USER_BRANCH
+    );
+  }
+
+  async function loadConflicts() {
+    return (await LocalStore.get(cacheKey('conflicts'))) || [];
+  }
+
+  async function syncStatus() {
+    const [pending, conflicts] = await Promise.all([
+      pendingChanges(),
+      loadConflicts(),
+    ]);
+    return {
+      online: isOnline(),
+      remote: Boolean(adapter && adapter.remote),
+      storage: adapter ? adapter.label : '',
+      syncing,
+      pending: pending.length,
+      conflicts,
+    };
+  }
+
+  async function notifySync() {
+    const status = await syncStatus();
+    syncListeners.forEach((listener) => listener(status));
+  }
+
+  function onSyncChange(listener) {
+    syncListeners.push(listener);
+  }
+
+  // The cached snapshot with queued changes laid over it, i.e. what the
+  // server will hold once the queue has been replayed.
+  async function localSnapshot() {
+    const snapshot = await readSnapshot();
+    let items = snapshot.items.slice();
+    const movements = snapshot.movements.slice();
+    (await pendingChanges()).forEach((op) => {
+      if (op.type === 'upsert') {
+        items = items.filter((i) => i.id !== op.itemId).concat(op.item);
+      } else if (op.type === 'remove') {
+        items = items.filter((i) => i.id !== op.itemId);
+      } else if (op.type === 'movement') {
+        if (op.opening) movements.push(op.opening);
+        movements.push(op.movement);
+      }
+    });
+    return { items, movements };
+  }
+
+  // Repeated edits of a lot collapse into its first queued upsert, and
+  // deleting a lot drops whatever was queued for it (everything, if the lot
+  // itself was only created offline).
+  async function queueChange(op) {
+    const related = (await pendingChanges()).filter(
+      (o) => o.itemId === op.itemId
+    );
+    const earlier = related.find((o) => o.type === 'upsert');
+    const change = {
+      ...op,
+      branch: USER_BRANCH,
+      queuedAt: new Date().toISOString(),
+    };
+    let queued;
+    if (op.type === 'upsert' && earlier) {
+      queued = await LocalStore.update({ ...earlier, item: op.item });
+    } else if (op.type === 'remove') {
+      for (const o of related) await LocalStore.dequeue(o.seq);
+      queued =
+        earlier && earlier.isNew
+          ? true
+          : await LocalStore.enqueue(
+              earlier ? { ...change, baseUpdatedAt: earlier.baseUpdatedAt } : change
+            );
+    } else {
+      queued = await LocalStore.enqueue(change);
+    }
+    if (queued == null) {
+      console.error('Failed to queue offline change', change);
+    }
+    await notifySync();
+  }
+
+  async function queueItemChange(type, item) {
+    const known = (await readSnapshot()).items.find((i) => i.id === item.id);
+    await queueChange({
+      type,
+      itemId: item.id,
+      item,
+      baseUpdatedAt: known ? known.updatedAt : '',
+      isNew: !known,
+    });
+  }
+
+  async function queueMovement(item, movement) {
+    const { movements } = await localSnapshot();
+    const known = (await readSnapshot()).items.find((i) => i.id === item.id);
+    const hasLedger = movements.some((m) => m.itemId === item.id);
+    await queueChange({
+      type: 'movement',
+      itemId: item.id,
+      item,
+      movement,
+      opening:
+        !hasLedger && Number(item.quantity) !== 0
+          ? StockLedger.openingBalance(item)
+          : null,
+      isNew: !known,
+    });
+  }
+
+  // Runs `write` (which resolves to an error or null) against Supabase and
+  // falls back to `queue` when there is no connection, whether known up
+  // front or discovered mid-request.
+  async function writeOrQueue(write, queue, description) {
+    const supabase = getClient();
+    if (!supabase) return [];
+    if (!isOnline()) {
+      await queue();
+      return load();
+    }
+    try {
+      const error = await write(supabase);
+      if (error && isNetworkError(error)) {
+        await queue();
+      } else if (error) {
+        console.error(`Failed to ${description}`, error);
+      }
+    } catch (err) {
+      if (isNetworkError(err)) {
+        await queue();
+      } else {
+        console.error(`Unexpected error trying to ${description}`, err);
+      }
+    }
+    return load();
+  }
+
+  function conflictRecord(op, server, reason, message = '') {
+    return {
+      id: `cfl-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      reason,
+      message,
+      op,
+      server,
+      local: op.item ? mapItemToRow(op.item) : null,
+      detectedAt: new Date().toISOString(),
+    };
+  }
+
+  // Applies one queued change. Resolves to 'offline' if the connection went
+  // away, a conflict record if the server copy moved on (or the write was
+  // refused), or null once applied. `force` skips the conflict checks.
+  // `replayed` maps item ids to the { from, to } `updated_at` change made
+  // by movements replayed earlier in the same sync, which are not
+  // someone else's change.
+  async function replay(supabase, op, { force = false, replayed = new Map() } = {}) {
+    const { data: current, error } = await supabase
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('id', op.itemId)
+      .maybeSingle();
+    if (error) {
+      return isNetworkError(error)
+        ? 'offline'
+        : conflictRecord(op, null, 'failed', error.message);
+    }
+    if (!force) {
+      if (!current && !op.isNew && op.type !== 'remove') {
+        return conflictRecord(op, null, 'deleted');
+      }
+      const own = replayed.get(op.itemId);
+      const version = (current && current.updated_at) || '';
+      const base = own && version === own.to ? own.from : version;
+      if (
+        current &&
+        op.type !== 'movement' &&
+        (base || '') !== (op.baseUpdatedAt || '')
+      ) {
+        return conflictRecord(op, current, 'changed');
+      }
+    }
+
+    let writeError = null;
+    if (op.type === 'upsert') {
+      writeError = await writeItem(supabase, op.item);
+    } else if (op.type === 'remove') {
+      writeError = current ? await deleteItem(supabase, op.itemId) : null;
+    } else if (op.type === 'movement') {
+      const updatedAt = new Date().toISOString();
+      writeError = await writeMovement(supabase, op.item, op.movement, updatedAt);
+      if (!writeError && current) {
+        const own = replayed.get(op.itemId);
+        replayed.set(op.itemId, {
+          from: own && own.to === current.updated_at ? own.from : current.updated_at,
+          to: updatedAt,
+        });
+      }
+    }
+    if (writeError) {
+      return isNetworkError(writeError)
+        ? 'offline'
+        : conflictRecord(op, current, 'failed', writeError.message);
+    }
+    return null;
+  }
+
+  // Replays the queue in order, stopping (and keeping the rest) if the
+  // connection drops again.
+  async function sync() {
+    const supabase = getClient();
+    if (!supabase || syncing || !isOnline()) return load();
+    syncing = true;
+    await notifySync();
+    try {
+      const conflicts = await loadConflicts();
+      const replayed = new Map();
+      for (const op of await pendingChanges()) {
+        const outcome = await replay(supabase, op, { replayed });
+        if (outcome === 'offline') break;
+        if (outcome) {
+          conflicts.push(outcome);
+          await LocalStore.set(cacheKey('conflicts'), conflicts);
+        }
+        await LocalStore.dequeue(op.seq);
+      }
+    } catch (err) {
+      console.error('Unexpected error syncing offline changes', err);
+    } finally {
+      syncing = false;
+    }
+    await notifySync();
+    return load();
+  }
+
+  // Settles a conflict by either forcing the queued change through
+  // (`keepLocal`) or discarding it in favour of the server copy.
+  async function resolveConflict(conflictId, keepLocal) {
+    const conflicts = await loadConflicts();
+    const conflict = conflicts.find((c) => c.id === conflictId);
+    if (!conflict) return load();
+    if (keepLocal) {
+      const supabase = getClient();
+      if (!supabase || !isOnline()) return load();
+      const outcome = await replay(supabase, conflict.op, { force: true });
+      if (outcome) {
+        console.error(
+          'Failed to apply offline change',
+          outcome === 'offline' ? 'connection lost' : outcome.message
+        );
+        return load();
+      }
+    }
+    await LocalStore.set(
+      cacheKey('conflicts'),
+      conflicts.filter((c) => c.id !== conflictId)
+    );
+    await notifySync();
+    return load();
+  }
+
+  async function queryMovements(supabase, itemId) {
+    let query = supabase
+      .from(MOVEMENTS_TABLE)
+      .select('*')
+      .eq('branch', USER_BRANCH);
+    if (itemId) query = query.eq('item_id', itemId);
+    const { data, error } = await query.order('created_at', {
+      ascending: true,
+    });
+
+    if (error) {
+      console.error('Failed to load stock movements', error);
+      return null;
+    }
+    return (data || []).map(mapRowToMovement);
+  }
+
+  async function loadMovements(itemId) {
+    const supabase = getClient();
+    if (!supabase) return [];
+    const queued = (await pendingChanges())
+      .filter((op) => op.type === 'movement')
+      .filter((op) => !itemId || op.itemId === itemId)
+      .flatMap((op) => (op.opening ? [op.opening, op.movement] : [op.movement]));
+    try {
+      if (isOnline()) {
+        const movements = await queryMovements(supabase, itemId);
+        if (movements) return movements.concat(queued);
+      }
+    } catch (err) {
+      console.error('Unexpected error loading stock movements', err);
+    }
+    const { movements } = await localSnapshot();
+    return itemId ? movements.filter((m) => m.itemId === itemId) : movements;
+  }
+
+  async function fetchSnapshot(supabase) {
+    const { data, error } = await supabase
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('branch', USER_BRANCH)
+      .order('expiry_date', { ascending: true });
+
+    if (error) {
+      console.error('Failed to load inventory from Supabase', error);
+      return null;
+    }
+    const movements = await queryMovements(supabase);
+    if (!movements) return null;
+    return { items: (data || []).map(mapRowToItem), movements };
+  }
+
+  // Online, refreshes the local snapshot first; either way the result
+  // includes changes still waiting to be synced.
+  async function load() {
+    const supabase = getClient();
+    if (!supabase) return [];
+    try {
+      if (isOnline()) {
+        const snapshot = await fetchSnapshot(supabase);
+        if (snapshot) {
+          lastSnapshot = snapshot;
+          await cacheLocally(cacheKey('snapshot'), snapshot);
+        }
+      }
+    } catch (err) {
+      console.error('Unexpected error loading inventory from Supabase', err);
+    }
+    const { items, movements } = await localSnapshot();
+    return StockLedger.apply(items, movements).filter((i) => !i.deletedAt);
+  }
+
+  // Usage history for forecasts: consume movements and the lots they came
+  // from (deleted ones included, their usage still counts). Read from the
+  // local snapshot that `load` keeps current, so no extra round trip.
+  async function loadUsage() {
+    const { items, movements } = await localSnapshot();
+    return {
+      lots: items,
+      consumption: movements.filter((m) => m.type === 'consume'),
+    };
+  }
+
+  // The whole ledger, deleted lots included, for replaying stock history.
+  async function loadHistory() {
+    const { items, movements } = await localSnapshot();
+    return { lots: items, movements };
+  }
+
+  // Everything the waste register is built from: discard movements and the
+  // lots they came from, deleted ones included.
+  async function loadDiscards() {
+    await load();
+    const { items, movements } = await localSnapshot();
+    return {
+      lots: items,
+      discards: movements.filter((m) => m.type === 'discard'),
+    };
+  }
+
+  // The recycle bin: deleted lots, most recently deleted first.
+  async function loadDeleted() {
+    await load();
+    const { items, movements } = await localSnapshot();
+    return StockLedger.apply(items, movements)
+      .filter((i) => i.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  async function writeItem(supabase, item) {
+    const row = mapItemToRow(item);
+    const before = await fetchRow(supabase, row.id);
+    const { error } = await supabase.from(TABLE_NAME).upsert(row);
+    if (error) return error;
+    await recordAudit(supabase, auditAction(before, row), before, {
+      ...before,
+      ...row,
+    });
+    return null;
+  }
+
+  // Moving a lot into or out of the recycle bin is logged as such, not as
+  // an edit.
+  function auditAction(before, row) {
+    if (!before) return 'create';
+    if (row.deleted_at && !before.deleted_at) return 'delete';
+    if (!row.deleted_at && before.deleted_at) return 'restore';
+    return 'update';
+  }
+
+  // Editing a lot must not change its quantity unless the role may adjust
+  // stock directly; everyone else goes through movements.
+  // Compares with the ledger quantity, as shown in the table, so queued
+  // movements do not make an ordinary edit look like a direct change.
+  async function authorizeItemWrite(item) {
+    const { items, movements } = await localSnapshot();
+    const existing = StockLedger.apply(items, movements).find((i) => i.id === item.id);
+    if (!authorize(existing ? 'item.edit' : 'item.create')) return false;
+    return (
+      !existing ||
+      Number(existing.quantity) === Number(item.quantity) ||
+      authorize('stock.adjust')
+    );
+  }
+
+  async function upsert(item) {
+    if (!(await authorizeItemWrite(item))) return load();
+    return writeOrQueue(
+      (supabase) => writeItem(supabase, item),
+      () => queueItemChange('upsert', item),
+      'upsert inventory item in Supabase'
+    );
+  }
+
+  // Optimistic concurrency: the update only matches while the row still
+  // carries the `updated_at` the edit started from. Resolves to
+  // { error } or { conflict: serverRow | null } or {}.
+  async function writeItemIfUnchanged(supabase, item) {
+    const row = mapItemToRow(item);
+    let query = supabase.from(TABLE_NAME).update(row).eq('id', row.id);
+    query = item.updatedAt
+      ? query.eq('updated_at', item.updatedAt)
+      : query.is('updated_at', null);
+    const before = await fetchRow(supabase, row.id);
+    const { data, error } = await query.select();
+    if (error) return { error };
+    if (!data || data.length === 0) {
+      return { conflict: await fetchRow(supabase, row.id) };
+    }
+    await recordAudit(supabase, 'update', before, data[0]);
+    return {};
+  }
+
+  // Saves an edit of an existing lot. Resolves to { items, conflict };
+  // `conflict` is set when someone else changed the lot first and holds
+  // their copy (`server`, null if they deleted it) so the user can choose.
+  async function saveEdit(item) {
+    if (!(await authorizeItemWrite(item))) {
+      return { items: await load(), conflict: null };
+    }
+    let conflict = null;
+    const items = await writeOrQueue(
+      async (supabase) => {
+        const result = await writeItemIfUnchanged(supabase, item);
+        if ('conflict' in result) {
+          conflict = { server: mapRowToItem(result.conflict) };
+        }
+        return result.error || null;
+      },
+      () => queueItemChange('upsert', item),
+      'update inventory item in Supabase'
+    );
+    return { items, conflict };
+  }
+
+  // Live updates: `onChange` gets a freshly loaded item list whenever a lot
+  // or a stock movement in this branch changes, bursts coalesced. Returns an
+  // unsubscribe function (a no-op for adapters without realtime).
+  function subscribe(onChange) {
+    const supabase = getClient();
+    if (!supabase || typeof supabase.channel !== 'function') return () => {};
+    let timer = null;
+    const refresh = () => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => onChange(await load()), 300);
+    };
+    const branchFilter = `branch=eq.${USER_BRANCH}`;
+    const channel = supabase
+      .channel(`inventory-${USER_BRANCH}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: TABLE_NAME, filter: branchFilter },
+        refresh
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: MOVEMENTS_TABLE, filter: branchFilter },
+        refresh
+      )
+      .subscribe();
+    return () => supabase.removeChannel(channel);
+  }
+
+  // Appends a movement and refreshes the cached `quantity` column so the row
+  // stays readable on its own. The first movement on a pre-ledger lot is
+  // preceded by an opening balance carrying its stored quantity. The row's
+  // `updated_at` moves to `updatedAt`, so an edit started before the
+  // movement conflicts instead of writing the old quantity back.
+  async function writeMovement(
+    supabase,
+    item,
+    movement,
+    updatedAt = new Date().toISOString()
+  ) {
+    const { data: existing, error: existingError } = await supabase
+      .from(MOVEMENTS_TABLE)
+      .select('id')
+      .eq('item_id', item.id)
+      .limit(1);
+    if (existingError) return existingError;
+
+    const rows = [];
+    if ((existing || []).length === 0 && Number(item.quantity) !== 0) {
+      rows.push(mapMovementToRow(StockLedger.openingBalance(item)));
+    }
+    rows.push(mapMovementToRow(movement));
+
+    const { error } = await supabase.from(MOVEMENTS_TABLE).insert(rows);
+    if (error) return error;
+
+    const { error: updateError } = await supabase
+      .from(TABLE_NAME)
+      .update({
+        quantity: Number(item.quantity) + movement.quantity,
+        updated_at: updatedAt,
+      })
+      .eq('id', item.id);
+    if (updateError) {
+      console.error('Failed to update cached quantity', updateError);
+    }
+    return null;
+  }
+
+  async function recordMovement(item, movement) {
+    if (!authorize(movement.type === 'adjust' ? 'stock.adjust' : 'stock.move')) {
+      return load();
+    }
+    return writeOrQueue(
+      (supabase) => writeMovement(supabase, item, movement),
+      () => queueMovement(item, movement),
+      'record stock movement'
+    );
+  }
+
+  // Inserts new lots in one batch, each with a receive movement for its
+  // quantity so the ledger backs it from day one. Returns the error if the
+  // lots themselves could not be saved, else null.
+  async function insertLots(supabase, items, note) {
+    const rows = items.map(mapItemToRow);
+    const { error } = await supabase.from(TABLE_NAME).insert(rows);
+    if (error) {
+      console.error('Failed to save new lots', error);
+      return error;
+    }
+
+    const movements = items
+      .filter((item) => item.quantity > 0)
+      .map((item) =>
+        mapMovementToRow({
+          id: `mov-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+          itemId: item.id,
+          type: 'receive',
+          quantity: item.quantity,
+          note,
+        })
+      );
+    if (movements.length) {
+      const { error: movementError } = await supabase
+        .from(MOVEMENTS_TABLE)
+        .insert(movements);
+      if (movementError) {
+        console.error('Failed to record receive movements', movementError);
+      }
+    }
+
+    for (const row of rows) {
+      await recordAudit(supabase, 'create', null, row);
+    }
+    return null;
+  }
+
+  // Saves a delivery note and all of its lots in one batch. A delivery
+  // whose lots could not be saved is taken back out. Like the other
+  // writes that cannot be queued offline, returns { items, error }; `error`
+  // is null once saved, and also when refused (see onPermissionDenied).
+  async function receiveDelivery(delivery, items) {
+    const supabase = getClient();
+    if (!supabase) return { items: [], error: null };
+    if (!authorize('delivery.receive')) return { items: await load(), error: null };
+    let error = null;
+    try {
+      const { error: deliveryError } = await supabase
+        .from(DELIVERIES_TABLE)
+        .insert({
+          id: delivery.id,
+          branch: USER_BRANCH,
+          supplier: delivery.supplier,
+          delivery_note_no: delivery.deliveryNoteNo || null,
+          date_received: delivery.dateReceived,
+          requisition_id: delivery.requisitionId || null,
+          created_at: new Date().toISOString(),
+          created_by_email: CURRENT_USER ? CURRENT_USER.email : null,
+        });
+      if (deliveryError) {
+        console.error('Failed to save delivery', deliveryError);
+        return { items: await load(), error: deliveryError };
+      }
+
+      error = await insertLots(
+        supabase,
+        items,
+        delivery.deliveryNoteNo
+          ? `Delivery note ${delivery.deliveryNoteNo}`
+          : `Delivery from ${delivery.supplier}`
+      );
+      if (error) {
+        await supabase.from(DELIVERIES_TABLE).delete().eq('id', delivery.id);
+      }
+    } catch (err) {
+      console.error('Unexpected error saving delivery', err);
+      error = err;
+    }
+    return { items: await load(), error };
+  }
+
+  // Bulk import of lots from a spreadsheet; `source` (the file name) goes on
+  // the opening receive movements.
+  // Writes imported rows for lots already in stock in one batch. The stored
+  // quantity is left alone; a differing count goes through the ledger as
+  // an adjust movement, like a quantity typed into Edit.
+  async function updateImportedLots(supabase, updates, note) {
+    const befores = [];
+    for (const { existing } of updates) {
+      befores.push(await fetchRow(supabase, existing.id));
+    }
+    const rows = updates.map(({ item, existing }) =>
+      mapItemToRow({ ...item, quantity: existing.quantity })
+    );
+    const { error } = await supabase.from(TABLE_NAME).upsert(rows);
+    if (error) {
+      console.error('Failed to update imported lots', error);
+      return error;
+    }
+    for (const [n, row] of rows.entries()) {
+      await recordAudit(supabase, 'update', befores[n], row);
+    }
+
+    for (const { item, existing } of updates) {
+      if (item.quantity === existing.quantity) continue;
+      const movementError = await writeMovement(supabase, existing, {
+        id: `mov-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+        itemId: existing.id,
+        type: 'adjust',
+        quantity: item.quantity - existing.quantity,
+        note,
+      });
+      if (movementError) {
+        console.error('Failed to record imported stock count', movementError);
+      }
+    }
+    return null;
+  }
+
+  // New lots go in as receipts; `updates` ({ item, existing }) are rows
+  // for lots already in stock. Returns { items, error }, as receiveDelivery.
+  async function importItems(items, source, updates = []) {
+    const supabase = getClient();
+    if (!supabase) return { items: [], error: null };
+    if (!authorize('item.import')) return { items: await load(), error: null };
+    let error = null;
+    try {
+      if (items.length) {
+        error = await insertLots(supabase, items, `Imported from ${source}`);
+      }
+      if (!error && updates.length) {
+        error = await updateImportedLots(
+          supabase,
+          updates,
+          `Counted in import from ${source}`
+        );
+      }
+    } catch (err) {
+      console.error('Unexpected error importing inventory items', err);
+      error = err;
+    }
+    return { items: await load(), error };
+  }
+
+  // Every branch's lots for the management overview. Uses the cached
+  // `quantity` column rather than replaying every branch's ledger.
+  async function loadAllBranches() {
+    const supabase = getClient();
+    if (!supabase) return [];
+    try {
+      const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .order('expiry_date', { ascending: true });
+      if (error) {
+        console.error('Failed to load inventory for all branches', error);
+        return [];
+      }
+      return (data || []).map(mapRowToItem).filter((i) => !i.deletedAt);
+    } catch (err) {
+      console.error('Unexpected error loading inventory for all branches', err);
+      return [];
+    }
+  }
+
+  function mapRowToTransfer(row) {
+    return {
+      id: row.id,
+      fromBranch: row.from_branch,
+      toBranch: row.to_branch,
+      itemId: row.item_id,
+      category: row.category || '',
+      itemName: row.item_name || '',
+      brand: row.brand || '',
+      contentVolume: row.content_volume || '',
+      lotNumber: row.lot_number || '',
+      expiryDate: row.expiry_date || '',
+      quantity: Number(row.quantity ?? 0),
+      unitCost: row.unit_cost == null ? null : Number(row.unit_cost),
+      status: row.status || 'in_transit',
+      note: row.note || '',
+      createdAt: row.created_at || '',
+      createdBy: row.created_by_email || '',
+      closedAt: row.closed_at || '',
+      closedBy: row.closed_by_email || '',
+    };
+  }
+
+  function mapTransferToRow(transfer) {
+    return {
+      id: transfer.id,
+      from_branch: transfer.fromBranch,
+      to_branch: transfer.toBranch,
+      item_id: transfer.itemId,
+      category: transfer.category,
+      item_name: transfer.itemName,
+      brand: transfer.brand || null,
+      content_volume: transfer.contentVolume || null,
+      lot_number: transfer.lotNumber || null,
+      expiry_date: transfer.expiryDate || null,
+      quantity: transfer.quantity,
+      unit_cost: transfer.unitCost ?? null,
+      status: transfer.status,
+      note: transfer.note || null,
+      created_at: transfer.createdAt,
+      created_by_email: CURRENT_USER ? CURRENT_USER.email : null,
+    };
+  }
+
+  // Transfers this branch sent or is due to receive, newest first; with
+  // `allBranches`, every transfer still in transit anywhere.
+  async function loadTransfers({ allBranches = false } = {}) {
+    const supabase = getClient();
+    if (!supabase) return [];
+    try {
+      const queries = allBranches
+        ? [supabase.from(TRANSFERS_TABLE).select('*').eq('status', 'in_transit')]
+        : [
+            supabase.from(TRANSFERS_TABLE).select('*').eq('from_branch', USER_BRANCH),
+            supabase.from(TRANSFERS_TABLE).select('*').eq('to_branch', USER_BRANCH),
+          ];
+      const results = await Promise.all(queries);
+      const failed = results.find((r) => r.error);
+      if (failed) {
+        console.error('Failed to load transfers', failed.error);
+        return [];
+      }
+      const byId = new Map();
+      results.forEach((r) =>
+        (r.data || []).forEach((row) => byId.set(row.id, mapRowToTransfer(row)))
+      );
+      return [...byId.values()].sort((a, b) =>
+        b.createdAt.localeCompare(a.createdAt)
+      );
+    } catch (err) {
+      console.error('Unexpected error loading transfers', err);
+      return [];
+    }
+  }
+
+  // Moves a transfer out of `in_transit` only if nobody else already did,
+  // so a transfer cannot be received twice or received after cancelling.
+  // Returns the error, or null.
+  async function closeTransfer(supabase, transfer, status) {
+    const { data, error } = await supabase
+      .from(TRANSFERS_TABLE)
+      .update({
+        status,
+        closed_at: new Date().toISOString(),
+        closed_by_email: CURRENT_USER ? CURRENT_USER.email : null,
+      })
+      .eq('id', transfer.id)
+      .eq('status', 'in_transit')
+      .select();
+    if (error) {
+      console.error('Failed to update transfer', error);
+      return error;
+    }
+    if (!data || data.length === 0) {
+      console.error('Transfer is no longer in transit', transfer.id);
+      return new Error('The transfer was already received or cancelled');
+    }
+    return null;
+  }
+
+  // Undoes closeTransfer when the stock side of the change failed.
+  async function reopenTransfer(supabase, transfer) {
+    await supabase
+      .from(TRANSFERS_TABLE)
+      .update({ status: 'in_transit', closed_at: null, closed_by_email: null })
+      .eq('id', transfer.id);
+  }
+
+  // Sender side: the units leave the lot (a `transfer` movement) and sit in
+  // transit until the receiving branch confirms. Returns { items, error },
+  // as receiveDelivery; so do receiveTransfer and cancelTransfer.
+  async function sendTransfer(transfer, lot, movement) {
+    const supabase = getClient();
+    if (!supabase) return { items: [], error: null };
+    if (!authorize('transfer.manage')) return { items: await load(), error: null };
+    let error = null;
+    try {
+      const { error: transferError } = await supabase
+        .from(TRANSFERS_TABLE)
+        .insert(mapTransferToRow(transfer));
+      if (transferError) {
+        console.error('Failed to create transfer', transferError);
+        return { items: await load(), error: transferError };
+      }
+      error = await writeMovement(supabase, lot, movement);
+      if (error) {
+        console.error('Failed to book transfer out of stock', error);
+        await supabase.from(TRANSFERS_TABLE).delete().eq('id', transfer.id);
+      }
+    } catch (err) {
+      console.error('Unexpected error sending transfer', err);
+      error = err;
+    }
+    return { items: await load(), error };
+  }
+
+  // The lot in this branch with the same item and lot number as `item`,
+  // or null. Lot numbers match as the import matches them.
+  async function findLot(supabase, item) {
+    const lotNumber = (item.lotNumber || '').trim().toLowerCase();
+    if (!lotNumber) return null;
+    const { data, error } = await supabase
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('branch', USER_BRANCH)
+      .eq('item_name', item.itemName)
+      .is('deleted_at', null);
+    if (error) throw error;
+    const row = (data || []).find(
+      (r) =>
+        (r.category || '') === (item.category || '') &&
+        (r.lot_number || '').trim().toLowerCase() === lotNumber
+    );
+    return row ? mapRowToItem(row) : null;
+  }
+
+  // Receiver side: the units go onto the branch's lot with the same item and
+  // lot number if there is one (a receive movement), else arrive as a new lot.
+  async function receiveTransfer(transfer, item) {
+    const supabase = getClient();
+    if (!supabase) return { items: [], error: null };
+    if (!authorize('transfer.manage')) return { items: await load(), error: null };
+    let error = null;
+    try {
+      const existing = await findLot(supabase, item);
+      error = await closeTransfer(supabase, transfer, 'received');
+      if (error) return { items: await load(), error };
+      const note = `Transfer from ${transfer.fromBranch}`;
+      if (existing) {
+        error = await writeMovement(supabase, existing, {
+          id: `mov-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+          itemId: existing.id,
+          type: 'receive',
+          quantity: item.quantity,
+          note,
+        });
+        if (error) console.error('Failed to book transfer into stock', error);
+      } else {
+        error = await insertLots(supabase, [item], note);
+      }
+      if (error) await reopenTransfer(supabase, transfer);
+    } catch (err) {
+      console.error('Unexpected error receiving transfer', err);
+      error = err;
+    }
+    return { items: await load(), error };
+  }
+
+  // Sender changes their mind before receipt: the units go back on the lot.
+  async function cancelTransfer(transfer, lot, movement) {
+    const supabase = getClient();
+    if (!supabase) return { items: [], error: null };
+    if (!authorize('transfer.manage')) return { items: await load(), error: null };
+    let error = null;
+    try {
+      error = await closeTransfer(supabase, transfer, 'cancelled');
+      if (error) return { items: await load(), error };
+      error = await writeMovement(supabase, lot, movement);
+      if (error) {
+        console.error('Failed to return cancelled transfer to stock', error);
+        await reopenTransfer(supabase, transfer);
+      }
+    } catch (err) {
+      console.error('Unexpected error cancelling transfer', err);
+      error = err;
+    }
+    return { items: await load(), error };
+  }
+
+  async function deleteItem(supabase, id) {
+    const before = await fetchRow(supabase, id);
+    const { error } = await supabase.from(TABLE_NAME).delete().eq('id', id);
+    if (error) return error;
+    await recordAudit(supabase, 'purge', before, null);
+    return null;
+  }
+
+  // Writes a lot's recycle-bin fields, online or through the queue.
+  async function markDeleted(id, fields, description) {
+    const { items } = await localSnapshot();
+    const item = items.find((i) => i.id === id);
+    if (!item) return load();
+    const marked = { ...item, ...fields };
+    return writeOrQueue(
+      (supabase) => writeItem(supabase, marked),
+      () => queueItemChange('upsert', marked),
+      description
+    );
+  }
+
+  // Deleting only moves the lot to the recycle bin; `purge` removes it.
+  async function remove(id, reason = '') {
+    if (!authorize('item.delete')) return load();
+    return markDeleted(
+      id,
+      {
+        deletedAt: new Date().toISOString(),
+        deletedBy: CURRENT_USER ? CURRENT_USER.email : '',
+        deleteReason: reason,
+      },
+      'delete inventory item in Supabase'
+    );
+  }
+
+  async function restore(id) {
+    if (!authorize('item.delete')) return load();
+    return markDeleted(
+      id,
+      { deletedAt: '', deletedBy: '', deleteReason: '' },
+      'restore inventory item in Supabase'
+    );
+  }
+
+  async function purge(id) {
+    if (!authorize('item.purge')) return load();
+    const { items } = await localSnapshot();
+    const item = items.find((i) => i.id === id) || { id };
+    return writeOrQueue(
+      (supabase) => deleteItem(supabase, id),
+      () => queueItemChange('remove', item),
+      'purge inventory item in Supabase'
+    );
+  }
+
+  async function initializeWithSampleDataIfEmpty() {
+    const items = await load();
+    return items;
+  }
+
+  return {
+    useAdapter,
+    onPermissionDenied,
+    loadRole,
+    load,
+    upsert,
+    saveEdit,
+    subscribe,
+    remove,
+    restore,
+    purge,
+    loadDeleted,
+    loadDiscards,
+    loadUsage,
+    loadHistory,
+    initializeWithSampleDataIfEmpty,
+    loadMovements,
+    recordMovement,
+    loadAudit,
+    loadNotifications,
+    saveNotifications,
+    loadNotificationWatch,
+    saveNotificationWatch,
+    loadCatalog,
+    saveCatalogEntry,
+    mergeCatalogEntry,
+    saveCategory,
+    loadReorderLevels,
+    saveReorderLevels,
+    loadExpiryTiers,
+    saveExpiryTiers,
+    loadSettings,
+    saveSettings,
+    loadRequisitions,
+    saveRequisition,
+    receiveDelivery,
+    importItems,
+    loadAllBranches,
+    loadTransfers,
+    sendTransfer,
+    receiveTransfer,
+    cancelTransfer,
+    sync,
+    syncStatus,
+    onSyncChange,
+    pendingChanges,
+    resolveConflict,
+    loadDigestSubscription,
+    saveDigestSubscription,
+    hasFunctions,
+    invokeFunction,
+  };
+})();
+
+// Outgoing mail. A transport's `send({ to, subject, html, text })` resolves
+// to `{ error }`. A browser cannot talk SMTP itself, so `smtp` hands the
+// message to a Supabase Edge Function that holds the SMTP account
+// (supabase/functions/send-mail, which only mails the caller); `log`
+// only prints messages to the console and keeps them in `sent`, for
+// testing without a mail server.
+const MailTransports = (() => {
+  function smtp(functionName = 'send-mail') {
+    return {
+      name: 'smtp',
+      label: `SMTP via the ${functionName} function`,
+      send: (message) => InventoryRepository.invokeFunction(functionName, message),
+    };
+  }
+
+  function log(sink = console) {
+    const sent = [];
+    return {
+      name: 'log',
+      label: 'Log only (browser console)',
+      sent,
+      async send(message) {
+        sent.push({ ...message, sentAt: new Date().toISOString() });
+        sink.info(
+          `[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+        );
+        return { error: null };
+      },
+    };
+  }
+
+  return { smtp, log };
+})();
+
+// ===============================
+// Service Layer (business rules)
+// ===============================
+
+const InventoryService = (() => {
+  function createItem(payload) {
+    return {
+      id:
+        payload.id ||
+        `itm-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      category: payload.category,
+      itemName: payload.itemName,
+      brand: payload.brand || '',
+      contentVolume: payload.contentVolume || '',
+      lotNumber: payload.lotNumber || '',
+      dateReceived: payload.dateReceived || '',
+      expiryDate: payload.expiryDate || '',
+      dateOpened:
+        payload.dateOpened ||
+        (payload.status === 'Opened' ? DateUtils.today() : ''),
+      status: payload.status || 'Unopened',
+      quantity: Number(payload.quantity ?? 0),
+      unitCost: Money.parse(payload.unitCost),
+      remarks: payload.remarks || '',
+      deliveryId: payload.deliveryId || '',
+      updatedAt: payload.updatedAt || '',
+      deletedAt: payload.deletedAt || '',
+      deletedBy: payload.deletedBy || '',
+      deleteReason: payload.deleteReason || '',
+    };
+  }
+
+  function expiryInfo(item) {
+    return DateUtils.classifyExpiry(item.expiryDate, {
+      dateOpened: item.dateOpened,
+      stabilityDays: Catalog.stabilityDays(item.category, item.itemName),
+      tiers: ExpiryTiers.forItem(item.category, item.itemName),
+    });
+  }
+
+  function validate(item) {
+    const errors = [];
+    if (!item.category) errors.push('Category is required');
+    if (!item.itemName) errors.push('Item Name is required');
+    if (!item.expiryDate) errors.push('Expiry Date is required');
+    if (item.quantity == null || Number.isNaN(item.quantity)) {
+      errors.push('Quantity must be a number');
+    }
+    if (item.quantity < 0) {
+      errors.push('Quantity cannot be negative');
+    }
+    if (item.unitCost != null && Number.isNaN(item.unitCost)) {
+      errors.push('Unit cost must be a number');
+    } else if (item.unitCost < 0) {
+      errors.push('Unit cost cannot be negative');
+    }
+    return errors;
+  }
+
+  function createMovement(item, payload) {
+    const type = payload.type;
+    const amount = Number(payload.amount ?? 0);
+    const def = MovementTypes[type];
+    let delta = 0;
+    if (def) {
+      delta =
+        def.direction === 0
+          ? amount - Number(item.quantity ?? 0)
+          : def.direction * amount;
+    }
+    return {
+      id: `mov-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      itemId: item.id,
+      type,
+      amount,
+      quantity: delta,
+      note: payload.note || '',
+      reason: payload.reason || '',
+      responsible: payload.responsible || '',
+      unitCost: Money.parse(payload.unitCost),
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  function validateMovement(item, movement) {
+    const errors = [];
+    const def = MovementTypes[movement.type];
+    if (!def) errors.push('Movement type is required');
+    if (Number.isNaN(movement.amount)) {
+      errors.push('Quantity must be a number');
+    } else if (movement.amount < 0) {
+      errors.push('Quantity cannot be negative');
+    } else if (def && def.direction !== 0 && movement.amount === 0) {
+      errors.push('Quantity must be greater than zero');
+    }
+    if (def && def.direction === 0 && movement.quantity === 0) {
+      errors.push('Counted quantity matches the current stock');
+    }
+    if (Number(item.quantity ?? 0) + movement.quantity < 0) {
+      errors.push(`Cannot remove more than the ${item.quantity} on hand`);
+    }
+    return errors;
+  }
+
+  // Discards go to the waste register, which needs to say why and who.
+  function validateDiscard(item, movement) {
+    const errors = validateMovement(item, movement);
+    if (!WasteReasons[movement.reason]) errors.push('Reason is required');
+    if (!movement.responsible) errors.push('Person responsible is required');
+    if (
+      movement.unitCost != null &&
+      (Number.isNaN(movement.unitCost) || movement.unitCost < 0)
+    ) {
+      errors.push('Unit cost cannot be negative');
+    }
+    return errors;
+  }
+
+  function expiryTime(item) {
+    const d = DateUtils.parse(expiryInfo(item).date);
+    return d ? d.getTime() : Number.POSITIVE_INFINITY;
+  }
+
+  // First-expired-first-out: usable lots of one item, already-opened lots
+  // first, then by earliest expiry. The head of the list is the lot to use.
+  function pickFefo(items, category, itemName) {
+    const candidates = items
+      .filter(
+        (i) =>
+          i.category === category &&
+          i.itemName === itemName &&
+          i.quantity > 0 &&
+          expiryInfo(i).code !== 'expired'
+      )
+      .sort((a, b) => {
+        const aOpened = a.status === 'Opened' ? 0 : 1;
+        const bOpened = b.status === 'Opened' ? 0 : 1;
+        if (aOpened !== bOpened) return aOpened - bOpened;
+        return expiryTime(a) - expiryTime(b);
+      });
+    return { recommended: candidates[0] || null, candidates };
+  }
+
+  function fefoWarning(items, chosen) {
+    const { recommended } = pickFefo(items, chosen.category, chosen.itemName);
+    if (!recommended || recommended.id === chosen.id) return null;
+    if (expiryTime(chosen) <= expiryTime(recommended)) return null;
+    const lot = recommended.lotNumber ? `lot ${recommended.lotNumber}` : 'another lot';
+    return (
+      `FEFO: ${lot} (${recommended.status.toLowerCase()}, expires ` +
+      `${DateUtils.format(expiryInfo(recommended).date)}) should be used before ` +
+      `this lot (expires ${DateUtils.format(expiryInfo(chosen).date)}).`
+    );
+  }
+
+  function itemKey(item) {
+    return `${item.category}::${item.itemName}`;
+  }
+
+  const USAGE_WINDOW_DAYS = 90;
+  const MIN_USAGE_DAYS = 7;
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  // Average units used per day for each item (by itemKey) over the last
+  // USAGE_WINDOW_DAYS. An item first used more recently is averaged over the
+  // days since then (at least MIN_USAGE_DAYS), so new items are not
+  // under-counted.
+  function usageRates(lots, consumption, now = new Date()) {
+    const keyById = new Map(lots.map((l) => [l.id, itemKey(l)]));
+    const since = now.getTime() - USAGE_WINDOW_DAYS * MS_PER_DAY;
+    const totals = new Map();
+    consumption.forEach((m) => {
+      const key = keyById.get(m.itemId);
+      const at = DateUtils.parse(m.createdAt);
+      if (!key || !at || at.getTime() < since) return;
+      const t = totals.get(key) || { units: 0, first: at.getTime() };
+      t.units += Math.abs(Number(m.quantity || 0));
+      t.first = Math.min(t.first, at.getTime());
+      totals.set(key, t);
+    });
+    const rates = new Map();
+    totals.forEach((t, key) => {
+      const days = Math.min(
+        USAGE_WINDOW_DAYS,
+        Math.max(MIN_USAGE_DAYS, (now.getTime() - t.first) / MS_PER_DAY)
+      );
+      rates.set(key, t.units / days);
+    });
+    return rates;
+  }
+
+  // Days of supply and stock-out date per item, and per lot how much is
+  // likely to expire unused. Lots are used up in FEFO order at the current
+  // rate; whatever a lot still holds on its expiry date is lost, and the
+  // next lot takes over from then. Items with no recent usage get no
+  // forecast.
+  function forecast(items, rates) {
+    const byItem = new Map();
+    const byLot = new Map();
+    const groups = new Map();
+    items.forEach((i) => {
+      if (i.status === 'Discarded' || !(i.quantity > 0)) return;
+      const key = itemKey(i);
+      if (!groups.has(key)) groups.set(key, i);
+    });
+    groups.forEach((sample, key) => {
+      const { candidates } = pickFefo(items, sample.category, sample.itemName);
+      const rate = rates.get(key) || 0;
+      const onHand = candidates.reduce((sum, l) => sum + l.quantity, 0);
+      const row = {
+        key,
+        category: sample.category,
+        itemName: sample.itemName,
+        onHand,
+        dailyUsage: rate,
+        weeklyUsage: rate * 7,
+        daysOfSupply: null,
+        stockOutDate: '',
+        lotsAtRisk: 0,
+        unitsAtRisk: 0,
+      };
+      if (rate > 0) {
+        let day = 0;
+        candidates.forEach((lot) => {
+          const info = expiryInfo(lot);
+          const daysLeft = info.days == null ? Infinity : info.days - day;
+          const used = Math.min(lot.quantity, Math.max(0, rate * daysLeft));
+          const unused = Math.floor(lot.quantity - used);
+          day += used / rate;
+          byLot.set(lot.id, { unused, runsOutDay: day });
+          if (unused > 0) {
+            row.lotsAtRisk += 1;
+            row.unitsAtRisk += unused;
+          }
+        });
+        row.daysOfSupply = Math.floor(day);
+        row.stockOutDate = DateUtils.toIsoDate(
+          DateUtils.addDays(DateUtils.today(), row.daysOfSupply)
+        );
+      }
+      byItem.set(key, row);
+    });
+    return { byItem, byLot };
+  }
+
+  // One entry per category + item with stock totalled across all its lots,
+  // compared against that item's reorder point for the branch.
+  function stockLevels(items) {
+    const groups = new Map();
+    items.forEach((i) => {
+      const key = itemKey(i);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          category: i.category,
+          itemName: i.itemName,
+          total: 0,
+          lots: 0,
+        });
+      }
+      const group = groups.get(key);
+      group.total += Number(i.quantity || 0);
+      group.lots += 1;
+    });
+    return [...groups.values()].map((g) => {
+      const level = Catalog.reorderLevel(g.category, g.itemName);
+      return {
+        ...g,
+        minLevel: level.minLevel,
+        reorderQty: level.reorderQty,
+        belowReorder: g.total <= level.minLevel,
+      };
+    });
+  }
+
+  // Proposes a requisition line for every item below its reorder point, or
+  // whose usable lots (in stock, not expired) all expire within its lead
+  // time. The proposal is the configured reorder quantity, else enough to
+  // bring usable stock back above the minimum level.
+  function buildRequisitionLines(items) {
+    const lines = [];
+    stockLevels(items).forEach((level) => {
+      const { leadTimeDays } = Catalog.reorderLevel(
+        level.category,
+        level.itemName
+      );
+      const usable = items.filter(
+        (i) =>
+          itemKey(i) === level.key &&
+          i.quantity > 0 &&
+          expiryInfo(i).code !== 'expired'
+      );
+      const usableTotal = usable.reduce((sum, i) => sum + i.quantity, 0);
+      const expiresWithinLeadTime =
+        usable.length > 0 &&
+        usable.every((i) => {
+          const { days } = expiryInfo(i);
+          return days != null && days <= leadTimeDays;
+        });
+
+      let reason = '';
+      if (level.belowReorder) {
+        reason = `Below reorder point (${level.total} ≤ ${level.minLevel})`;
+      } else if (usable.length === 0) {
+        reason = 'No usable stock';
+      } else if (expiresWithinLeadTime) {
+        reason = `Usable stock expires within ${leadTimeDays}-day lead time`;
+      }
+      if (!reason) return;
+
+      const withBrand = items.find((i) => itemKey(i) === level.key && i.brand);
+      lines.push({
+        category: level.category,
+        itemName: level.itemName,
+        brand: withBrand ? withBrand.brand : '',
+        onHand: level.total,
+        usable: usableTotal,
+        minLevel: level.minLevel,
+        reason,
+        quantity:
+          level.reorderQty > 0
+            ? level.reorderQty
+            : Math.max(level.minLevel + 1 - usableTotal, 1),
+      });
+    });
+    return lines.sort(
+      (a, b) =>
+        a.category.localeCompare(b.category) ||
+        a.itemName.localeCompare(b.itemName)
+    );
+  }
+
+  function createRequisition(payload) {
+    return {
+      id:
+        payload.id ||
+        `req-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      status: payload.status || 'draft',
+      notes: payload.notes || '',
+      lines: (payload.lines || []).map((l) => ({
+        ...l,
+        quantity: Number(l.quantity ?? 0),
+      })),
+      createdAt: payload.createdAt || new Date().toISOString(),
+      createdBy: payload.createdBy || '',
+    };
+  }
+
+  // `previousStatus` is the saved status, if the requisition was saved
+  // before; only an approved requisition can be received.
+  function validateRequisition(requisition, previousStatus = '') {
+    const errors = [];
+    if (!RequisitionStatuses[requisition.status]) {
+      errors.push('Status is invalid');
+    }
+    if (
+      requisition.status === 'received' &&
+      !['approved', 'received'].includes(previousStatus)
+    ) {
+      errors.push('Only an approved requisition can be marked received');
+    }
+    if (requisition.lines.length === 0) {
+      errors.push('Requisition has no lines');
+    }
+    requisition.lines.forEach((l) => {
+      if (!l.itemName) errors.push('Every line needs an item name');
+      if (Number.isNaN(l.quantity) || l.quantity <= 0) {
+        errors.push(`${l.itemName || 'Line'}: quantity must be greater than zero`);
+      }
+    });
+    return errors;
+  }
+
+  function createDelivery(payload) {
+    return {
+      id:
+        payload.id ||
+        `dlv-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      supplier: (payload.supplier || '').trim(),
+      deliveryNoteNo: (payload.deliveryNoteNo || '').trim(),
+      dateReceived: payload.dateReceived || '',
+      requisitionId: payload.requisitionId || '',
+    };
+  }
+
+  // Turns delivery lines into lots and collects every problem, prefixed with
+  // its line number, so the whole note can be fixed in one pass.
+  function prepareDelivery(delivery, lines) {
+    const errors = [];
+    if (!delivery.supplier) errors.push('Supplier is required');
+    if (!delivery.dateReceived) errors.push('Date received is required');
+    if (lines.length === 0) errors.push('Add at least one line item');
+
+    const items = lines.map((line, index) => {
+      const item = createItem({
+        ...line,
+        brand: line.brand || delivery.supplier,
+        dateReceived: delivery.dateReceived,
+        status: 'Unopened',
+        deliveryId: delivery.id,
+      });
+      validate(item).forEach((e) => errors.push(`Line ${index + 1}: ${e}`));
+      if (item.quantity <= 0) {
+        errors.push(`Line ${index + 1}: Quantity must be greater than zero`);
+      }
+      return item;
+    });
+    return { items, errors };
+  }
+
+  // Ordered vs. delivered per item, plus anything delivered that was not on
+  // the requisition.
+  function reconcileDelivery(requisition, lines) {
+    const delivered = new Map();
+    lines.forEach((l) => {
+      const key = itemKey(l);
+      delivered.set(key, (delivered.get(key) || 0) + Number(l.quantity || 0));
+    });
+    const rows = requisition.lines.map((l) => {
+      const key = itemKey(l);
+      const received = delivered.get(key) || 0;
+      delivered.delete(key);
+      return {
+        category: l.category,
+        itemName: l.itemName,
+        ordered: l.quantity,
+        received,
+        state:
+          received === l.quantity
+            ? 'complete'
+            : received < l.quantity
+            ? 'short'
+            : 'over',
+      };
+    });
+    delivered.forEach((received, key) => {
+      const [category, itemName] = key.split('::');
+      rows.push({ category, itemName, ordered: 0, received, state: 'extra' });
+    });
+    return rows;
+  }
+
+  function createTransfer(lot, payload) {
+    return {
+      id:
+        payload.id ||
+        `trf-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      fromBranch: payload.fromBranch,
+      toBranch: (payload.toBranch || '').trim().toLowerCase(),
+      itemId: lot.id,
+      category: lot.category,
+      itemName: lot.itemName,
+      brand: lot.brand,
+      contentVolume: lot.contentVolume,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      quantity: Number(payload.quantity ?? 0),
+      unitCost: lot.unitCost ?? null,
+      status: 'in_transit',
+      note: (payload.note || '').trim(),
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  function validateTransfer(transfer, lot) {
+    const errors = [];
+    if (!lot) errors.push('Choose a lot to send');
+    if (!transfer.toBranch) errors.push('Destination branch is required');
+    if (transfer.toBranch && transfer.toBranch === transfer.fromBranch) {
+      errors.push('Destination must be another branch');
+    }
+    if (!Number.isInteger(transfer.quantity) || transfer.quantity <= 0) {
+      errors.push('Quantity must be a whole number greater than zero');
+    } else if (lot && transfer.quantity > lot.quantity) {
+      errors.push(`Only ${lot.quantity} unit(s) of this lot are in stock`);
+    }
+    if (lot && expiryInfo(lot).code === 'expired') {
+      errors.push('Expired lots cannot be transferred');
+    }
+    return errors;
+  }
+
+  // The stock booking on the sending lot: out when sent, back in when the
+  // sender cancels.
+  function transferMovement(lot, transfer, { cancelled = false } = {}) {
+    return createMovement(lot, {
+      type: cancelled ? 'receive' : 'transfer',
+      amount: transfer.quantity,
+      note: cancelled
+        ? `Transfer to ${transfer.toBranch} cancelled`
+        : `Transfer to ${transfer.toBranch}`,
+    });
+  }
+
+  // The lot a transfer becomes in the receiving branch.
+  function itemFromTransfer(transfer) {
+    return createItem({
+      category: transfer.category,
+      itemName: transfer.itemName,
+      brand: transfer.brand,
+      contentVolume: transfer.contentVolume,
+      lotNumber: transfer.lotNumber,
+      expiryDate: transfer.expiryDate,
+      dateReceived: DateUtils.today(),
+      status: 'Unopened',
+      quantity: transfer.quantity,
+      unitCost: transfer.unitCost,
+      remarks: `Transferred from ${transfer.fromBranch}`,
+    });
+  }
+
+  // Per-branch stock and expiry risk. Lots at zero only count as out of
+  // stock; in-transit units are shown against both ends of the transfer.
+  function branchOverview(items, transfers = []) {
+    const rows = new Map();
+    const row = (branch) => {
+      if (!rows.has(branch)) {
+        rows.set(branch, {
+          branch,
+          lots: 0,
+          units: 0,
+          expiredUnits: 0,
+          expiringLots: 0,
+          expiringUnits: 0,
+          outOfStock: 0,
+          inbound: 0,
+          outbound: 0,
+        });
+      }
+      return rows.get(branch);
+    };
+    items.forEach((item) => {
+      const r = row(item.branch || 'unassigned');
+      const quantity = Number(item.quantity || 0);
+      if (quantity <= 0) {
+        r.outOfStock += 1;
+        return;
+      }
+      r.lots += 1;
+      r.units += quantity;
+      const code = expiryInfo(item).code;
+      if (code === 'expired') {
+        r.expiredUnits += quantity;
+      } else if (code === 'warning') {
+        r.expiringLots += 1;
+        r.expiringUnits += quantity;
+      }
+    });
+    transfers
+      .filter((t) => t.status === 'in_transit')
+      .forEach((t) => {
+        row(t.fromBranch).outbound += t.quantity;
+        row(t.toBranch).inbound += t.quantity;
+      });
+    return [...rows.values()].sort((a, b) => a.branch.localeCompare(b.branch));
+  }
+
+  // Lots with stock inside the expiry warning window, soonest first: the
+  // candidates for moving to a branch that will use them in time.
+  function expiringLots(items) {
+    return items
+      .filter((i) => Number(i.quantity) > 0)
+      .map((item) => ({ item, info: expiryInfo(item) }))
+      .filter(({ info }) => info.code === 'warning')
+      .sort((a, b) => a.info.days - b.info.days);
+  }
+
+  // Columns an import understands, in the order `exportCsv` writes them.
+  // `aliases` are other headings seen in branch spreadsheets.
+  const IMPORT_FIELDS = Object.freeze([
+    { field: 'category', header: 'Category', aliases: ['section', 'department'] },
+    { field: 'itemName', header: 'Item Name', aliases: ['item', 'reagent', 'description'] },
+    { field: 'brand', header: 'Brand / Supplier', aliases: ['brand', 'supplier', 'manufacturer'] },
+    { field: 'contentVolume', header: 'Content Volume', aliases: ['volume', 'unit', 'pack size'] },
+    { field: 'lotNumber', header: 'Lot Number', aliases: ['lot', 'lot no', 'batch', 'batch no'] },
+    { field: 'dateReceived', header: 'Date Received', aliases: ['received'] },
+    { field: 'expiryDate', header: 'Expiry Date', aliases: ['expiry', 'exp date', 'expiration date'] },
+    { field: 'dateOpened', header: 'Date Opened', aliases: ['opened'] },
+    { field: 'status', header: 'Status', aliases: [] },
+    { field: 'quantity', header: 'Quantity Remaining', aliases: ['quantity', 'qty', 'stock'] },
+    { field: 'unitCost', header: 'Unit Cost', aliases: ['cost', 'price', 'unit price'] },
+    { field: 'remarks', header: 'Remarks', aliases: ['notes', 'comments'] },
+  ]);
+
+  const ITEM_STATUSES = ['Unopened', 'Opened', 'Out of Stock'];
+
+  function normalizeHeading(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Field -> column index (or -1) for a header row, matching the export's
+  // headings first and then the known aliases.
+  function guessImportMapping(header) {
+    const headings = header.map(normalizeHeading);
+    const mapping = {};
+    IMPORT_FIELDS.forEach(({ field, header: label, aliases }) => {
+      const names = [label, ...aliases].map(normalizeHeading);
+      mapping[field] = headings.findIndex((h) => names.includes(h));
+    });
+    return mapping;
+  }
+
+  // Builds a preview row per data row: the lot it would create, blocking
+  // `errors`, non-blocking `warnings`, and `duplicate` when the same item +
+  // lot is already in stock or earlier in the file. Item names are matched to
+  // the catalog; unknown items in a known category become `newEntry`.
+  function prepareImport(rows, mapping, existingItems) {
+    const lotKey = (item) =>
+      `${itemKey(item)}::${item.lotNumber.trim().toLowerCase()}`;
+    const inStock = new Map(
+      existingItems.filter((i) => i.lotNumber).map((i) => [lotKey(i), i])
+    );
+    const seen = new Map();
+    const newEntries = new Map();
+
+    return rows.map((row, index) => {
+      const rowNumber = index + 2;
+      const value = (field) =>
+        mapping[field] >= 0 ? String(row[mapping[field]] ?? '').trim() : '';
+      const errors = [];
+      const warnings = [];
+
+      const { category, entry } = Catalog.resolve(
+        value('category'),
+        value('itemName')
+      );
+      if (value('category') && !category) {
+        errors.push(`Unknown category "${value('category')}"`);
+      }
+      let newEntry = null;
+      if (category && value('itemName') && !entry) {
+        const candidate = `${category}::${value('itemName').toLowerCase()}`;
+        newEntry =
+          newEntries.get(candidate) ||
+          Catalog.createEntry({
+            category,
+            itemName: value('itemName'),
+            defaultBrand: value('brand'),
+            unit: value('contentVolume'),
+          });
+        newEntries.set(candidate, newEntry);
+        warnings.push('Not in the catalog yet; it will be added');
+      } else if (entry && entry.retired) {
+        warnings.push(`${entry.itemName} is retired in the catalog`);
+      }
+
+      const dates = {};
+      [
+        ['dateReceived', 'Date Received'],
+        ['expiryDate', 'Expiry Date'],
+        ['dateOpened', 'Date Opened'],
+      ].forEach(([field, label]) => {
+        const raw = value(field);
+        dates[field] = raw ? DateUtils.fromDisplay(raw) : '';
+        if (raw && !dates[field]) {
+          errors.push(`${label} "${raw}" is not a valid date`);
+        }
+      });
+
+      const rawStatus = value('status');
+      const status = rawStatus
+        ? ITEM_STATUSES.find((s) => s.toLowerCase() === rawStatus.toLowerCase())
+        : 'Unopened';
+      if (!status) errors.push(`Unknown status "${rawStatus}"`);
+
+      const rawQuantity = value('quantity');
+      const item = createItem({
+        category: category || value('category'),
+        itemName: entry ? entry.itemName : value('itemName'),
+        brand: value('brand') || (entry ? entry.defaultBrand : ''),
+        contentVolume: value('contentVolume') || (entry ? entry.unit : ''),
+        lotNumber: value('lotNumber'),
+        ...dates,
+        status: status || rawStatus,
+        quantity: rawQuantity === '' ? NaN : Number(rawQuantity),
+        unitCost: value('unitCost'),
+        remarks: value('remarks'),
+      });
+      validate(item).forEach((e) => errors.push(e));
+
+      let duplicate = '';
+      let existing = null;
+      if (item.lotNumber && item.category && item.itemName) {
+        const key = lotKey(item);
+        if (seen.has(key)) {
+          duplicate = `Same item and lot as row ${seen.get(key)}`;
+        } else {
+          seen.set(key, rowNumber);
+          existing = inStock.get(key) || null;
+        }
+      }
+
+      // A lot already in stock is updated rather than added again. Blank
+      // columns keep its values; a new quantity is recorded as a stock count.
+      if (existing && !errors.length) {
+        const provided = IMPORT_FIELDS.filter(({ field }) => value(field) !== '');
+        const updated = createItem({
+          ...existing,
+          ...Object.fromEntries(provided.map(({ field }) => [field, item[field]])),
+          id: existing.id,
+          updatedAt: existing.updatedAt,
+        });
+        warnings.push(
+          updated.quantity === existing.quantity
+            ? 'Updates the lot already in stock'
+            : `Updates the lot already in stock; quantity ${existing.quantity} → ${updated.quantity}`
+        );
+        return { rowNumber, item: updated, existing, newEntry, errors, warnings, duplicate };
+      }
+
+      return { rowNumber, item, existing: null, newEntry, errors, warnings, duplicate };
+    });
+  }
+
+  function filter(items, filters) {
+    const lowKeys =
+      filters.lowStock === 'low'
+        ? new Set(
+            stockLevels(items)
+              .filter((l) => l.belowReorder)
+              .map((l) => l.key)
+          )
+        : null;
+    const tier = String(filters.expiry || '').startsWith('tier:')
+      ? filters.expiry.slice(5)
+      : null;
+    return items.filter((i) => {
+      if (filters.category && i.category !== filters.category) return false;
+      if (filters.status && i.status !== filters.status) return false;
+
+      if (filters.search) {
+        const q = filters.search.toLowerCase();
+        const haystack = [
+          i.category,
+          i.itemName,
+          i.brand,
+          i.contentVolume,
+          i.lotNumber,
+          i.remarks,
+        ]
+          .filter(Boolean)
+          .join(' ')
+          .toLowerCase();
+        if (!haystack.includes(q)) return false;
+      }
+
+      const expInfo = expiryInfo(i);
+      if (filters.expiry === 'expired' && expInfo.code !== 'expired')
+        return false;
+      if (filters.expiry === 'expiring' && expInfo.code !== 'warning')
+        return false;
+      if (tier && expInfo.tier !== tier) return false;
+      if (filters.expiry === 'good' && expInfo.code !== 'good') return false;
+      if (filters.expiryFrom && !(expInfo.date >= filters.expiryFrom)) {
+        return false;
+      }
+      if (filters.expiryTo && !(expInfo.date && expInfo.date <= filters.expiryTo)) {
+        return false;
+      }
+
+      if (lowKeys && !lowKeys.has(itemKey(i))) return false;
+
+      return true;
+    });
+  }
+
+  function sort(items, sortField, direction) {
+    if (!sortField) return items.slice();
+    const dir = direction === 'desc' ? -1 : 1;
+    const sorted = items.slice().sort((a, b) => {
+      let av = a[sortField];
+      let bv = b[sortField];
+
+      if (sortField === 'quantity') {
+        av = Number(av ?? 0);
+        bv = Number(bv ?? 0);
+      }
+
+      if (sortField.toLowerCase().includes('date')) {
+        const ad = DateUtils.parse(av);
+        const bd = DateUtils.parse(bv);
+        const at = ad ? ad.getTime() : 0;
+        const bt = bd ? bd.getTime() : 0;
+        return at === bt ? 0 : at > bt ? dir : -dir;
+      }
+
+      if (typeof av === 'string') av = av.toLowerCase();
+      if (typeof bv === 'string') bv = bv.toLowerCase();
+
+      if (av === bv) return 0;
+      return av > bv ? dir : -dir;
+    });
+    return sorted;
+  }
+
+  // Worst first, for a group's summary status. Discarded lots are left out
+  // of the ranking: they say nothing about the stock still on the shelf.
+  const STATUS_RANK = { 'Out of Stock': 2, Opened: 1, Unopened: 0 };
+
+  // The lots grouped by category + item, for the grouped table view. Each
+  // group carries a summary shaped like a lot (total quantity, nearest
+  // expiry, worst status of the lots in stock, or Out of Stock / Discarded
+  // when there are none; other fields from the first lot in sort order),
+  // so `sort` orders the groups by the same column it orders the lots by.
+  function groupLots(items, sortField, direction) {
+    const groups = new Map();
+    sort(items, sortField, direction).forEach((i) => {
+      const key = itemKey(i);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(i);
+    });
+    const summaries = [...groups.entries()].map(([key, lots]) => {
+      const inStock = lots.filter((l) => l.status !== 'Discarded' && l.quantity > 0);
+      const nearest = (inStock.length ? inStock : lots)
+        .map((l) => ({ lot: l, info: expiryInfo(l) }))
+        .filter(({ info }) => info.date)
+        .sort((a, b) => a.info.days - b.info.days)[0];
+      let status = lots.every((l) => l.status === 'Discarded') ? 'Discarded' : 'Out of Stock';
+      if (inStock.length) {
+        status = inStock.reduce(
+          (worst, l) => ((STATUS_RANK[l.status] || 0) > (STATUS_RANK[worst] || 0) ? l.status : worst),
+          inStock[0].status
+        );
+      }
+      return {
+        ...lots[0],
+        key,
+        lots,
+        lotCount: lots.length,
+        brands: new Set(lots.map((l) => l.brand || '')).size,
+        quantity: lots.reduce((sum, l) => sum + Number(l.quantity || 0), 0),
+        expiryDate: nearest ? nearest.info.date : '',
+        expiryInfo: nearest ? nearest.info : expiryInfo({ ...lots[0], expiryDate: '' }),
+        status,
+      };
+    });
+    return sort(summaries, sortField, direction);
+  }
+
+  // One waste register line per discard, newest first. `cost` is null when
+  // no unit cost was recorded.
+  function wasteEntries(lots, discards) {
+    const byId = new Map(lots.map((l) => [l.id, l]));
+    return discards
+      .map((m) => {
+        const lot = byId.get(m.itemId) || {};
+        const units = Math.abs(Number(m.quantity || 0));
+        return {
+          id: m.id,
+          itemId: m.itemId,
+          date: DateUtils.toIsoDate(new Date(m.createdAt)),
+          createdAt: m.createdAt,
+          createdBy: m.createdBy,
+          category: lot.category || '',
+          itemName: lot.itemName || '(purged lot)',
+          lotNumber: lot.lotNumber || '',
+          reason: m.reason,
+          responsible: m.responsible,
+          note: m.note,
+          units,
+          unitCost: m.unitCost,
+          cost: m.unitCost == null ? null : units * m.unitCost,
+        };
+      })
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  function filterWaste(entries, { from, to, reason } = {}) {
+    return entries.filter(
+      (e) =>
+        (!from || e.date >= from) &&
+        (!to || e.date <= to) &&
+        (!reason || e.reason === reason)
+    );
+  }
+
+  const WASTE_GROUPS = Object.freeze({
+    category: 'Category',
+    item: 'Item',
+    month: 'Month',
+  });
+
+  // Totals per category, item or month (YYYY-MM). `uncosted` counts the
+  // lines whose units are in `units` but not in `cost`.
+  function wasteReport(entries, groupBy) {
+    const groups = new Map();
+    entries.forEach((e) => {
+      let key = e.category;
+      let label = e.category || '—';
+      if (groupBy === 'item') {
+        key = `${e.category}|${e.itemName}`;
+        label = `${e.itemName}${e.category ? ` (${e.category})` : ''}`;
+      } else if (groupBy === 'month') {
+        key = e.date.slice(0, 7);
+        label = key;
+      }
+      if (!groups.has(key)) {
+        groups.set(key, { key, label, entries: 0, units: 0, cost: 0, uncosted: 0 });
+      }
+      const g = groups.get(key);
+      g.entries += 1;
+      g.units += e.units;
+      if (e.cost == null) g.uncosted += 1;
+      else g.cost += e.cost;
+    });
+    const rows = [...groups.values()];
+    return groupBy === 'month'
+      ? rows.sort((a, b) => b.key.localeCompare(a.key))
+      : rows.sort((a, b) => b.units - a.units || a.label.localeCompare(b.label));
+  }
+
+  // Value (quantity × unit cost) of the stock on the shelf, with how much
+  // of it is expired or expiring, overall and per category and brand. Lots
+  // with no unit cost are counted in `uncosted` rather than valued.
+  function valuation(items) {
+    const bucket = (key) => ({ key, total: 0, expired: 0, expiring: 0, uncosted: 0 });
+    const totals = bucket('');
+    const byCategory = new Map();
+    const byBrand = new Map();
+    const group = (map, key) => {
+      if (!map.has(key)) map.set(key, bucket(key));
+      return map.get(key);
+    };
+    items.forEach((i) => {
+      if (i.status === 'Discarded' || !(i.quantity > 0)) return;
+      const buckets = [
+        totals,
+        group(byCategory, i.category || '—'),
+        group(byBrand, i.brand || '—'),
+      ];
+      if (i.unitCost == null) {
+        buckets.forEach((b) => {
+          b.uncosted += 1;
+        });
+        return;
+      }
+      const value = i.quantity * i.unitCost;
+      const code = expiryInfo(i).code;
+      buckets.forEach((b) => {
+        b.total += value;
+        if (code === 'expired') b.expired += value;
+        if (code === 'warning') b.expiring += value;
+      });
+    });
+    const sorted = (map) =>
+      [...map.values()].sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+    return { ...totals, byCategory: sorted(byCategory), byBrand: sorted(byBrand) };
+  }
+
+  const CHART_PERIODS = 12;
+
+  // ISO start dates of `count` consecutive weeks (from Monday) or months,
+  // `offset` periods away from the current one, plus the start of the
+  // period after the last so each period is [starts[n], starts[n + 1]).
+  function periodStarts(granularity, offset, count) {
+    const now = new Date();
+    const first =
+      granularity === 'month'
+        ? new Date(now.getFullYear(), now.getMonth(), 1)
+        : new Date(
+            now.getFullYear(),
+            now.getMonth(),
+            now.getDate() - ((now.getDay() + 6) % 7)
+          );
+    return Array.from({ length: count + 1 }, (_, n) => {
+      const k = offset + n;
+      return DateUtils.toIsoDate(
+        granularity === 'month'
+          ? new Date(first.getFullYear(), first.getMonth() + k, 1)
+          : new Date(first.getFullYear(), first.getMonth(), first.getDate() + 7 * k)
+      );
+    });
+  }
+
+  function periods(starts) {
+    return starts.slice(0, -1).map((from, n) => ({
+      from,
+      to: DateUtils.toIsoDate(DateUtils.addDays(starts[n + 1], -1)),
+    }));
+  }
+
+  // Lots on hand by the week or month they expire in, over the next
+  // CHART_PERIODS periods. Lots already past expiry are counted separately.
+  function expiryTimeline(items, granularity) {
+    const buckets = periods(periodStarts(granularity, 0, CHART_PERIODS)).map(
+      (p) => ({ ...p, lots: 0, units: 0 })
+    );
+    const expired = { lots: 0, units: 0 };
+    items.forEach((i) => {
+      if (i.status === 'Discarded' || !(i.quantity > 0)) return;
+      const info = expiryInfo(i);
+      if (info.code === 'expired') {
+        expired.lots += 1;
+        expired.units += i.quantity;
+        return;
+      }
+      const bucket = buckets.find((b) => info.date >= b.from && info.date <= b.to);
+      if (bucket) {
+        bucket.lots += 1;
+        bucket.units += i.quantity;
+      }
+    });
+    return { expired, buckets };
+  }
+
+  // Lot counts per category, split by status.
+  function stockByCategory(items) {
+    const byCategory = new Map();
+    items.forEach((i) => {
+      if (i.status === 'Discarded') return;
+      const category = i.category || '';
+      if (!byCategory.has(category)) byCategory.set(category, {});
+      const counts = byCategory.get(category);
+      counts[i.status] = (counts[i.status] || 0) + 1;
+    });
+    return [...byCategory.entries()]
+      .map(([category, byStatus]) => ({ category, byStatus }))
+      .sort((a, b) => a.category.localeCompare(b.category));
+  }
+
+  // Items with the most units on hand that are expired or expiring soon.
+  function itemsAtRisk(items, limit = 10) {
+    const groups = new Map();
+    items.forEach((i) => {
+      if (i.status === 'Discarded' || !(i.quantity > 0)) return;
+      const code = expiryInfo(i).code;
+      if (code !== 'expired' && code !== 'warning') return;
+      const key = itemKey(i);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          category: i.category,
+          itemName: i.itemName,
+          expired: 0,
+          expiring: 0,
+        });
+      }
+      const group = groups.get(key);
+      if (code === 'expired') group.expired += i.quantity;
+      else group.expiring += i.quantity;
+    });
+    return [...groups.values()]
+      .sort((a, b) => b.expired + b.expiring - (a.expired + a.expiring))
+      .slice(0, limit);
+  }
+
+  // Expired and out-of-stock lot counts at the end of each of the last
+  // CHART_PERIODS weeks or months, replayed from the movement ledger. A lot
+  // counts from the day it was received; until its first movement was
+  // recorded it stands at that movement's quantity when it is the lot's
+  // receipt or opening balance.
+  function stockTrend(lots, movements, granularity) {
+    const today = DateUtils.today();
+    const starts = periodStarts(granularity, 1 - CHART_PERIODS, CHART_PERIODS);
+    const byItem = new Map();
+    movements
+      .slice()
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .forEach((m) => {
+        if (!byItem.has(m.itemId)) byItem.set(m.itemId, []);
+        byItem.get(m.itemId).push(m);
+      });
+    return periods(starts).map((period, n) => {
+      const end = starts[n + 1];
+      const asOf = end < today ? end : today;
+      let expired = 0;
+      let outOfStock = 0;
+      lots.forEach((lot) => {
+        const list = byItem.get(lot.id) || [];
+        const received = lot.dateReceived || (list[0] && list[0].createdAt);
+        if (received && String(received).slice(0, 10) >= end) return;
+        if (lot.deletedAt && lot.deletedAt.slice(0, 10) < end) return;
+        const before = list.filter((m) => String(m.createdAt).slice(0, 10) < end);
+        let quantity;
+        if (list.length === 0) {
+          quantity = Number(lot.quantity || 0);
+        } else if (before.length) {
+          quantity = StockLedger.balance(before);
+          if (quantity === 0 && before[before.length - 1].type === 'discard') return;
+        } else if (list[0].type === 'receive' || list[0].note === 'Opening balance') {
+          quantity = Number(list[0].quantity || 0);
+        } else {
+          return;
+        }
+        if (quantity <= 0) {
+          outOfStock += 1;
+        } else {
+          const expiry = expiryInfo(lot).date;
+          if (expiry && expiry < asOf) expired += 1;
+        }
+      });
+      return { ...period, expired, outOfStock };
+    });
+  }
+
+  // Conditions that deserve a notification, keyed so the same condition
+  // gets the same key on every check: lots inside an expiry tier or
+  // expired, lots at zero, and items below their reorder point. An expiry
+  // key includes the tier and date, so moving to the next tier is new.
+  function notificationConditions(items) {
+    const conditions = new Map();
+    items.forEach((i) => {
+      if (i.status === 'Discarded') return;
+      const lot = [i.itemName, i.lotNumber ? `lot ${i.lotNumber}` : '']
+        .filter(Boolean)
+        .join(' ');
+      const base = { itemId: i.id, category: i.category, itemName: i.itemName };
+      if (Number(i.quantity) === 0) {
+        conditions.set(`zero:${i.id}`, {
+          ...base,
+          kind: 'zero',
+          title: `${lot} is out of stock`,
+          body: '',
+        });
+        return;
+      }
+      const info = expiryInfo(i);
+      if (info.code === 'expired' || info.code === 'warning') {
+        const stage = info.code === 'expired' ? 'expired' : info.tier;
+        conditions.set(`expiry:${i.id}:${stage}:${info.date}`, {
+          ...base,
+          kind: 'expiry',
+          title:
+            info.code === 'expired'
+              ? `${lot} has expired`
+              : `${lot} is now in the ${ExpiryTiers.label(info.tier)} tier`,
+          body: `${info.label}. ${i.quantity} on hand.`,
+        });
+      }
+    });
+    stockLevels(items)
+      .filter((l) => l.belowReorder)
+      .forEach((l) => {
+        conditions.set(`reorder:${l.key}`, {
+          itemId: null,
+          category: l.category,
+          itemName: l.itemName,
+          kind: 'reorder',
+          title: `${l.itemName} is below its reorder point`,
+          body: `${l.total} on hand, minimum ${l.minLevel}.`,
+        });
+      });
+    return conditions;
+  }
+
+  // Notifications for conditions that were not there at the last check.
+  // Zero-stock and reorder conditions can clear and come back, so their
+  // ids carry the day they were seen.
+  function newNotifications(conditions, previousKeys) {
+    const previous = new Set(previousKeys);
+    const now = new Date().toISOString();
+    const today = DateUtils.today();
+    return [...conditions.entries()]
+      .filter(([key]) => !previous.has(key))
+      .map(([key, c]) => ({
+        ...c,
+        id: c.kind === 'expiry' ? key : `${key}:${today}`,
+        createdAt: now,
+        readAt: null,
+      }));
+  }
+
+  // Edits and deletes someone else made, from the audit log.
+  function auditNotifications(entries, userId) {
+    return entries
+      .filter(
+        (e) => e.userId !== userId && (e.action === 'update' || e.action === 'delete')
+      )
+      .map((e) => {
+        const verb = e.action === 'delete' ? 'deleted' : 'edited';
+        return {
+          id: `audit:${e.id}`,
+          kind: verb,
+          itemId: e.itemId,
+          category: '',
+          itemName: '',
+          title: `${e.userEmail || 'Someone'} ${verb} ${e.itemLabel || 'a lot'}`,
+          body: AuditLog.describeChanges(e).join('; '),
+          createdAt: e.createdAt,
+          readAt: null,
+        };
+      });
+  }
+
+  // Formatted reports for printing and PDF. Each has a title, key figures
+  // (`summary`, label/value pairs) and sections of display-ready rows;
+  // `numeric` lists the columns to right-align and `footer` is a totals row.
+  const REPORTS = Object.freeze({
+    stock: 'Stock on Hand',
+    expiry: 'Expiry Report',
+    branch: 'Branch Summary',
+  });
+
+  function stockReport(items, money) {
+    const lots = sort(
+      items.filter((i) => i.status !== 'Discarded' && i.quantity > 0),
+      'itemName',
+      'asc'
+    );
+    const byCategory = new Map();
+    lots.forEach((i) => {
+      const category = i.category || '—';
+      if (!byCategory.has(category)) byCategory.set(category, []);
+      byCategory.get(category).push(i);
+    });
+    const value = (i) => (i.unitCost == null ? null : i.quantity * i.unitCost);
+    const total = (list, pick) => list.reduce((sum, i) => sum + (pick(i) || 0), 0);
+    const sections = [...byCategory.keys()].sort().map((category) => {
+      const list = byCategory.get(category);
+      return {
+        heading: `${category} (${list.length} lot${list.length === 1 ? '' : 's'})`,
+        columns: ['Item', 'Brand / Supplier', 'Lot', 'Expiry', 'Status', 'Qty', 'Unit Cost', 'Value'],
+        numeric: [5, 6, 7],
+        rows: list.map((i) => [
+          i.itemName,
+          i.brand || '',
+          i.lotNumber || '',
+          DateUtils.format(i.expiryDate),
+          i.status,
+          i.quantity,
+          i.unitCost == null ? '—' : money(i.unitCost),
+          i.unitCost == null ? '—' : money(value(i)),
+        ]),
+        footer: ['Subtotal', '', '', '', '', total(list, (i) => i.quantity), '', money(total(list, value))],
+      };
+    });
+    return {
+      summary: [
+        ['Lots on hand', lots.length],
+        ['Units on hand', total(lots, (i) => i.quantity)],
+        ['Stock value', money(total(lots, value))],
+        ['Lots without unit cost', lots.filter((i) => i.unitCost == null).length],
+      ],
+      sections,
+    };
+  }
+
+  function expiryReport(items, money) {
+    const groups = new Map([['expired', []]]);
+    ExpiryTiers.TIERS.forEach(({ code }) => groups.set(code, []));
+    items.forEach((i) => {
+      if (i.status === 'Discarded' || !(i.quantity > 0)) return;
+      const info = expiryInfo(i);
+      if (info.code === 'expired') groups.get('expired').push({ item: i, info });
+      if (info.code === 'warning') groups.get(info.tier).push({ item: i, info });
+    });
+    const active = ExpiryTiers.active().map((t) => t.code);
+    const sections = [...groups.entries()]
+      .filter(([code, list]) => code === 'expired' || active.includes(code) || list.length)
+      .map(([code, list]) => ({
+        heading: `${code === 'expired' ? 'Expired' : `${ExpiryTiers.label(code)} tier`} (${list.length})`,
+        columns: ['Item', 'Category', 'Lot', 'Expiry', 'Days', 'Qty', 'Value'],
+        numeric: [4, 5, 6],
+        rows: list
+          .sort((a, b) => a.info.days - b.info.days)
+          .map(({ item, info }) => [
+            item.itemName,
+            item.category,
+            item.lotNumber || '',
+            `${DateUtils.format(info.date)}${info.source === 'opened' ? ' (open vial)' : ''}`,
+            info.days < 0 ? `${-info.days} ago` : info.days,
+            item.quantity,
+            item.unitCost == null ? '—' : money(item.quantity * item.unitCost),
+          ]),
+      }));
+    const value = valuation(items);
+    return {
+      summary: [
+        ...sections.map((s) => [s.heading.replace(/ \(\d+\)$/, ''), s.rows.length]),
+        ['Expired stock value', money(value.expired)],
+        ['Value expiring soon', money(value.expiring)],
+      ],
+      sections,
+    };
+  }
+
+  function branchReport(items, money) {
+    const alerts = computeAlerts(items);
+    const value = valuation(items);
+    const lots = items.filter((i) => i.status !== 'Discarded' && i.quantity > 0);
+    const counts = new Map();
+    lots.forEach((i) => {
+      const c = counts.get(i.category || '—') || { lots: 0, units: 0 };
+      c.lots += 1;
+      c.units += i.quantity;
+      counts.set(i.category || '—', c);
+    });
+    return {
+      summary: [
+        ['Lots on hand', lots.length],
+        ['Units on hand', lots.reduce((sum, i) => sum + i.quantity, 0)],
+        ['Stock value', money(value.total)],
+        ['Expired lots', alerts.expired],
+        ['Lots expiring soon', alerts.expSoon],
+        ['Out of stock / zero quantity', alerts.outOfStock + alerts.zeroQty],
+        ['Items below reorder point', alerts.lowStock],
+      ],
+      sections: [
+        {
+          heading: 'By Category',
+          columns: ['Category', 'Lots', 'Units', 'Stock Value', 'Expired', 'Expiring Soon'],
+          numeric: [1, 2, 3, 4, 5],
+          rows: value.byCategory.map((c) => [
+            c.key,
+            (counts.get(c.key) || {}).lots || 0,
+            (counts.get(c.key) || {}).units || 0,
+            money(c.total),
+            money(c.expired),
+            money(c.expiring),
+          ]),
+        },
+        {
+          heading: 'Below Reorder Point',
+          columns: ['Item', 'Category', 'On Hand', 'Minimum', 'Reorder Qty'],
+          numeric: [2, 3, 4],
+          rows: alerts.lowStockItems.map((l) => [
+            l.itemName,
+            l.category,
+            l.total,
+            l.minLevel,
+            l.reorderQty || '',
+          ]),
+        },
+      ],
+    };
+  }
+
+  function report(kind, items, { currencyDisplay } = {}) {
+    const money = (amount) => Money.format(amount, { currencyDisplay });
+    const build = { stock: stockReport, expiry: expiryReport, branch: branchReport }[kind];
+    return { kind, title: REPORTS[kind], ...build(items, money) };
+  }
+
+  // What an expiry and stock digest covering `since` until now reports:
+  // lots that expired in that time, lots that entered an expiry tier in
+  // that time, and lots that are out of stock or down to zero.
+  function digest(items, since) {
+    const from = DateUtils.toIsoDate(DateUtils.parse(since));
+    const today = DateUtils.today();
+    const result = {
+      newlyExpired: [],
+      enteringWarning: [],
+      outOfStock: [],
+      zeroQuantity: [],
+    };
+    items.forEach((item) => {
+      if (item.status === 'Discarded') return;
+      if (item.status === 'Out of Stock') {
+        result.outOfStock.push(item);
+        return;
+      }
+      if (Number(item.quantity) === 0) {
+        result.zeroQuantity.push(item);
+        return;
+      }
+      const info = expiryInfo(item);
+      if (info.code === 'expired' && info.date >= from) {
+        result.newlyExpired.push({ item, info });
+      }
+      if (info.code === 'warning') {
+        const tier = ExpiryTiers.forItem(item.category, item.itemName).find(
+          (t) => t.code === info.tier
+        );
+        const entered = DateUtils.toIsoDate(DateUtils.addDays(info.date, -tier.days));
+        if (entered > from && entered <= today) {
+          result.enteringWarning.push({ item, info });
+        }
+      }
+    });
+    result.enteringWarning.sort((a, b) => a.info.days - b.info.days);
+    return result;
+  }
+
+  function computeAlerts(items) {
+    let expSoon = 0;
+    let expired = 0;
+    let outOfStock = 0;
+    let zeroQty = 0;
+    const byTier = {};
+
+    items.forEach((i) => {
+      if (i.status === 'Discarded') return;
+      const expInfo = expiryInfo(i);
+      if (expInfo.code === 'expired') expired += 1;
+      if (expInfo.code === 'warning') {
+        expSoon += 1;
+        byTier[expInfo.tier] = (byTier[expInfo.tier] || 0) + 1;
+      }
+      if (i.status === 'Out of Stock') outOfStock += 1;
+      if (i.quantity === 0) zeroQty += 1;
+    });
+
+    const belowReorder = stockLevels(items).filter((l) => l.belowReorder);
+
+    return {
+      expSoon,
+      byTier,
+      expired,
+      outOfStock,
+      zeroQty,
+      lowStock: belowReorder.length,
+      lowStockItems: belowReorder,
+    };
+  }
+
+  return {
+    createItem,
+    expiryInfo,
+    validate,
+    createMovement,
+    validateMovement,
+    pickFefo,
+    fefoWarning,
+    stockLevels,
+    buildRequisitionLines,
+    createRequisition,
+    validateRequisition,
+    createDelivery,
+    prepareDelivery,
+    reconcileDelivery,
+    createTransfer,
+    validateTransfer,
+    transferMovement,
+    itemFromTransfer,
+    branchOverview,
+    expiringLots,
+    IMPORT_FIELDS,
+    guessImportMapping,
+    prepareImport,
+    filter,
+    sort,
+    groupLots,
+    computeAlerts,
+    valuation,
+    usageRates,
+    forecast,
+    expiryTimeline,
+    stockByCategory,
+    itemsAtRisk,
+    stockTrend,
+    notificationConditions,
+    newNotifications,
+    auditNotifications,
+    itemKey,
+    validateDiscard,
+    wasteEntries,
+    filterWaste,
+    WASTE_GROUPS,
+    wasteReport,
+    REPORTS,
+    report,
+    digest,
+  };
+})();
+
+// The expiry and stock digest as the app previews it and sends it on
+// request. The schedule runs server-side in the send-digests Edge Function
+// (supabase/functions), whose copy of these rules must stay in step.
+const DigestService = (() => {
+  // Digests go out from this hour of the day, local time.
+  const SEND_HOUR = 7;
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  let transport = MailTransports.log();
+
+  function useTransport(next) {
+    transport = next;
+  }
+
+  function currentTransport() {
+    return transport;
+  }
+
+  // The period a digest covers: since the last one, or one period back.
+  function since(sub, now = new Date()) {
+    if (sub.lastSentAt) return sub.lastSentAt;
+    const days = sub.frequency === 'weekly' ? 7 : 1;
+    return new Date(now.getTime() - days * MS_PER_DAY).toISOString();
+  }
+
+  function lotLabel(item) {
+    return [item.itemName, item.lotNumber ? `lot ${item.lotNumber}` : '']
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  // One section per list in `InventoryService.digest`, as rows of cells.
+  function sections(summary) {
+    return [
+      {
+        title: 'Newly expired',
+        columns: ['Item', 'Expired', 'Qty'],
+        rows: summary.newlyExpired.map(({ item, info }) => [
+          lotLabel(item),
+          DateUtils.format(info.date),
+          item.quantity,
+        ]),
+      },
+      {
+        title: 'Entering an expiry tier',
+        columns: ['Item', 'Tier', 'Expires', 'Days Left', 'Qty'],
+        rows: summary.enteringWarning.map(({ item, info }) => [
+          lotLabel(item),
+          ExpiryTiers.label(info.tier),
+          DateUtils.format(info.date),
+          info.days,
+          item.quantity,
+        ]),
+      },
+      {
+        title: 'Out of stock',
+        columns: ['Item', 'Category'],
+        rows: summary.outOfStock.map((item) => [lotLabel(item), item.category]),
+      },
+      {
+        title: 'Zero quantity',
+        columns: ['Item', 'Category', 'Status'],
+        rows: summary.zeroQuantity.map((item) => [
+          lotLabel(item),
+          item.category,
+          item.status,
+        ]),
+      },
+    ];
+  }
+
+  // Subject, HTML and plain-text bodies for one branch's digest.
+  function render(summary, { branch, from, to = new Date() }) {
+    const period = `${DateUtils.format(from)} – ${DateUtils.format(to.toISOString())}`;
+    const parts = sections(summary);
+    const count = parts.reduce((sum, p) => sum + p.rows.length, 0);
+    const subject = `${String(branch).toUpperCase()} inventory digest: ${
+      summary.newlyExpired.length
+    } expired, ${summary.enteringWarning.length} expiring, ${
+      summary.outOfStock.length + summary.zeroQuantity.length
+    } out of stock`;
+
+    const html = [
+      `<h2>${Html.escape(String(branch).toUpperCase())} branch inventory digest</h2>`,
+      `<p>${Html.escape(period)}</p>`,
+      ...parts.map((p) =>
+        p.rows.length
+          ? `<h3>${Html.escape(p.title)} (${p.rows.length})</h3>` +
+            '<table border="1" cellpadding="4" cellspacing="0">' +
+            `<tr>${p.columns.map((c) => `<th align="left">${Html.escape(c)}</th>`).join('')}</tr>` +
+            p.rows
+              .map((r) => `<tr>${r.map((c) => `<td>${Html.escape(c)}</td>`).join('')}</tr>`)
+              .join('') +
+            '</table>'
+          : `<h3>${Html.escape(p.title)}</h3><p>None.</p>`
+      ),
+    ].join('\n');
+
+    const text = [
+      `${String(branch).toUpperCase()} branch inventory digest`,
+      period,
+      ...parts.map((p) =>
+        [
+          '',
+          `${p.title} (${p.rows.length})`,
+          ...(p.rows.length
+            ? p.rows.map((r) => `- ${r.join(' | ')}`)
+            : ['None.']),
+        ].join('\n')
+      ),
+    ].join('\n');
+
+    return { subject, html, text, empty: count === 0 };
+  }
+
+  function build(items, sub, now = new Date()) {
+    const from = since(sub, now);
+    return render(InventoryService.digest(items, from), {
+      branch: USER_BRANCH,
+      from,
+      to: now,
+    });
+  }
+
+  async function send(sub, message) {
+    return transport.send({
+      to: sub.email,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+  }
+
+  return {
+    SEND_HOUR,
+    useTransport,
+    currentTransport,
+    since,
+    build,
+    send,
+  };
+})();
+
+// Lays out `InventoryService.report` output for printing (an HTML page the
+// browser paginates) and as a PDF built in the browser with jsPDF.
+const ReportService = (() => {
+  const ORGANIZATION = 'North Med Diagnostics';
+
+  function fileName(kind, branch) {
+    return `${kind}-report-${branch}-${DateUtils.today()}.pdf`;
+  }
+
+  function metaLine({ branch, generatedAt, user }) {
+    return `${branch} · Generated ${DateUtils.formatDateTime(generatedAt)} by ${user}`;
+  }
+
+  // A standalone page for the preview, and for printing when jsPDF did not
+  // load; `thead` repeats on every page a table spills onto. Page numbers
+  // are only in the PDF: browsers disagree on printing them from HTML.
+  function html(report, meta) {
+    const table = (section) =>
+      section.rows.length
+        ? '<table>' +
+          `<thead><tr>${section.columns
+            .map((c, n) => `<th${section.numeric.includes(n) ? ' class="num"' : ''}>${Html.escape(c)}</th>`)
+            .join('')}</tr></thead>` +
+          `<tbody>${section.rows
+            .map(
+              (r) =>
+                `<tr>${r
+                  .map((c, n) => `<td${section.numeric.includes(n) ? ' class="num"' : ''}>${Html.escape(c)}</td>`)
+                  .join('')}</tr>`
+            )
+            .join('')}</tbody>` +
+          (section.footer
+            ? `<tfoot><tr>${section.footer
+                .map((c, n) => `<td${section.numeric.includes(n) ? ' class="num"' : ''}>${Html.escape(c)}</td>`)
+                .join('')}</tr></tfoot>`
+            : '') +
+          '</table>'
+        : '<p class="none">None.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${Html.escape(`${report.title} - ${meta.branch}`)}</title>
+<style>
+  @page { size: A4; margin: 16mm 12mm 18mm; }
+  body { font: 11px/1.4 "Segoe UI", Arial, sans-serif; color: #111; margin: 0; padding: 12px; }
+  header { display: flex; align-items: center; gap: 12px; border-bottom: 2px solid #1f4e79; padding-bottom: 8px; margin-bottom: 12px; }
+  header img { height: 40px; }
+  header h1 { font-size: 16px; margin: 0; }
+  header p { margin: 0; color: #555; }
+  .summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px; margin-bottom: 12px; }
+  .summary div { border: 1px solid #ccd; border-radius: 4px; padding: 4px 6px; }
+  .summary strong { display: block; font-size: 13px; }
+  h2 { font-size: 13px; margin: 14px 0 4px; break-after: avoid; }
+  table { width: 100%; border-collapse: collapse; }
+  thead { display: table-header-group; }
+  tr { break-inside: avoid; }
+  th, td { border: 1px solid #ccd; padding: 3px 5px; text-align: left; }
+  th { background: #e8eef5; }
+  tfoot td { font-weight: 600; background: #f4f6f9; }
+  .num { text-align: right; }
+  .none { color: #555; margin: 0; }
+</style>
+</head>
+<body>
+<header>
+  <img src="${Html.escape(meta.logoUrl)}" alt="North Med Logo">
+  <div>
+    <h1>${Html.escape(ORGANIZATION)} · ${Html.escape(report.title)}</h1>
+    <p>${Html.escape(metaLine(meta))}</p>
+  </div>
+</header>
+<section class="summary">
+${report.summary
+  .map(([label, value]) => `  <div>${Html.escape(label)}<strong>${Html.escape(value)}</strong></div>`)
+  .join('\n')}
+</section>
+${report.sections.map((s) => `<h2>${Html.escape(s.heading)}</h2>\n${table(s)}`).join('\n')}
+</body>
+</html>`;
+  }
+
+  // The standard PDF fonts only cover Latin-1.
+  function pdfText(value) {
+    return String(value ?? '')
+      .replace(/[–—]/g, '-')
+      .replace(/·/g, '|')
+      .replace(/≤/g, '<=')
+      .replace(/[^\x00-\xff]/g, '?');
+  }
+
+  // `jsPDF` is the constructor from the jsPDF UMD bundle with the autotable
+  // plugin loaded; `logo` is a PNG data URL or null. Build `report` with
+  // `currencyDisplay: 'code'` so amounts survive the Latin-1 fonts.
+  function pdf(jsPDF, report, meta, logo) {
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const width = doc.internal.pageSize.getWidth();
+    const height = doc.internal.pageSize.getHeight();
+    const margin = 12;
+    const top = 30;
+
+    let y = top;
+    doc.setFontSize(9);
+    const cellWidth = (width - margin * 2) / 4;
+    report.summary.forEach(([label, value], n) => {
+      const x = margin + (n % 4) * cellWidth;
+      if (n > 0 && n % 4 === 0) y += 12;
+      doc.setDrawColor(204, 204, 221);
+      doc.rect(x, y, cellWidth - 2, 10);
+      doc.setFont('helvetica', 'normal');
+      doc.text(pdfText(label), x + 2, y + 4);
+      doc.setFont('helvetica', 'bold');
+      doc.text(pdfText(value), x + 2, y + 8.5);
+    });
+    y += 16;
+
+    report.sections.forEach((section) => {
+      if (y > height - 40) {
+        doc.addPage();
+        y = top;
+      }
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(11);
+      doc.text(pdfText(section.heading), margin, y);
+      y += 2;
+      if (!section.rows.length) {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text('None.', margin, y + 4);
+        y += 12;
+        return;
+      }
+      const align = {};
+      section.numeric.forEach((n) => {
+        align[n] = { halign: 'right' };
+      });
+      doc.autoTable({
+        startY: y,
+        margin: { top, left: margin, right: margin, bottom: 18 },
+        head: [section.columns.map(pdfText)],
+        body: section.rows.map((r) => r.map(pdfText)),
+        foot: section.footer ? [section.footer.map(pdfText)] : undefined,
+        showFoot: 'lastPage',
+        styles: { fontSize: 8, cellPadding: 1.5 },
+        headStyles: { fillColor: [31, 78, 121] },
+        footStyles: { fillColor: [244, 246, 249], textColor: 20 },
+        columnStyles: align,
+      });
+      y = doc.lastAutoTable.finalY + 10;
+    });
+
+    // Header and page numbers go on last, once the page count is known.
+    const pages = doc.internal.getNumberOfPages();
+    for (let page = 1; page <= pages; page += 1) {
+      doc.setPage(page);
+      let textX = margin;
+      if (logo) {
+        doc.addImage(logo, 'PNG', margin, 8, 14, 14);
+        textX += 17;
+      }
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(13);
+      doc.text(pdfText(`${ORGANIZATION} | ${report.title}`), textX, 14);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(85);
+      doc.text(pdfText(metaLine(meta)), textX, 19.5);
+      doc.text(`Page ${page} of ${pages}`, width - margin, height - 8, { align: 'right' });
+      doc.setTextColor(0);
+      doc.setDrawColor(31, 78, 121);
+      doc.setLineWidth(0.6);
+      doc.line(margin, 24, width - margin, 24);
+      doc.setLineWidth(0.2);
+    }
+    return doc;
+  }
+
+  return { ORGANIZATION, fileName, html, pdfText, pdf };
+})();
+
+// ===============================
+// UI Layer
+// ===============================
+
+const UI = (() => {
+  let state = {
+    items: [],
+    filters: {
+      search: '',
+      category: '',
+      status: '',
+      expiry: '',
+      lowStock: '',
+      expiryFrom: '',
+      expiryTo: '',
+    },
+    sortField: 'expiryDate',
+    sortDirection: 'asc',
+    // 'lots' (one row per lot) or 'grouped' (per category + item, expandable)
+    tableView: 'lots',
+    expandedGroups: new Set(),
+    forecast: { byItem: new Map(), byLot: new Map() },
+    chartGranularity: 'week',
+  };
+
+  // DOM references
+  const els = {};
+
+  // Chart.js instances on the dashboard, by canvas
+  const charts = {};
+
+  // Version (`updatedAt`) and quantity of the lot when the edit modal was
+  // opened, and an edit held back by a conflict while the user decides
+  let editingVersion = '';
+  let editingQuantity = 0;
+  let conflictEdit = null;
+
+  // Audit entries for the currently loaded Activity date range
+  let activityEntries = [];
+
+  // Saved requisitions and the one open in the editor
+  let requisitions = [];
+  let draftRequisition = null;
+
+  // Receiving screen: line items being entered
+  let receivingLines = [];
+
+  // CSV import: parsed file, column mapping and the resulting preview
+  let importSource = '';
+  let importHeader = [];
+  let importRows = [];
+  let importMapping = {};
+  let importPreview = [];
+
+  // Waste register lines, as last loaded
+  let wasteLines = [];
+
+  // The signed-in user's notifications, and what the last check saw
+  let notifications = [];
+  let notificationWatch = null;
+  let notificationsBusy = false;
+  let notificationsAgain = false;
+
+  // The signed-in user's digest subscription, as last loaded
+  let digestSubscription = null;
+
+  // Expiry tier rules being edited in Settings, and saved ones removed
+  let tierDraft = [];
+  let tierRemoved = [];
+
+  // Recycle bin contents and the lot the undo bar would bring back
+  let deletedItems = [];
+  let undoItemId = null;
+  let undoTimer = null;
+
+  // Transfers involving this branch, and branch names seen anywhere
+  let transfers = [];
+  let knownBranches = [];
+
+  // Latest connection / offline queue status from the repository
+  let syncState = {
+    online: true,
+    remote: true,
+    storage: '',
+    syncing: false,
+    pending: 0,
+    conflicts: [],
+  };
+
+  function cacheDom() {
+    els.category = document.getElementById('category');
+    els.itemName = document.getElementById('itemName');
+    els.customItemName = document.getElementById('customItemName');
+    els.inventoryForm = document.getElementById('inventoryForm');
+    els.submitBtn = document.getElementById('submitBtn');
+    els.tableBody = document.getElementById('inventoryTableBody');
+    els.searchInput = document.getElementById('searchInput');
+    els.filterCategory = document.getElementById('filterCategory');
+    els.filterStatus = document.getElementById('filterStatus');
+    els.filterExpiry = document.getElementById('filterExpiry');
+    els.filterLowStock = document.getElementById('filterLowStock');
+    els.expiryRangeChip = document.getElementById('expiryRangeChip');
+    els.chartsSection = document.getElementById('chartsSection');
+    els.chartGranularity = document.getElementById('chartGranularity');
+    els.tableView = document.getElementById('tableView');
+    els.chartExpiryTimeline = document.getElementById('chartExpiryTimeline');
+    els.chartStockByCategory = document.getElementById('chartStockByCategory');
+    els.chartAtRisk = document.getElementById('chartAtRisk');
+    els.chartTrend = document.getElementById('chartTrend');
+    els.tableHead = document.querySelector('#inventoryTable thead');
+    els.alertSummary = document.getElementById('alertSummary');
+    els.exportCsvBtn = document.getElementById('exportCsvBtn');
+    els.yearSpan = document.getElementById('yearSpan');
+    els.kpiExpSoon = document.getElementById('kpiExpSoon');
+    els.kpiOutOrZero = document.getElementById('kpiOutOrZero');
+    els.kpiTotal = document.getElementById('kpiTotal');
+    els.kpiLowStock = document.getElementById('kpiLowStock');
+    els.fabAddItem = document.getElementById('fabAddItem');
+    els.topSearchInput = document.getElementById('topSearchInput');
+
+    // Edit modal elements
+    els.editModalBackdrop = document.getElementById('editModalBackdrop');
+    els.editModalCloseBtn = document.getElementById('editModalCloseBtn');
+    els.editForm = document.getElementById('editForm');
+    els.editCancelBtn = document.getElementById('editCancelBtn');
+    els.editStaleNotice = document.getElementById('editStaleNotice');
+
+    // Edit conflict modal elements
+    els.conflictModalBackdrop = document.getElementById('conflictModalBackdrop');
+    els.conflictModalCloseBtn = document.getElementById('conflictModalCloseBtn');
+    els.conflictNote = document.getElementById('conflictNote');
+    els.conflictTableBody = document.getElementById('conflictTableBody');
+    els.conflictBackBtn = document.getElementById('conflictBackBtn');
+    els.conflictTakeTheirsBtn = document.getElementById('conflictTakeTheirsBtn');
+    els.conflictKeepMineBtn = document.getElementById('conflictKeepMineBtn');
+
+    // Add modal elements
+    els.addModalBackdrop = document.getElementById('addModalBackdrop');
+    els.addModalCloseBtn = document.getElementById('addModalCloseBtn');
+    els.addCancelBtn = document.getElementById('addCancelBtn');
+
+    // Stock movement modal elements
+    els.movementModalBackdrop = document.getElementById('movementModalBackdrop');
+    els.movementModalCloseBtn = document.getElementById('movementModalCloseBtn');
+    els.movementCancelBtn = document.getElementById('movementCancelBtn');
+    els.movementForm = document.getElementById('movementForm');
+    els.movementType = document.getElementById('movementType');
+    els.movementAmount = document.getElementById('movementAmount');
+    els.movementAmountLabel = document.getElementById('movementAmountLabel');
+    els.movementHistoryBody = document.getElementById('movementHistoryBody');
+
+    // Activity (audit log) modal elements
+    els.activityBtn = document.getElementById('activityBtn');
+    els.activityModalBackdrop = document.getElementById('activityModalBackdrop');
+    els.activityModalCloseBtn = document.getElementById('activityModalCloseBtn');
+    els.activityItem = document.getElementById('activityItem');
+    els.activityUser = document.getElementById('activityUser');
+    els.activityFrom = document.getElementById('activityFrom');
+    els.activityTo = document.getElementById('activityTo');
+    els.activityTableBody = document.getElementById('activityTableBody');
+
+    // Use reagent (FEFO) modal elements
+    els.useReagentBtn = document.getElementById('useReagentBtn');
+    els.useModalBackdrop = document.getElementById('useModalBackdrop');
+    els.useModalCloseBtn = document.getElementById('useModalCloseBtn');
+    els.useCancelBtn = document.getElementById('useCancelBtn');
+    els.useForm = document.getElementById('useForm');
+    els.useCategory = document.getElementById('useCategory');
+    els.useItemName = document.getElementById('useItemName');
+    els.useLot = document.getElementById('useLot');
+    els.useHint = document.getElementById('useHint');
+
+    // Catalog settings modal elements
+    els.editCategory = document.getElementById('editCategory');
+    els.editItemName = document.getElementById('editItemName');
+    els.editStatus = document.getElementById('editStatus');
+    els.editDateOpened = document.getElementById('editDateOpened');
+    els.catalogBtn = document.getElementById('catalogBtn');
+    els.catalogModalBackdrop = document.getElementById('catalogModalBackdrop');
+    els.catalogModalCloseBtn = document.getElementById('catalogModalCloseBtn');
+    els.catalogCategory = document.getElementById('catalogCategory');
+    els.catalogShowRetired = document.getElementById('catalogShowRetired');
+    els.catalogNewCategory = document.getElementById('catalogNewCategory');
+    els.catalogAddCategoryBtn = document.getElementById('catalogAddCategoryBtn');
+    els.catalogRetireCategoryBtn = document.getElementById('catalogRetireCategoryBtn');
+    els.catalogNewItemBtn = document.getElementById('catalogNewItemBtn');
+    els.catalogTableBody = document.getElementById('catalogTableBody');
+    els.catalogEditor = document.getElementById('catalogEditor');
+    els.catalogEntryForm = document.getElementById('catalogEntryForm');
+    els.catalogEditorCancelBtn = document.getElementById('catalogEditorCancelBtn');
+    els.catalogRetireBtn = document.getElementById('catalogRetireBtn');
+    els.catalogMergeGroup = document.getElementById('catalogMergeGroup');
+    els.catalogMergeTarget = document.getElementById('catalogMergeTarget');
+    els.catalogMergeBtn = document.getElementById('catalogMergeBtn');
+
+    // Barcode scan fields
+    els.scanCode = document.getElementById('scanCode');
+    els.scanHint = document.getElementById('scanHint');
+    els.editScanCode = document.getElementById('editScanCode');
+    els.editScanHint = document.getElementById('editScanHint');
+
+    // CSV import modal elements
+    els.importCsvBtn = document.getElementById('importCsvBtn');
+    els.importModalBackdrop = document.getElementById('importModalBackdrop');
+    els.importModalCloseBtn = document.getElementById('importModalCloseBtn');
+    els.importCancelBtn = document.getElementById('importCancelBtn');
+    els.importForm = document.getElementById('importForm');
+    els.importFile = document.getElementById('importFile');
+    els.importMappingSection = document.getElementById('importMappingSection');
+    els.importMappingGrid = document.getElementById('importMappingGrid');
+    els.importPreviewSection = document.getElementById('importPreviewSection');
+    els.importPreviewBody = document.getElementById('importPreviewBody');
+    els.importSummary = document.getElementById('importSummary');
+    els.importSubmitBtn = document.getElementById('importSubmitBtn');
+
+    // Valuation and settings elements
+    els.kpiStockValue = document.getElementById('kpiStockValue');
+    els.kpiUncosted = document.getElementById('kpiUncosted');
+    els.kpiExpiredValue = document.getElementById('kpiExpiredValue');
+    els.kpiExpiringValue = document.getElementById('kpiExpiringValue');
+    els.valueCards = ['kpiValueCard', 'kpiExpiredValueCard', 'kpiExpiringValueCard']
+      .map((id) => document.getElementById(id))
+      .filter(Boolean);
+    els.forecastBtn = document.getElementById('forecastBtn');
+    els.forecastModalBackdrop = document.getElementById('forecastModalBackdrop');
+    els.forecastModalCloseBtn = document.getElementById('forecastModalCloseBtn');
+    els.forecastItemsBody = document.getElementById('forecastItemsBody');
+    els.forecastRiskBody = document.getElementById('forecastRiskBody');
+    els.valuationModalBackdrop = document.getElementById('valuationModalBackdrop');
+    els.valuationModalCloseBtn = document.getElementById('valuationModalCloseBtn');
+    els.valuationNote = document.getElementById('valuationNote');
+    els.valuationCategoryBody = document.getElementById('valuationCategoryBody');
+    els.valuationBrandBody = document.getElementById('valuationBrandBody');
+    els.settingsBtn = document.getElementById('settingsBtn');
+    els.settingsModalBackdrop = document.getElementById('settingsModalBackdrop');
+    els.settingsModalCloseBtn = document.getElementById('settingsModalCloseBtn');
+    els.settingsCancelBtn = document.getElementById('settingsCancelBtn');
+    els.settingsForm = document.getElementById('settingsForm');
+    els.settingsCurrency = document.getElementById('settingsCurrency');
+    els.notificationsBtn = document.getElementById('notificationsBtn');
+    els.notificationBadge = document.getElementById('notificationBadge');
+    els.notificationsModalBackdrop = document.getElementById('notificationsModalBackdrop');
+    els.notificationsModalCloseBtn = document.getElementById('notificationsModalCloseBtn');
+    els.notificationsSummary = document.getElementById('notificationsSummary');
+    els.notificationsReadAllBtn = document.getElementById('notificationsReadAllBtn');
+    els.notificationList = document.getElementById('notificationList');
+    els.settingsMailFunction = document.getElementById('settingsMailFunction');
+    els.digestBtn = document.getElementById('digestBtn');
+    els.digestModalBackdrop = document.getElementById('digestModalBackdrop');
+    els.digestModalCloseBtn = document.getElementById('digestModalCloseBtn');
+    els.digestForm = document.getElementById('digestForm');
+    els.digestNote = document.getElementById('digestNote');
+    els.digestFrequency = document.getElementById('digestFrequency');
+    els.digestWeekday = document.getElementById('digestWeekday');
+    els.digestWeekdayGroup = document.getElementById('digestWeekdayGroup');
+    els.digestSendTestBtn = document.getElementById('digestSendTestBtn');
+    els.digestPreviewSubject = document.getElementById('digestPreviewSubject');
+    els.digestPreviewFrame = document.getElementById('digestPreviewFrame');
+    els.branchLabel = document.getElementById('branchLabel');
+    els.reportsBtn = document.getElementById('reportsBtn');
+    els.reportsModalBackdrop = document.getElementById('reportsModalBackdrop');
+    els.reportsModalCloseBtn = document.getElementById('reportsModalCloseBtn');
+    els.reportKind = document.getElementById('reportKind');
+    els.reportPrintBtn = document.getElementById('reportPrintBtn');
+    els.reportPdfBtn = document.getElementById('reportPdfBtn');
+    els.reportPreviewFrame = document.getElementById('reportPreviewFrame');
+    els.tierRulesBody = document.getElementById('tierRulesBody');
+    els.tierRuleCategory = document.getElementById('tierRuleCategory');
+    els.tierRuleItem = document.getElementById('tierRuleItem');
+    els.tierRuleAddBtn = document.getElementById('tierRuleAddBtn');
+
+    // Discard and waste register elements
+    els.discardModalBackdrop = document.getElementById('discardModalBackdrop');
+    els.discardModalCloseBtn = document.getElementById('discardModalCloseBtn');
+    els.discardCancelBtn = document.getElementById('discardCancelBtn');
+    els.discardForm = document.getElementById('discardForm');
+    els.discardReason = document.getElementById('discardReason');
+    els.wasteBtn = document.getElementById('wasteBtn');
+    els.wasteModalBackdrop = document.getElementById('wasteModalBackdrop');
+    els.wasteModalCloseBtn = document.getElementById('wasteModalCloseBtn');
+    els.wasteFrom = document.getElementById('wasteFrom');
+    els.wasteTo = document.getElementById('wasteTo');
+    els.wasteReasonFilter = document.getElementById('wasteReasonFilter');
+    els.wasteGroupBy = document.getElementById('wasteGroupBy');
+    els.wasteGroupHeading = document.getElementById('wasteGroupHeading');
+    els.wasteReportBody = document.getElementById('wasteReportBody');
+    els.wasteRegisterBody = document.getElementById('wasteRegisterBody');
+    els.wasteExportBtn = document.getElementById('wasteExportBtn');
+
+    // Recycle bin and undo bar elements
+    els.recycleBinBtn = document.getElementById('recycleBinBtn');
+    els.recycleModalBackdrop = document.getElementById('recycleModalBackdrop');
+    els.recycleModalCloseBtn = document.getElementById('recycleModalCloseBtn');
+    els.recycleTableBody = document.getElementById('recycleTableBody');
+    els.recycleExportBtn = document.getElementById('recycleExportBtn');
+    els.undoToast = document.getElementById('undoToast');
+    els.undoToastText = document.getElementById('undoToastText');
+    els.undoToastBtn = document.getElementById('undoToastBtn');
+
+    // Branch overview and transfer modal elements
+    els.branchesBtn = document.getElementById('branchesBtn');
+    els.branchModalBackdrop = document.getElementById('branchModalBackdrop');
+    els.branchModalCloseBtn = document.getElementById('branchModalCloseBtn');
+    els.branchOverviewBody = document.getElementById('branchOverviewBody');
+    els.branchRiskBody = document.getElementById('branchRiskBody');
+    els.transfersBtn = document.getElementById('transfersBtn');
+    els.transferModalBackdrop = document.getElementById('transferModalBackdrop');
+    els.transferModalCloseBtn = document.getElementById('transferModalCloseBtn');
+    els.transferForm = document.getElementById('transferForm');
+    els.transferLot = document.getElementById('transferLot');
+    els.transferTo = document.getElementById('transferTo');
+    els.transferBranchOptions = document.getElementById('transferBranchOptions');
+    els.transferIncomingBody = document.getElementById('transferIncomingBody');
+    els.transferHistoryBody = document.getElementById('transferHistoryBody');
+
+    // Offline sync indicator and modal elements
+    els.syncStatus = document.getElementById('syncStatus');
+    els.syncModalBackdrop = document.getElementById('syncModalBackdrop');
+    els.syncModalCloseBtn = document.getElementById('syncModalCloseBtn');
+    els.syncSummary = document.getElementById('syncSummary');
+    els.syncNowBtn = document.getElementById('syncNowBtn');
+    els.syncPendingBody = document.getElementById('syncPendingBody');
+    els.syncConflicts = document.getElementById('syncConflicts');
+    els.syncConflictsBody = document.getElementById('syncConflictsBody');
+
+    // Requisition modal elements
+    els.requisitionsBtn = document.getElementById('requisitionsBtn');
+    els.requisitionModalBackdrop = document.getElementById('requisitionModalBackdrop');
+    els.requisitionModalCloseBtn = document.getElementById('requisitionModalCloseBtn');
+    els.generateRequisitionBtn = document.getElementById('generateRequisitionBtn');
+    els.requisitionListBody = document.getElementById('requisitionListBody');
+    els.requisitionEditor = document.getElementById('requisitionEditor');
+    els.requisitionStatus = document.getElementById('requisitionStatus');
+    els.requisitionNotes = document.getElementById('requisitionNotes');
+    els.requisitionLinesBody = document.getElementById('requisitionLinesBody');
+    els.requisitionSaveBtn = document.getElementById('requisitionSaveBtn');
+    els.requisitionCsvBtn = document.getElementById('requisitionCsvBtn');
+    els.requisitionPrintBtn = document.getElementById('requisitionPrintBtn');
+
+    // Goods receiving modal elements
+    els.receiveBtn = document.getElementById('receiveBtn');
+    els.receiveModalBackdrop = document.getElementById('receiveModalBackdrop');
+    els.receiveModalCloseBtn = document.getElementById('receiveModalCloseBtn');
+    els.receiveCancelBtn = document.getElementById('receiveCancelBtn');
+    els.receiveForm = document.getElementById('receiveForm');
+    els.receiveRequisition = document.getElementById('receiveRequisition');
+    els.receiveLinesBody = document.getElementById('receiveLinesBody');
+    els.receiveAddLineBtn = document.getElementById('receiveAddLineBtn');
+    els.receiveReconcile = document.getElementById('receiveReconcile');
+    els.receiveReconcileBody = document.getElementById('receiveReconcileBody');
+  }
+
+  function populateItemOptions() {
+    const category = els.category.value;
+    const select = els.itemName;
+
+    // Reset dropdown
+    select.innerHTML = '<option value="">Select item</option>';
+
+    // Reset custom item field
+    if (els.customItemName) {
+      els.customItemName.value = '';
+      els.customItemName.hidden = true;
+      els.customItemName.required = false;
+    }
+
+    if (!category) return;
+
+    // 1) Active catalog items
+    Catalog.items(category).forEach((entry) => {
+      const opt = document.createElement('option');
+      opt.value = entry.itemName;
+      opt.textContent = entry.itemName;
+      select.appendChild(opt);
+    });
+
+    // 2) Add "Other" (it creates a catalog entry)
+    if (!Permissions.can('catalog.manage')) return;
+    const otherOpt = document.createElement('option');
+    otherOpt.value = '__other__';
+    otherOpt.textContent = 'Other';
+    select.appendChild(otherOpt);
+  }
+
+  function initCategoryItemOptions() {
+    if (!els.category || !els.itemName) return;
+
+    // Category change
+    els.category.addEventListener('change', populateItemOptions);
+
+    // Item change -> show/hide textbox
+    els.itemName.addEventListener('change', () => {
+      if (!els.customItemName) return;
+
+      if (els.itemName.value === '__other__') {
+        els.customItemName.hidden = false;
+        els.customItemName.required = true;
+        els.customItemName.focus();
+      } else {
+        els.customItemName.hidden = true;
+        els.customItemName.required = false;
+        els.customItemName.value = '';
+      }
+      applyCatalogDefaults();
+    });
+
+    populateItemOptions();
+  }
+
+  // Prefill brand and volume from the catalog without overwriting input.
+  function applyCatalogDefaults() {
+    const entry = Catalog.get(els.category.value, els.itemName.value);
+    if (!entry) return;
+    const brand = document.getElementById('brand');
+    const volume = document.getElementById('contentVolume');
+    if (brand && !brand.value) brand.value = entry.defaultBrand;
+    if (volume && !volume.value) volume.value = entry.unit;
+  }
+
+  // Keyboard-wedge scanners usually send FNC1 as Ctrl+] (ASCII 29), which a
+  // text field would drop; put the separator in by hand and treat Enter as
+  // "scan complete" instead of submitting the form.
+  function bindScanField(input, onScan) {
+    if (!input) return;
+    input.addEventListener('keydown', (e) => {
+      const isSeparator =
+        e.key === 'GroupSeparator' ||
+        (e.ctrlKey && (e.key === ']' || e.code === 'BracketRight'));
+      if (isSeparator) {
+        e.preventDefault();
+        input.setRangeText(
+          GS1.GROUP_SEPARATOR,
+          input.selectionStart,
+          input.selectionEnd,
+          'end'
+        );
+        return;
+      }
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (input.value) onScan(GS1.parse(input.value));
+      }
+    });
+  }
+
+  function showScanResult(hint, scan, mapped) {
+    if (!hint) return;
+    const messages = [];
+    if (scan.lotNumber) messages.push(`Lot ${scan.lotNumber}`);
+    if (scan.expiryDate) messages.push(`Exp ${DateUtils.format(scan.expiryDate)}`);
+    if (mapped) messages.push(`${mapped.itemName} (${mapped.category})`);
+    else if (scan.gtin) messages.push(`GTIN ${scan.gtin} is not mapped to a catalog item`);
+    messages.push(...scan.errors);
+    hint.textContent = messages.join(' · ');
+    hint.className =
+      scan.errors.length || (scan.gtin && !mapped)
+        ? 'use-hint use-hint--warning'
+        : 'use-hint';
+  }
+
+  function handleAddScan(scan) {
+    const mapped = scan.gtin ? Catalog.findByGtin(scan.gtin) : null;
+    if (mapped) {
+      els.category.value = mapped.category;
+      populateItemOptions();
+      els.itemName.value = mapped.itemName;
+      applyCatalogDefaults();
+    }
+    if (scan.lotNumber) document.getElementById('lotNumber').value = scan.lotNumber;
+    if (scan.expiryDate) {
+      document.getElementById('expiryDate').value = scan.expiryDate;
+    }
+    showScanResult(els.scanHint, scan, mapped);
+    els.scanCode.select();
+  }
+
+  function handleEditScan(scan) {
+    const mapped = scan.gtin ? Catalog.findByGtin(scan.gtin) : null;
+    if (mapped) {
+      els.editCategory.value = mapped.category;
+      populateEditItemOptions(mapped.itemName);
+    }
+    if (scan.lotNumber) {
+      document.getElementById('editLotNumber').value = scan.lotNumber;
+    }
+    if (scan.expiryDate) {
+      document.getElementById('editExpiryDate').value = scan.expiryDate;
+    }
+    showScanResult(els.editScanHint, scan, mapped);
+    els.editScanCode.select();
+  }
+
+  // ✅ UPDATED FUNCTION (CORRECT VERSION)
+  async function handleFormSubmit(e) {
+    e.preventDefault();
+
+    const formData = new FormData(els.inventoryForm);
+
+    const payloadCategory = formData.get('category');
+    let selectedItemName = formData.get('itemName');
+    const customItemName = (formData.get('customItemName') || '').trim();
+
+    // If Other -> use custom
+    if (selectedItemName === '__other__') {
+      selectedItemName = customItemName;
+    }
+
+    // Basic validation for custom
+    if (!selectedItemName || selectedItemName.trim() === '') {
+      alert('Item Name is required.');
+      return;
+    }
+
+    const payload = {
+      category: payloadCategory,
+      itemName: selectedItemName,
+      brand: formData.get('brand'),
+      contentVolume: formData.get('contentVolume'),
+      lotNumber: formData.get('lotNumber'),
+      dateReceived: formData.get('dateReceived'),
+      expiryDate: formData.get('expiryDate'),
+      status: formData.get('status'),
+      quantity: Number(formData.get('quantity')),
+      unitCost: formData.get('unitCost'),
+      remarks: '',
+    };
+
+    // If user typed custom -> add it to the catalog permanently
+    if (
+      formData.get('itemName') === '__other__' &&
+      !Catalog.get(payload.category, payload.itemName)
+    ) {
+      if (!requireConnection()) return;
+      Catalog.setCatalog(
+        await InventoryRepository.saveCatalogEntry(
+          Catalog.createEntry({
+            category: payload.category,
+            itemName: payload.itemName,
+          })
+        )
+      );
+    }
+
+    const item = InventoryService.createItem(payload);
+    const errors = InventoryService.validate(item);
+
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+
+    if (item.quantity > 0) {
+      // New lots start empty and are filled by their first receipt.
+      const empty = { ...item, quantity: 0 };
+      await InventoryRepository.upsert(empty);
+      const receipt = InventoryService.createMovement(empty, {
+        type: 'receive',
+        amount: item.quantity,
+        note: 'Initial receipt',
+      });
+      state.items = await InventoryRepository.recordMovement(empty, receipt);
+    } else {
+      state.items = await InventoryRepository.upsert(item);
+    }
+
+    els.inventoryForm.reset();
+
+    // Hide custom field after reset
+    if (els.customItemName) {
+      els.customItemName.value = '';
+      els.customItemName.hidden = true;
+      els.customItemName.required = false;
+    }
+
+    closeAddModal();
+    render();
+  }
+
+  function handleFilters() {
+    const baseSearch = els.searchInput ? els.searchInput.value.trim() : '';
+    const topSearch = els.topSearchInput ? els.topSearchInput.value.trim() : '';
+    state.filters.search = `${baseSearch} ${topSearch}`.trim();
+    state.filters.category = els.filterCategory ? els.filterCategory.value : '';
+    state.filters.status = els.filterStatus.value;
+    state.filters.expiry = els.filterExpiry.value;
+    state.filters.lowStock = els.filterLowStock.value;
+    renderTable();
+    renderAlerts();
+  }
+
+  function handleSortClick(e) {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const field = th.dataset.sort;
+    if (state.sortField === field) {
+      state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+      state.sortField = field;
+      state.sortDirection = 'asc';
+    }
+    renderTable();
+  }
+
+  function openEditModal(id) {
+    const item = state.items.find((i) => i.id === id);
+    if (!item) return;
+    els.editModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+
+    document.getElementById('editId').value = item.id;
+    editingVersion = item.updatedAt;
+    editingQuantity = item.quantity;
+    if (els.editStaleNotice) els.editStaleNotice.hidden = true;
+    if (els.editScanCode) {
+      els.editScanCode.value = '';
+      els.editScanHint.textContent = '';
+    }
+    // Keep a lot's existing category selectable even if it has since been retired.
+    fillCategorySelect(els.editCategory, '', [item.category]);
+    els.editCategory.value = item.category || '';
+    populateEditItemOptions(item.itemName);
+    document.getElementById('editBrand').value = item.brand;
+    document.getElementById('editContentVolume').value = item.contentVolume;
+    document.getElementById('editLotNumber').value = item.lotNumber;
+    document.getElementById('editDateReceived').value = item.dateReceived;
+    document.getElementById('editExpiryDate').value = item.expiryDate;
+    document.getElementById('editStatus').value = item.status;
+    document.getElementById('editDateOpened').value = item.dateOpened;
+    document.getElementById('editQuantity').value = item.quantity;
+    document.getElementById('editQuantity').disabled =
+      !Permissions.can('stock.adjust');
+    document.getElementById('editUnitCost').value = item.unitCost ?? '';
+
+    const firstInput = document.getElementById('editItemName');
+    if (firstInput) {
+      firstInput.focus();
+    }
+  }
+
+  function closeEditModal() {
+    els.editModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function openAddModal() {
+    if (!els.addModalBackdrop) return;
+    els.addModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    if (els.scanHint) els.scanHint.textContent = '';
+    if (els.inventoryForm) {
+      els.inventoryForm.reset();
+      if (els.category) {
+        els.category.dispatchEvent(new Event('change'));
+        els.category.focus();
+      }
+    }
+  }
+
+  function closeAddModal() {
+    if (!els.addModalBackdrop) return;
+    els.addModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function handleEditSubmit(e) {
+    e.preventDefault();
+    const id = document.getElementById('editId').value;
+    const payload = {
+      id,
+      category: document.getElementById('editCategory').value || '',
+      itemName: document.getElementById('editItemName').value,
+      brand: document.getElementById('editBrand').value,
+      contentVolume: document.getElementById('editContentVolume').value,
+      lotNumber: document.getElementById('editLotNumber').value,
+      dateReceived: document.getElementById('editDateReceived').value,
+      expiryDate: document.getElementById('editExpiryDate').value,
+      status: document.getElementById('editStatus').value,
+      dateOpened: document.getElementById('editDateOpened').value,
+      quantity: Number(document.getElementById('editQuantity').value),
+      unitCost: document.getElementById('editUnitCost').value,
+      remarks: '',
+    };
+    const original = state.items.find((i) => i.id === id);
+    // Fields the form does not show (e.g. the delivery link) carry over; the
+    // version is the one the user started editing.
+    const updatedItem = InventoryService.createItem({
+      ...original,
+      ...payload,
+      updatedAt: editingVersion,
+    });
+    const errors = InventoryService.validate(updatedItem);
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+
+    const { items, conflict } = await InventoryRepository.saveEdit(updatedItem);
+    state.items = items;
+    if (conflict) {
+      render();
+      openConflictModal(updatedItem, conflict.server);
+      return;
+    }
+    await finishEdit(updatedItem, original);
+  }
+
+  async function finishEdit(updatedItem, original) {
+    // A typed-in quantity is recorded as a stock count, never a silent
+    // overwrite. Only a change the user made in the form counts; the live
+    // quantity may have moved since the modal opened.
+    if (original && updatedItem.quantity !== editingQuantity) {
+      const adjustment = InventoryService.createMovement(original, {
+        type: 'adjust',
+        amount: updatedItem.quantity,
+        note: 'Quantity corrected in Edit',
+      });
+      state.items = await InventoryRepository.recordMovement(
+        original,
+        adjustment
+      );
+    }
+
+    closeEditModal();
+    render();
+  }
+
+  const CONFLICT_FIELDS = [
+    ['Category', 'category'],
+    ['Item Name', 'itemName'],
+    ['Brand / Supplier', 'brand'],
+    ['Content Volume', 'contentVolume'],
+    ['Lot Number', 'lotNumber'],
+    ['Date Received', 'dateReceived', DateUtils.format],
+    ['Expiry Date', 'expiryDate', DateUtils.format],
+    ['Date Opened', 'dateOpened', DateUtils.format],
+    ['Status', 'status'],
+    ['Quantity', 'quantity'],
+    ['Unit Cost', 'unitCost', Money.format],
+    ['Remarks', 'remarks'],
+    ['Deleted', 'deletedAt', DateUtils.formatDateTime],
+  ];
+
+  // Side-by-side view of the other user's saved lot and the edit that was
+  // refused because of it. `server` is null when they deleted the lot.
+  function openConflictModal(mine, server) {
+    if (!els.conflictModalBackdrop) return;
+    conflictEdit = { mine, server };
+    els.conflictModalBackdrop.hidden = false;
+    els.conflictNote.textContent = server
+      ? `This lot was saved by someone else at ${DateUtils.formatDateTime(
+          server.updatedAt
+        )}, after you started editing. Choose which version to keep.`
+      : 'This lot was deleted by someone else after you started editing. ' +
+        'Saving yours will restore it.';
+    els.conflictBackBtn.hidden = !server;
+    els.conflictTableBody.innerHTML = CONFLICT_FIELDS.map(
+      ([label, key, format]) => {
+        const show = (item) =>
+          item ? (format ? format(item[key]) : item[key]) ?? '' : '—';
+        const theirs = show(server);
+        const yours = show(mine);
+        return `
+          <tr class="${String(theirs) === String(yours) ? '' : 'conflict-row--differs'}">
+            <td>${label}</td>
+            <td>${theirs === '' ? '—' : theirs}</td>
+            <td>${yours === '' ? '—' : yours}</td>
+          </tr>
+        `;
+      }
+    ).join('');
+  }
+
+  function closeConflictModal() {
+    if (!els.conflictModalBackdrop) return;
+    els.conflictModalBackdrop.hidden = true;
+    conflictEdit = null;
+  }
+
+  async function handleConflictKeepMine() {
+    if (!conflictEdit) return;
+    const { mine, server } = conflictEdit;
+    const current = state.items.find((i) => i.id === mine.id);
+    closeConflictModal();
+    if (!server) {
+      state.items = await InventoryRepository.upsert(mine);
+      closeEditModal();
+      render();
+      return;
+    }
+    // The quantity follows the ledger, so theirs stands unless the user
+    // typed a new one.
+    const item = {
+      ...mine,
+      updatedAt: server.updatedAt,
+      quantity: mine.quantity === editingQuantity ? server.quantity : mine.quantity,
+    };
+    const { items, conflict } = await InventoryRepository.saveEdit(item);
+    state.items = items;
+    if (conflict) {
+      render();
+      openConflictModal(item, conflict.server);
+      return;
+    }
+    await finishEdit(item, current);
+  }
+
+  function handleConflictTakeTheirs() {
+    closeConflictModal();
+    closeEditModal();
+    render();
+  }
+
+  // Reloads the form with the other user's version so the edit can be
+  // redone on top of it.
+  function handleConflictBack() {
+    const server = conflictEdit && conflictEdit.server;
+    closeConflictModal();
+    if (server) openEditModal(server.id);
+  }
+
+  // Realtime refresh from other users' changes.
+  function handleLiveUpdate(items) {
+    state.items = items;
+    render();
+    if (!els.editModalBackdrop.hidden && els.editStaleNotice) {
+      const live = items.find(
+        (i) => i.id === document.getElementById('editId').value
+      );
+      els.editStaleNotice.hidden = Boolean(
+        live && live.updatedAt === editingVersion
+      );
+    }
+  }
+
+  function handleEditStatusChange() {
+    if (els.editStatus.value === 'Opened' && !els.editDateOpened.value) {
+      els.editDateOpened.value = DateUtils.today();
+    }
+  }
+
+  function syncMovementAmountLabel() {
+    if (!els.movementAmountLabel) return;
+    els.movementAmountLabel.textContent =
+      els.movementType.value === 'adjust' ? 'Counted Quantity' : 'Quantity';
+  }
+
+  function renderMovementHistory(movements) {
+    if (!els.movementHistoryBody) return;
+    const rows = StockLedger.withRunningBalance(movements).reverse();
+    if (rows.length === 0) {
+      els.movementHistoryBody.innerHTML =
+        '<tr><td colspan="5" class="text-muted">No movements recorded yet.</td></tr>';
+      return;
+    }
+    els.movementHistoryBody.innerHTML = rows
+      .map((m) => {
+        const def = MovementTypes[m.type];
+        const delta = m.quantity > 0 ? `+${m.quantity}` : String(m.quantity);
+        return `
+          <tr>
+            <td>${DateUtils.format(m.createdAt)}</td>
+            <td>${def ? def.label : m.type}${
+              m.reason ? ` · ${WasteReasons[m.reason] || m.reason}` : ''
+            }</td>
+            <td>${delta}</td>
+            <td>${m.balanceAfter}</td>
+            <td>${m.note || ''}${m.createdBy ? ` <span class="text-muted">(${m.createdBy})</span>` : ''}</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  async function openMovementModal(id) {
+    const item = state.items.find((i) => i.id === id);
+    if (!item || !els.movementModalBackdrop) return;
+    els.movementModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+
+    els.movementForm.reset();
+    document.getElementById('movementItemId').value = item.id;
+    document.getElementById('movementItemLabel').textContent = [
+      item.itemName,
+      item.lotNumber ? `Lot ${item.lotNumber}` : '',
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    document.getElementById('movementOnHand').textContent = String(
+      item.quantity
+    );
+    syncMovementAmountLabel();
+    els.movementAmount.focus();
+
+    els.movementHistoryBody.innerHTML =
+      '<tr><td colspan="5" class="text-muted">Loading…</td></tr>';
+    renderMovementHistory(await InventoryRepository.loadMovements(item.id));
+  }
+
+  function openValuationModal() {
+    if (!els.valuationModalBackdrop) return;
+    els.valuationModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+
+    const value = InventoryService.valuation(state.items);
+    els.valuationNote.textContent =
+      `Quantity on hand × unit cost, in ${Settings.get('currency')}.` +
+      (value.uncosted
+        ? ` ${value.uncosted} lot${value.uncosted === 1 ? ' has' : 's have'} no unit cost and ${
+            value.uncosted === 1 ? 'is' : 'are'
+          } not included.`
+        : '');
+    const rows = (groups) =>
+      groups.length
+        ? groups
+            .map(
+              (g) => `
+                <tr>
+                  <td>${g.key}</td>
+                  <td>${Money.format(g.total)}</td>
+                  <td>${Money.format(g.expired)}</td>
+                  <td>${Money.format(g.expiring)}</td>
+                  <td>${g.uncosted || ''}</td>
+                </tr>
+              `
+            )
+            .join('')
+        : '<tr><td colspan="5" class="text-muted">No stock on hand.</td></tr>';
+    els.valuationCategoryBody.innerHTML = rows(value.byCategory);
+    els.valuationBrandBody.innerHTML = rows(value.byBrand);
+  }
+
+  function formatUsage(units) {
+    return units < 10 ? units.toFixed(1) : String(Math.round(units));
+  }
+
+  // Usage comes from the movement log, which is loaded separately from the
+  // lots; render() waits for it so the table is drawn once, with the
+  // forecast columns filled in.
+  async function refreshForecast() {
+    const { lots, consumption } = await InventoryRepository.loadUsage();
+    state.forecast = InventoryService.forecast(
+      state.items,
+      InventoryService.usageRates(lots, consumption)
+    );
+  }
+
+  function openForecastModal() {
+    if (!els.forecastModalBackdrop) return;
+    els.forecastModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+
+    const rows = [...state.forecast.byItem.values()].sort((a, b) => {
+      if (a.daysOfSupply == null) return b.daysOfSupply == null ? 0 : 1;
+      if (b.daysOfSupply == null) return -1;
+      return a.daysOfSupply - b.daysOfSupply;
+    });
+    els.forecastItemsBody.innerHTML = rows.length
+      ? rows
+          .map(
+            (r) => `
+              <tr>
+                <td>${r.itemName}</td>
+                <td>${r.category || ''}</td>
+                <td>${r.onHand}</td>
+                <td>${r.dailyUsage ? formatUsage(r.dailyUsage) : '—'}</td>
+                <td>${r.weeklyUsage ? formatUsage(r.weeklyUsage) : '—'}</td>
+                <td>${r.daysOfSupply == null ? 'No recent use' : r.daysOfSupply}</td>
+                <td>${r.stockOutDate ? DateUtils.format(r.stockOutDate) : '—'}</td>
+                <td>${r.unitsAtRisk || ''}</td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="8" class="text-muted">No stock on hand.</td></tr>';
+
+    const atRisk = state.items
+      .filter((i) => {
+        const lot = state.forecast.byLot.get(i.id);
+        return lot && lot.unused > 0;
+      })
+      .sort((a, b) => String(a.expiryDate).localeCompare(String(b.expiryDate)));
+    els.forecastRiskBody.innerHTML = atRisk.length
+      ? atRisk
+          .map(
+            (i) => `
+              <tr>
+                <td>${i.itemName}</td>
+                <td>${i.lotNumber || ''}</td>
+                <td>${DateUtils.format(i.expiryDate)}</td>
+                <td>${i.quantity}</td>
+                <td>~${state.forecast.byLot.get(i.id).unused}</td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="5" class="text-muted">No lots are expected to expire before use.</td></tr>';
+  }
+
+  function closeForecastModal() {
+    if (!els.forecastModalBackdrop) return;
+    els.forecastModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  // Compares the inventory with the last check and records a notification
+  // for each new condition, plus edits and deletes by others since the
+  // audit log was last read. The first check on a device only sets the
+  // baseline. Checks triggered while one runs are folded into one rerun.
+  async function refreshNotifications() {
+    if (!CURRENT_USER || !els.notificationsBtn) return;
+    if (notificationsBusy) {
+      notificationsAgain = true;
+      return;
+    }
+    notificationsBusy = true;
+    try {
+      const conditions = InventoryService.notificationConditions(state.items);
+      const fresh = notificationWatch
+        ? InventoryService.newNotifications(conditions, notificationWatch.conditions)
+        : [];
+      let auditSince = notificationWatch
+        ? notificationWatch.auditSince
+        : new Date().toISOString();
+      if (notificationWatch && syncState.online) {
+        const entries = await InventoryRepository.loadAudit({ from: auditSince });
+        fresh.push(...InventoryService.auditNotifications(entries, CURRENT_USER.id));
+        if (entries.length) auditSince = entries[0].createdAt;
+      }
+      notificationWatch = { conditions: [...conditions.keys()], auditSince };
+      await InventoryRepository.saveNotificationWatch(notificationWatch);
+      const known = new Set(notifications.map((n) => n.id));
+      const added = fresh.filter((n) => !known.has(n.id));
+      if (added.length) {
+        notifications = await InventoryRepository.saveNotifications(added);
+      }
+      renderNotifications();
+    } finally {
+      notificationsBusy = false;
+      if (notificationsAgain) {
+        notificationsAgain = false;
+        await refreshNotifications();
+      }
+    }
+  }
+
+  function renderNotifications() {
+    const unread = notifications.filter((n) => !n.readAt).length;
+    if (els.notificationBadge) {
+      els.notificationBadge.hidden = unread === 0;
+      els.notificationBadge.textContent = unread > 99 ? '99+' : String(unread);
+    }
+    if (!els.notificationsModalBackdrop || els.notificationsModalBackdrop.hidden) {
+      return;
+    }
+    els.notificationsSummary.textContent = notifications.length
+      ? `${unread} unread of ${notifications.length}`
+      : '';
+    els.notificationsReadAllBtn.disabled = unread === 0;
+    els.notificationList.innerHTML = notifications.length
+      ? notifications
+          .map(
+            (n) => `
+              <li>
+                <button type="button" class="notification ${
+                  n.readAt ? '' : 'notification--unread'
+                }" data-id="${n.id}">
+                  <div>${Html.escape(n.title)}</div>
+                  ${n.body ? `<div class="notification__body">${Html.escape(n.body)}</div>` : ''}
+                  <div class="notification__meta">${
+                    NotificationKinds[n.kind] || n.kind
+                  } · ${DateUtils.formatDateTime(n.createdAt)}</div>
+                </button>
+              </li>
+            `
+          )
+          .join('')
+      : '<li class="text-muted small">No notifications yet.</li>';
+  }
+
+  function openNotificationsModal() {
+    if (!els.notificationsModalBackdrop) return;
+    els.notificationsModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    renderNotifications();
+  }
+
+  function closeNotificationsModal() {
+    if (!els.notificationsModalBackdrop) return;
+    els.notificationsModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function markNotificationsRead(list) {
+    const unread = list.filter((n) => !n.readAt);
+    if (!unread.length) return;
+    const readAt = new Date().toISOString();
+    notifications = await InventoryRepository.saveNotifications(
+      unread.map((n) => ({ ...n, readAt }))
+    );
+    renderNotifications();
+  }
+
+  // Marks the notification read and takes the user to what it is about:
+  // the lot's edit modal (or its row, without edit rights), the item's
+  // lots for a reorder alert, or the recycle bin for a deleted lot.
+  async function handleNotificationClick(e) {
+    const btn = e.target.closest('button[data-id]');
+    if (!btn) return;
+    const notification = notifications.find((n) => n.id === btn.dataset.id);
+    if (!notification) return;
+    await markNotificationsRead([notification]);
+    closeNotificationsModal();
+
+    const item = state.items.find((i) => i.id === notification.itemId);
+    if (notification.kind === 'reorder') {
+      applyTableFilter({
+        category: notification.category,
+        search: notification.itemName,
+        lowStock: 'low',
+      });
+    } else if (item && Permissions.can('item.edit')) {
+      openEditModal(item.id);
+    } else if (item) {
+      applyTableFilter({
+        category: item.category,
+        search: item.lotNumber || item.itemName,
+      });
+    } else if (Permissions.can('item.delete')) {
+      openRecycleModal();
+    } else {
+      alert('That lot is no longer in the inventory.');
+    }
+  }
+
+  // Mail goes through the SMTP function wherever there is one; only a
+  // local or training session falls back to the console log.
+  function applyMailSettings() {
+    DigestService.useTransport(
+      InventoryRepository.hasFunctions()
+        ? MailTransports.smtp(Settings.get('mailFunction'))
+        : MailTransports.log()
+    );
+  }
+
+  // The subscription as currently chosen in the form, for the preview.
+  function digestFormSubscription() {
+    return {
+      ...digestSubscription,
+      frequency: els.digestFrequency.value,
+      weekday: Number(els.digestWeekday.value),
+    };
+  }
+
+  function renderDigestPreview() {
+    const sub = digestFormSubscription();
+    els.digestWeekdayGroup.hidden = sub.frequency !== 'weekly';
+    const message = DigestService.build(state.items, {
+      ...sub,
+      frequency: sub.frequency === 'off' ? 'daily' : sub.frequency,
+    });
+    els.digestPreviewSubject.textContent = `Subject: ${message.subject}`;
+    els.digestPreviewFrame.srcdoc = message.html;
+  }
+
+  async function openDigestModal() {
+    if (!els.digestModalBackdrop) return;
+    els.digestModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    els.digestFrequency.innerHTML = Object.entries(DigestFrequencies)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+
+    digestSubscription = await InventoryRepository.loadDigestSubscription();
+    els.digestFrequency.value = digestSubscription.frequency;
+    els.digestWeekday.value = String(digestSubscription.weekday);
+    els.digestNote.textContent =
+      `Expired, expiring and out-of-stock lots for this branch, sent to ${
+        digestSubscription.email
+      } by the server's scheduled job at ${String(DigestService.SEND_HOUR).padStart(2, '0')}:00. ` +
+      (DigestService.currentTransport().name === 'log'
+        ? 'This session has no mail server: "Send Me This Now" only writes the ' +
+          'message to the browser console and no mail is sent.'
+        : `"Send Me This Now" goes by: ${DigestService.currentTransport().label}.`) +
+      (digestSubscription.lastSentAt
+        ? ` Last sent ${DateUtils.formatDateTime(digestSubscription.lastSentAt)}.`
+        : '');
+    renderDigestPreview();
+  }
+
+  function closeDigestModal() {
+    if (!els.digestModalBackdrop) return;
+    els.digestModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function handleDigestSubmit(e) {
+    e.preventDefault();
+    if (!requireConnection()) return;
+    digestSubscription = await InventoryRepository.saveDigestSubscription(
+      digestFormSubscription()
+    );
+    closeDigestModal();
+  }
+
+  async function handleDigestSendTest() {
+    if (!requireConnection()) return;
+    const sub = digestFormSubscription();
+    const message = DigestService.build(state.items, {
+      ...sub,
+      frequency: sub.frequency === 'off' ? 'daily' : sub.frequency,
+    });
+    const { error } = await DigestService.send(sub, message);
+    if (error) {
+      alert(`Could not send the digest: ${error.message || error}`);
+      return;
+    }
+    alert(
+      DigestService.currentTransport().name === 'log'
+        ? 'No mail was sent: this session has no mail server. The digest was written to the browser console.'
+        : `Digest sent to ${sub.email}.`
+    );
+  }
+
+  function reportMeta() {
+    return {
+      branch:
+        (els.branchLabel && els.branchLabel.textContent.trim()) ||
+        `${USER_BRANCH.toUpperCase()} Branch`,
+      generatedAt: new Date().toISOString(),
+      user: CURRENT_USER.email,
+      logoUrl: new URL('logo.png', document.baseURI).href,
+    };
+  }
+
+  function renderReportPreview() {
+    const report = InventoryService.report(els.reportKind.value, state.items);
+    els.reportPreviewFrame.srcdoc = ReportService.html(report, reportMeta());
+  }
+
+  function openReportsModal() {
+    if (!els.reportsModalBackdrop) return;
+    els.reportsModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    if (!els.reportKind.options.length) {
+      els.reportKind.innerHTML = Object.entries(InventoryService.REPORTS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    }
+    renderReportPreview();
+  }
+
+  function closeReportsModal() {
+    if (!els.reportsModalBackdrop) return;
+    els.reportsModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function pdfAvailable() {
+    const jsPDF = window.jspdf && window.jspdf.jsPDF;
+    return Boolean(jsPDF && jsPDF.API.autoTable);
+  }
+
+  // The logo as a data URL for jsPDF; the PDF goes without it if it
+  // cannot be read.
+  async function loadLogoDataUrl() {
+    try {
+      const response = await fetch('logo.png');
+      if (!response.ok) return null;
+      const blob = await response.blob();
+      return await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => resolve(null);
+        reader.readAsDataURL(blob);
+      });
+    } catch (err) {
+      console.error('Failed to load logo for PDF', err);
+      return null;
+    }
+  }
+
+  async function buildReportPdf(kind) {
+    const report = InventoryService.report(kind, state.items, { currencyDisplay: 'code' });
+    return ReportService.pdf(
+      window.jspdf.jsPDF,
+      report,
+      reportMeta(),
+      await loadLogoDataUrl()
+    );
+  }
+
+  // Prints the PDF, which carries the page numbers, in a new tab. The tab
+  // is opened before the PDF is built so popup blockers allow it.
+  async function handleReportPrint() {
+    if (!pdfAvailable()) {
+      const frame = els.reportPreviewFrame.contentWindow;
+      frame.focus();
+      frame.print();
+      return;
+    }
+    const tab = window.open('', '_blank');
+    if (!tab) {
+      alert('The print tab was blocked. Allow pop-ups for this site, or use Download PDF.');
+      return;
+    }
+    const doc = await buildReportPdf(els.reportKind.value);
+    doc.autoPrint();
+    tab.location.href = doc.output('bloburl');
+  }
+
+  async function handleReportPdf() {
+    if (!pdfAvailable()) {
+      alert('The PDF library is not available. Use Print and choose "Save as PDF" instead.');
+      return;
+    }
+    const kind = els.reportKind.value;
+    const doc = await buildReportPdf(kind);
+    doc.save(ReportService.fileName(kind, USER_BRANCH));
+  }
+
+  function closeValuationModal() {
+    if (!els.valuationModalBackdrop) return;
+    els.valuationModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function showCurrency() {
+    document.querySelectorAll('.currency-code').forEach((el) => {
+      el.textContent = `(${Settings.get('currency')})`;
+    });
+  }
+
+  function openSettingsModal() {
+    if (!els.settingsModalBackdrop) return;
+    els.settingsModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    els.settingsCurrency.value = Settings.get('currency');
+    els.settingsMailFunction.value = Settings.get('mailFunction');
+
+    tierDraft = ExpiryTiers.all().map((r) => ({ ...r }));
+    if (!tierDraft.some((r) => !r.category)) {
+      tierDraft.push({ category: '', itemName: '', critical: null, warning: null, watch: null });
+    }
+    tierRemoved = [];
+    renderTierRules();
+    els.tierRuleCategory.innerHTML = Catalog.categories()
+      .map((name) => `<option value="${name}">${name}</option>`)
+      .join('');
+    populateTierRuleItems();
+    els.settingsCurrency.focus();
+  }
+
+  function sameTierRule(a, b) {
+    return a.category === b.category && a.itemName === b.itemName;
+  }
+
+  // Branch default first, then each category followed by its item rules.
+  function renderTierRules() {
+    tierDraft.sort(
+      (a, b) =>
+        a.category.localeCompare(b.category) ||
+        a.itemName.localeCompare(b.itemName)
+    );
+    els.tierRulesBody.innerHTML = tierDraft
+      .map((r, n) => {
+        const scope = !r.category
+          ? 'Branch default'
+          : r.itemName
+          ? `${r.itemName} <span class="text-muted">(${r.category})</span>`
+          : `All ${r.category}`;
+        const inputs = ExpiryTiers.TIERS.map(
+          ({ code }) => `
+            <td>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                class="form-control form-control-sm"
+                data-index="${n}"
+                data-tier="${code}"
+                value="${r[code] ?? ''}"
+                placeholder="${r.category ? 'inherit' : ExpiryTiers.DEFAULT_DAYS[code]}"
+              />
+            </td>
+          `
+        ).join('');
+        return `
+          <tr>
+            <td>${scope}</td>
+            ${inputs}
+            <td>${
+              r.category
+                ? `<div class="table-actions"><button type="button" class="btn-delete" data-index="${n}">Remove</button></div>`
+                : ''
+            }</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  function populateTierRuleItems() {
+    els.tierRuleItem.innerHTML =
+      '<option value="">Whole category</option>' +
+      Catalog.items(els.tierRuleCategory.value)
+        .map((e) => `<option value="${e.itemName}">${e.itemName}</option>`)
+        .join('');
+  }
+
+  function handleTierRuleInput(e) {
+    const input = e.target.closest('input[data-tier]');
+    if (!input) return;
+    const rule = tierDraft[Number(input.dataset.index)];
+    rule[input.dataset.tier] = input.value === '' ? null : Number(input.value);
+  }
+
+  function handleTierRuleRemove(e) {
+    const btn = e.target.closest('button[data-index]');
+    if (!btn) return;
+    const [removed] = tierDraft.splice(Number(btn.dataset.index), 1);
+    if (ExpiryTiers.rule(removed.category, removed.itemName)) {
+      tierRemoved.push(removed);
+    }
+    renderTierRules();
+  }
+
+  function handleTierRuleAdd() {
+    const rule = {
+      category: els.tierRuleCategory.value,
+      itemName: els.tierRuleItem.value,
+      critical: null,
+      warning: null,
+      watch: null,
+    };
+    if (!rule.category) return;
+    if (!tierDraft.some((r) => sameTierRule(r, rule))) {
+      tierDraft.push(rule);
+      renderTierRules();
+    }
+    const index = tierDraft.findIndex((r) => sameTierRule(r, rule));
+    const input = els.tierRulesBody.querySelector(`input[data-index="${index}"]`);
+    if (input) input.focus();
+  }
+
+  // The expiry filter offers one option per tier in use, so it follows the
+  // branch's tier settings.
+  function populateExpiryFilter() {
+    if (!els.filterExpiry) return;
+    const current = els.filterExpiry.value;
+    const options = [
+      ['', 'All'],
+      ['expired', 'Expired'],
+      ['expiring', 'Expiring soon (any tier)'],
+      ...ExpiryTiers.active().map(({ code, label }) => [`tier:${code}`, `${label} tier`]),
+      ['good', 'Not expiring soon'],
+    ];
+    els.filterExpiry.innerHTML = options
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    els.filterExpiry.value = options.some(([value]) => value === current)
+      ? current
+      : '';
+    state.filters.expiry = els.filterExpiry.value;
+  }
+
+  function closeSettingsModal() {
+    if (!els.settingsModalBackdrop) return;
+    els.settingsModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function handleSettingsSubmit(e) {
+    e.preventDefault();
+    if (!requireConnection()) return;
+    const currency = els.settingsCurrency.value.trim().toUpperCase();
+    const errors = [];
+    if (!Money.isCurrencyCode(currency)) {
+      errors.push('Currency must be a 3-letter code such as PHP or USD');
+    }
+    tierDraft.forEach((r) => errors.push(...ExpiryTiers.validateRule(r, tierDraft)));
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+    Settings.setSettings(
+      await InventoryRepository.saveSettings({
+        currency,
+        mailFunction:
+          els.settingsMailFunction.value.trim() || Settings.DEFAULTS.mailFunction,
+      })
+    );
+    applyMailSettings();
+    ExpiryTiers.setRules(
+      await InventoryRepository.saveExpiryTiers(
+        tierDraft,
+        tierRemoved.filter((r) => !tierDraft.some((d) => sameTierRule(d, r)))
+      )
+    );
+    showCurrency();
+    populateExpiryFilter();
+    closeSettingsModal();
+    render();
+  }
+
+  function openDiscardModal(id) {
+    const item = state.items.find((i) => i.id === id);
+    if (!item || !els.discardModalBackdrop) return;
+    els.discardModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+
+    els.discardForm.reset();
+    document.getElementById('discardItemId').value = item.id;
+    document.getElementById('discardItemLabel').textContent = [
+      item.itemName,
+      item.lotNumber ? `Lot ${item.lotNumber}` : '',
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    document.getElementById('discardOnHand').textContent = String(item.quantity);
+    document.getElementById('discardQty').value = item.quantity;
+    document.getElementById('discardResponsible').value = CURRENT_USER
+      ? CURRENT_USER.email
+      : '';
+    document.getElementById('discardUnitCost').value = item.unitCost ?? '';
+    if (InventoryService.expiryInfo(item).code === 'expired') {
+      els.discardReason.value = 'expired';
+    }
+    els.discardReason.focus();
+  }
+
+  function closeDiscardModal() {
+    if (!els.discardModalBackdrop) return;
+    els.discardModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function handleDiscardSubmit(e) {
+    e.preventDefault();
+    const id = document.getElementById('discardItemId').value;
+    const item = state.items.find((i) => i.id === id);
+    if (!item) return;
+
+    const movement = InventoryService.createMovement(item, {
+      type: 'discard',
+      amount: Number(document.getElementById('discardQty').value),
+      reason: els.discardReason.value,
+      responsible: document.getElementById('discardResponsible').value.trim(),
+      unitCost: document.getElementById('discardUnitCost').value,
+      note: document.getElementById('discardNote').value.trim(),
+    });
+    const errors = InventoryService.validateDiscard(item, movement);
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+
+    state.items = await InventoryRepository.recordMovement(item, movement);
+    closeDiscardModal();
+    render();
+  }
+
+  // Opens on the current quarter, the period management asks about.
+  async function openWasteModal() {
+    if (!els.wasteModalBackdrop) return;
+    els.wasteModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    const now = new Date();
+    els.wasteFrom.value = DateUtils.toIsoDate(
+      new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1)
+    );
+    els.wasteTo.value = DateUtils.today();
+    els.wasteRegisterBody.innerHTML =
+      '<tr><td colspan="8" class="text-muted">Loading…</td></tr>';
+    const { lots, discards } = await InventoryRepository.loadDiscards();
+    wasteLines = InventoryService.wasteEntries(lots, discards);
+    renderWaste();
+  }
+
+  function closeWasteModal() {
+    if (!els.wasteModalBackdrop) return;
+    els.wasteModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function filteredWaste() {
+    return InventoryService.filterWaste(wasteLines, {
+      from: els.wasteFrom.value,
+      to: els.wasteTo.value,
+      reason: els.wasteReasonFilter.value,
+    });
+  }
+
+  function renderWaste() {
+    const entries = filteredWaste();
+    const groupBy = els.wasteGroupBy.value;
+    els.wasteGroupHeading.textContent = InventoryService.WASTE_GROUPS[groupBy];
+
+    const report = InventoryService.wasteReport(entries, groupBy);
+    els.wasteReportBody.innerHTML = report.length
+      ? report
+          .map(
+            (r) => `
+              <tr>
+                <td>${Html.escape(r.label)}</td>
+                <td>${r.entries}</td>
+                <td>${r.units}</td>
+                <td>
+                  ${r.entries > r.uncosted ? Money.format(r.cost) : '—'}
+                  ${
+                    r.uncosted && r.entries > r.uncosted
+                      ? `<div class="cell-note">${r.uncosted} without cost</div>`
+                      : ''
+                  }
+                </td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="4" class="text-muted">Nothing discarded in this period.</td></tr>';
+
+    els.wasteRegisterBody.innerHTML = entries.length
+      ? entries
+          .map(
+            (e) => `
+              <tr>
+                <td>${DateUtils.format(e.date)}</td>
+                <td>${Html.escape(e.itemName)}</td>
+                <td>${Html.escape(e.lotNumber || '—')}</td>
+                <td>${Html.escape(WasteReasons[e.reason] || e.reason || '—')}</td>
+                <td>${e.units}</td>
+                <td>${e.cost == null ? '—' : Money.format(e.cost)}</td>
+                <td>${Html.escape(e.responsible || e.createdBy)}</td>
+                <td>${Html.escape(e.note)}</td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="8" class="text-muted">Nothing discarded in this period.</td></tr>';
+  }
+
+  function exportWasteCsv() {
+    const entries = filteredWaste();
+    if (entries.length === 0) {
+      alert('Nothing discarded in this period.');
+      return;
+    }
+    const header = [
+      'Date',
+      'Category',
+      'Item Name',
+      'Lot Number',
+      'Reason',
+      'Quantity',
+      'Unit Cost',
+      `Cost (${Settings.get('currency')})`,
+      'Responsible',
+      'Recorded By',
+      'Note',
+    ];
+    const rows = entries.map((e) => [
+      DateUtils.format(e.date),
+      e.category,
+      e.itemName,
+      e.lotNumber,
+      WasteReasons[e.reason] || e.reason,
+      String(e.units),
+      Money.toCsv(e.unitCost),
+      Money.toCsv(e.cost),
+      e.responsible,
+      e.createdBy,
+      (e.note || '').replace(/\n/g, ' '),
+    ]);
+    downloadCsv([header, ...rows], 'north-med-waste-register');
+  }
+
+  function closeMovementModal() {
+    if (!els.movementModalBackdrop) return;
+    els.movementModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function handleMovementSubmit(e) {
+    e.preventDefault();
+    const id = document.getElementById('movementItemId').value;
+    const item = state.items.find((i) => i.id === id);
+    if (!item) return;
+
+    const movement = InventoryService.createMovement(item, {
+      type: els.movementType.value,
+      amount: Number(els.movementAmount.value),
+      note: document.getElementById('movementNote').value.trim(),
+    });
+    const errors = InventoryService.validateMovement(item, movement);
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+    if (movement.type === 'consume' && !confirmFefo(item, movement)) return;
+
+    state.items = await InventoryRepository.recordMovement(item, movement);
+    closeMovementModal();
+    render();
+  }
+
+  // Using a later-expiring lot is allowed but must be deliberate; the
+  // override is kept in the movement note for the ledger.
+  function confirmFefo(item, movement) {
+    const warning = InventoryService.fefoWarning(state.items, item);
+    if (!warning) return true;
+    if (!window.confirm(`${warning}\n\nUse this lot anyway?`)) return false;
+    movement.note = ['FEFO override', movement.note].filter(Boolean).join(': ');
+    return true;
+  }
+
+  function populateUseItems() {
+    const category = els.useCategory.value;
+    const names = new Set(
+      state.items
+        .filter((i) => i.category === category && i.quantity > 0)
+        .map((i) => i.itemName)
+    );
+    fillSelect(
+      els.useItemName,
+      [...names].sort().map((name) => ({ value: name, label: name })),
+      'Select item'
+    );
+    populateUseLots();
+  }
+
+  function populateUseLots() {
+    const { recommended, candidates } = InventoryService.pickFefo(
+      state.items,
+      els.useCategory.value,
+      els.useItemName.value
+    );
+    els.useLot.innerHTML = '';
+    candidates.forEach((lot) => {
+      const opt = document.createElement('option');
+      opt.value = lot.id;
+      opt.textContent = [
+        lot.lotNumber ? `Lot ${lot.lotNumber}` : 'No lot',
+        `exp ${DateUtils.format(InventoryService.expiryInfo(lot).date) || '—'}`,
+        `qty ${lot.quantity}`,
+        lot.status,
+        lot === recommended ? '★ use first' : '',
+      ]
+        .filter(Boolean)
+        .join(' · ');
+      els.useLot.appendChild(opt);
+    });
+    if (recommended) els.useLot.value = recommended.id;
+    updateUseHint();
+  }
+
+  function updateUseHint() {
+    if (!els.useItemName.value) {
+      els.useHint.textContent = '';
+      return;
+    }
+    const chosen = state.items.find((i) => i.id === els.useLot.value);
+    if (!chosen) {
+      els.useHint.textContent = 'No usable (in-stock, unexpired) lot for this item.';
+      els.useHint.className = 'use-hint use-hint--warning';
+      return;
+    }
+    const warning = InventoryService.fefoWarning(state.items, chosen);
+    els.useHint.textContent =
+      warning || 'This is the first-expiring usable lot.';
+    els.useHint.className = warning ? 'use-hint use-hint--warning' : 'use-hint';
+  }
+
+  function openUseModal() {
+    if (!els.useModalBackdrop) return;
+    els.useModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    els.useForm.reset();
+    populateUseItems();
+    els.useCategory.focus();
+  }
+
+  function closeUseModal() {
+    if (!els.useModalBackdrop) return;
+    els.useModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function handleUseSubmit(e) {
+    e.preventDefault();
+    const item = state.items.find((i) => i.id === els.useLot.value);
+    if (!item) {
+      alert('Select a lot to use.');
+      return;
+    }
+    const movement = InventoryService.createMovement(item, {
+      type: 'consume',
+      amount: Number(document.getElementById('useQuantity').value),
+      note: document.getElementById('useNote').value.trim(),
+    });
+    const errors = InventoryService.validateMovement(item, movement);
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+    if (!confirmFefo(item, movement)) return;
+
+    state.items = await InventoryRepository.recordMovement(item, movement);
+    closeUseModal();
+    render();
+  }
+
+  async function handleDelete(id) {
+    const item = state.items.find((i) => i.id === id);
+    const label = item ? `${item.itemName} (${item.category})` : id;
+    const reason = window.prompt(
+      `Delete inventory item:\n${label}\n\nReason for deleting:`
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('Please give a reason for deleting this item.');
+      return;
+    }
+    state.items = await InventoryRepository.remove(id, reason.trim());
+    render();
+    if (!state.items.some((i) => i.id === id)) showUndoToast(id, label);
+  }
+
+  const UNDO_TIMEOUT_MS = 8000;
+
+  function showUndoToast(id, label) {
+    if (!els.undoToast) return;
+    clearTimeout(undoTimer);
+    undoItemId = id;
+    els.undoToastText.textContent = `Deleted ${label}.`;
+    els.undoToast.hidden = false;
+    undoTimer = setTimeout(hideUndoToast, UNDO_TIMEOUT_MS);
+  }
+
+  function hideUndoToast() {
+    clearTimeout(undoTimer);
+    undoItemId = null;
+    if (els.undoToast) els.undoToast.hidden = true;
+  }
+
+  async function handleUndo() {
+    const id = undoItemId;
+    hideUndoToast();
+    if (!id) return;
+    state.items = await InventoryRepository.restore(id);
+    render();
+  }
+
+  async function openRecycleModal() {
+    if (!els.recycleModalBackdrop) return;
+    els.recycleModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    els.recycleTableBody.innerHTML =
+      '<tr><td colspan="8" class="text-muted">Loading…</td></tr>';
+    deletedItems = await InventoryRepository.loadDeleted();
+    renderRecycleBin();
+  }
+
+  function closeRecycleModal() {
+    if (!els.recycleModalBackdrop) return;
+    els.recycleModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function renderRecycleBin() {
+    if (deletedItems.length === 0) {
+      els.recycleTableBody.innerHTML =
+        '<tr><td colspan="8" class="text-muted">The recycle bin is empty.</td></tr>';
+      return;
+    }
+    const canPurge = Permissions.can('item.purge');
+    els.recycleTableBody.innerHTML = deletedItems
+      .map(
+        (item) => `
+          <tr>
+            <td>${DateUtils.formatDateTime(item.deletedAt)}</td>
+            <td>${Html.escape(item.deletedBy)}</td>
+            <td>${Html.escape(item.itemName)}</td>
+            <td>${Html.escape(item.lotNumber || '—')}</td>
+            <td>${DateUtils.format(item.expiryDate)}</td>
+            <td>${item.quantity}</td>
+            <td>${Html.escape(item.deleteReason)}</td>
+            <td>
+              <div class="table-actions">
+                <button type="button" class="btn-edit" data-action="restore" data-id="${item.id}">Restore</button>
+                ${
+                  canPurge
+                    ? `<button type="button" class="btn-delete" data-action="purge" data-id="${item.id}">Purge</button>`
+                    : ''
+                }
+              </div>
+            </td>
+          </tr>
+        `
+      )
+      .join('');
+  }
+
+  async function handleRecycleClick(e) {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const item = deletedItems.find((i) => i.id === btn.dataset.id);
+    if (!item) return;
+    if (btn.dataset.action === 'restore') {
+      state.items = await InventoryRepository.restore(item.id);
+    } else if (btn.dataset.action === 'purge') {
+      if (
+        !window.confirm(
+          `Permanently purge ${item.itemName}${
+            item.lotNumber ? ` (Lot ${item.lotNumber})` : ''
+          }? This cannot be undone.`
+        )
+      ) {
+        return;
+      }
+      state.items = await InventoryRepository.purge(item.id);
+    }
+    deletedItems = await InventoryRepository.loadDeleted();
+    renderRecycleBin();
+    render();
+  }
+
+  function exportDeletedCsv() {
+    if (deletedItems.length === 0) {
+      alert('The recycle bin is empty.');
+      return;
+    }
+    const [header, ...rows] = inventoryCsvRows(deletedItems);
+    downloadCsv(
+      [
+        [...header, 'Deleted At', 'Deleted By', 'Delete Reason'],
+        ...rows.map((row, index) => {
+          const item = deletedItems[index];
+          return [
+            ...row,
+            DateUtils.formatDateTime(item.deletedAt),
+            item.deletedBy,
+            item.deleteReason.replace(/\n/g, ' '),
+          ];
+        }),
+      ],
+      'north-med-recycle-bin'
+    );
+  }
+
+  function fillSelect(select, options, allLabel) {
+    const current = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>`;
+    options.forEach(({ value, label }) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+    if (options.some((o) => o.value === current)) select.value = current;
+  }
+
+  function renderActivity() {
+    const entries = AuditLog.filter(activityEntries, {
+      itemId: els.activityItem.value,
+      userId: els.activityUser.value,
+    });
+    if (entries.length === 0) {
+      els.activityTableBody.innerHTML =
+        '<tr><td colspan="5" class="text-muted">No activity for these filters.</td></tr>';
+      return;
+    }
+    els.activityTableBody.innerHTML = entries
+      .map(
+        (e) => `
+          <tr>
+            <td>${DateUtils.formatDateTime(e.createdAt)}</td>
+            <td>${Html.escape(e.userEmail || e.userId || 'Unknown')}</td>
+            <td>${AuditLog.actionLabel(e.action)}</td>
+            <td>${Html.escape(e.itemLabel)}</td>
+            <td class="activity-changes">${AuditLog.describeChanges(e).map(Html.escape).join('<br>')}</td>
+          </tr>
+        `
+      )
+      .join('');
+  }
+
+  async function loadActivity() {
+    const from = els.activityFrom.value;
+    const to = els.activityTo.value;
+    els.activityTableBody.innerHTML =
+      '<tr><td colspan="5" class="text-muted">Loading…</td></tr>';
+    activityEntries = await InventoryRepository.loadAudit({
+      from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+      to: to ? new Date(`${to}T23:59:59.999`).toISOString() : '',
+    });
+
+    const items = new Map();
+    const users = new Map();
+    activityEntries.forEach((e) => {
+      if (!items.has(e.itemId)) items.set(e.itemId, e.itemLabel || e.itemId);
+      if (e.userId && !users.has(e.userId)) {
+        users.set(e.userId, e.userEmail || e.userId);
+      }
+    });
+    fillSelect(
+      els.activityItem,
+      [...items].map(([value, label]) => ({ value, label })),
+      'All items'
+    );
+    fillSelect(
+      els.activityUser,
+      [...users].map(([value, label]) => ({ value, label })),
+      'All users'
+    );
+    renderActivity();
+  }
+
+  function openActivityModal(itemId) {
+    if (!els.activityModalBackdrop) return;
+    els.activityModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    loadActivity().then(() => {
+      if (typeof itemId === 'string') {
+        els.activityItem.value = itemId;
+        renderActivity();
+      }
+    });
+  }
+
+  function closeActivityModal() {
+    if (!els.activityModalBackdrop) return;
+    els.activityModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  // Active categories, plus any in `keep` that have since been retired
+  // (lots can still carry those).
+  function fillCategorySelect(select, placeholder, keep = []) {
+    if (!select) return;
+    const current = select.value;
+    const names = Catalog.categories().slice();
+    keep.forEach((name) => {
+      if (name && !names.includes(name)) names.push(name);
+    });
+    select.innerHTML = placeholder ? `<option value="">${placeholder}</option>` : '';
+    names.forEach((name) => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    if (current) select.value = current;
+  }
+
+  function populateCategorySelects() {
+    fillCategorySelect(els.category, 'Select category');
+    fillCategorySelect(
+      els.filterCategory,
+      'All',
+      [...new Set(state.items.map((i) => i.category))].sort()
+    );
+    fillCategorySelect(els.editCategory, '');
+    fillCategorySelect(els.useCategory, 'Select category');
+  }
+
+  function populateEditItemOptions(current) {
+    const category = els.editCategory.value;
+    const names = Catalog.items(category).map((e) => e.itemName);
+    // Keep a lot's existing name selectable even if it has since been retired.
+    if (current && !names.includes(current)) names.unshift(current);
+    els.editItemName.innerHTML = '<option value="">Select item</option>';
+    names.forEach((name) => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      els.editItemName.appendChild(opt);
+    });
+    els.editItemName.value = current || '';
+  }
+
+  function renderCatalogAdmin() {
+    const includeRetired = els.catalogShowRetired.checked;
+    const current = els.catalogCategory.value;
+    els.catalogCategory.innerHTML = '';
+    Catalog.categories({ includeRetired: true }).forEach((name) => {
+      const retired = Catalog.isCategoryRetired(name);
+      if (retired && !includeRetired && name !== current) return;
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = retired ? `${name} (retired)` : name;
+      els.catalogCategory.appendChild(opt);
+    });
+    els.catalogCategory.value = current;
+    if (!els.catalogCategory.value && els.catalogCategory.options.length) {
+      els.catalogCategory.selectedIndex = 0;
+    }
+
+    const category = els.catalogCategory.value;
+    els.catalogRetireCategoryBtn.textContent = Catalog.isCategoryRetired(category)
+      ? 'Restore Category'
+      : 'Retire Category';
+
+    const entries = Catalog.items(category, { includeRetired });
+    if (entries.length === 0) {
+      els.catalogTableBody.innerHTML =
+        '<tr><td colspan="8" class="text-muted">No items in this category.</td></tr>';
+      return;
+    }
+    els.catalogTableBody.innerHTML = entries
+      .map((e) => {
+        const level = Catalog.reorderLevel(e.category, e.itemName);
+        return `
+          <tr class="${e.retired ? 'row-retired' : ''}">
+            <td>${e.itemName}${e.retired ? ' <span class="tag tag--status-out">Retired</span>' : ''}</td>
+            <td>${e.defaultBrand || ''}</td>
+            <td>${e.unit || ''}</td>
+            <td>${e.storageTemp || ''}</td>
+            <td>${e.gtin || ''}</td>
+            <td>${e.stabilityDays ?? ''}</td>
+            <td>${level.minLevel} / ${level.reorderQty || '—'}</td>
+            <td>
+              <div class="table-actions">
+                <button type="button" class="btn-edit" data-action="edit-entry" data-id="${e.id}">Edit</button>
+              </div>
+            </td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  function setCatalogField(id, value) {
+    document.getElementById(id).value = value ?? '';
+  }
+
+  function openCatalogEditor(entry) {
+    els.catalogEditor.hidden = false;
+    const category = entry ? entry.category : els.catalogCategory.value;
+    const entryCategory = document.getElementById('catalogEntryCategory');
+    entryCategory.innerHTML = '';
+    Catalog.categories({ includeRetired: true }).forEach((name) => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      entryCategory.appendChild(opt);
+    });
+    entryCategory.value = category;
+
+    setCatalogField('catalogEntryId', entry ? entry.id : '');
+    setCatalogField('catalogEntryName', entry ? entry.itemName : '');
+    setCatalogField('catalogEntryBrand', entry ? entry.defaultBrand : '');
+    setCatalogField('catalogEntryUnit', entry ? entry.unit : '');
+    setCatalogField('catalogEntryStorage', entry ? entry.storageTemp : '');
+    setCatalogField('catalogEntryGtin', entry ? entry.gtin : '');
+    setCatalogField('catalogEntryStability', entry ? entry.stabilityDays : '');
+    setCatalogField('catalogEntryMin', entry ? entry.minLevel : '');
+    setCatalogField('catalogEntryReorder', entry ? entry.reorderQty : '');
+    setCatalogField('catalogEntryLead', entry ? entry.leadTimeDays : '');
+
+    const level = entry ? Catalog.branchLevel(entry.category, entry.itemName) : null;
+    setCatalogField('catalogBranchMin', level ? level.minLevel : '');
+    setCatalogField('catalogBranchReorder', level ? level.reorderQty : '');
+    setCatalogField('catalogBranchLead', level ? level.leadTimeDays : '');
+
+    els.catalogRetireBtn.hidden = !entry;
+    els.catalogRetireBtn.textContent = entry && entry.retired ? 'Restore' : 'Retire';
+    els.catalogMergeGroup.hidden = !entry;
+    if (entry) {
+      fillSelect(
+        els.catalogMergeTarget,
+        Catalog.items(entry.category)
+          .filter((e) => e.id !== entry.id)
+          .map((e) => ({ value: e.id, label: e.itemName })),
+        'Merge into…'
+      );
+    }
+    document.getElementById('catalogEntryName').focus();
+  }
+
+  function closeCatalogEditor() {
+    els.catalogEditor.hidden = true;
+  }
+
+  function openCatalogModal() {
+    if (!els.catalogModalBackdrop) return;
+    els.catalogModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    closeCatalogEditor();
+    renderCatalogAdmin();
+  }
+
+  function closeCatalogModal() {
+    if (!els.catalogModalBackdrop) return;
+    els.catalogModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  // Catalog changes can rename lots, so the inventory is reloaded with it.
+  async function applyCatalog(catalog, { reloadItems = false } = {}) {
+    Catalog.setCatalog(catalog);
+    populateCategorySelects();
+    if (reloadItems) state.items = await InventoryRepository.load();
+    renderCatalogAdmin();
+    render();
+  }
+
+  function readOptionalNumber(id) {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : Number(value);
+  }
+
+  async function handleCatalogEntrySubmit(e) {
+    e.preventDefault();
+    if (!requireConnection()) return;
+    const id = document.getElementById('catalogEntryId').value;
+    const previous = id ? Catalog.getById(id) : null;
+    const entry = Catalog.createEntry({
+      ...previous,
+      id: id || undefined,
+      category: document.getElementById('catalogEntryCategory').value,
+      itemName: document.getElementById('catalogEntryName').value,
+      defaultBrand: document.getElementById('catalogEntryBrand').value,
+      unit: document.getElementById('catalogEntryUnit').value,
+      storageTemp: document.getElementById('catalogEntryStorage').value,
+      gtin: document.getElementById('catalogEntryGtin').value,
+      stabilityDays: readOptionalNumber('catalogEntryStability'),
+      minLevel: readOptionalNumber('catalogEntryMin'),
+      reorderQty: readOptionalNumber('catalogEntryReorder'),
+      leadTimeDays: readOptionalNumber('catalogEntryLead'),
+    });
+    const errors = Catalog.validateEntry(entry);
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+
+    const renamed =
+      previous &&
+      (previous.itemName !== entry.itemName ||
+        previous.category !== entry.category);
+    if (
+      renamed &&
+      !window.confirm(
+        `Rename "${previous.itemName}" to "${entry.itemName}" (${entry.category})?\n` +
+          'Every lot of this item in all branches will be renamed.'
+      )
+    ) {
+      return;
+    }
+
+    const branchLevel = {
+      category: entry.category,
+      itemName: entry.itemName,
+      minLevel: readOptionalNumber('catalogBranchMin'),
+      reorderQty: readOptionalNumber('catalogBranchReorder'),
+      leadTimeDays: readOptionalNumber('catalogBranchLead'),
+    };
+    const hadLevel = previous
+      ? Catalog.branchLevel(previous.category, previous.itemName)
+      : null;
+
+    const catalog = await InventoryRepository.saveCatalogEntry(entry, previous);
+    if (
+      hadLevel ||
+      branchLevel.minLevel != null ||
+      branchLevel.reorderQty != null ||
+      branchLevel.leadTimeDays != null
+    ) {
+      Catalog.setReorderLevels(
+        await InventoryRepository.saveReorderLevels([branchLevel])
+      );
+    }
+    closeCatalogEditor();
+    await applyCatalog(catalog, { reloadItems: renamed });
+  }
+
+  async function handleCatalogRetire() {
+    if (!requireConnection()) return;
+    const entry = Catalog.getById(document.getElementById('catalogEntryId').value);
+    if (!entry) return;
+    const catalog = await InventoryRepository.saveCatalogEntry({
+      ...entry,
+      retired: !entry.retired,
+    });
+    closeCatalogEditor();
+    await applyCatalog(catalog);
+  }
+
+  async function handleCatalogMerge() {
+    if (!requireConnection()) return;
+    const source = Catalog.getById(document.getElementById('catalogEntryId').value);
+    const target = Catalog.getById(els.catalogMergeTarget.value);
+    if (!source || !target) {
+      alert('Choose the item to merge into.');
+      return;
+    }
+    if (
+      !window.confirm(
+        `Merge "${source.itemName}" into "${target.itemName}"?\n` +
+          `All lots of ${source.itemName} will be renamed and it will be retired.`
+      )
+    ) {
+      return;
+    }
+    const catalog = await InventoryRepository.mergeCatalogEntry(source, target);
+    closeCatalogEditor();
+    await applyCatalog(catalog, { reloadItems: true });
+  }
+
+  async function handleCatalogAddCategory() {
+    if (!requireConnection()) return;
+    const name = els.catalogNewCategory.value.trim();
+    if (!name) return;
+    if (Catalog.categories({ includeRetired: true }).includes(name)) {
+      alert(`${name} already exists.`);
+      return;
+    }
+    const catalog = await InventoryRepository.saveCategory({ name, retired: false });
+    els.catalogNewCategory.value = '';
+    els.catalogCategory.value = name;
+    await applyCatalog(catalog);
+    els.catalogCategory.value = name;
+    renderCatalogAdmin();
+  }
+
+  async function handleCatalogRetireCategory() {
+    if (!requireConnection()) return;
+    const name = els.catalogCategory.value;
+    if (!name) return;
+    const retired = !Catalog.isCategoryRetired(name);
+    if (
+      retired &&
+      !window.confirm(`Retire ${name}? It will no longer be offered for new lots.`)
+    ) {
+      return;
+    }
+    await applyCatalog(await InventoryRepository.saveCategory({ name, retired }));
+  }
+
+  function handleCatalogTableClick(e) {
+    const btn = e.target.closest('button[data-action="edit-entry"]');
+    if (!btn) return;
+    openCatalogEditor(Catalog.getById(btn.dataset.id));
+  }
+
+  function renderRequisitionList() {
+    if (requisitions.length === 0) {
+      els.requisitionListBody.innerHTML =
+        '<tr><td colspan="5" class="text-muted">No requisitions yet.</td></tr>';
+      return;
+    }
+    els.requisitionListBody.innerHTML = requisitions
+      .map(
+        (r) => `
+          <tr>
+            <td>${DateUtils.formatDateTime(r.createdAt)}</td>
+            <td>${r.createdBy || ''}</td>
+            <td>${RequisitionStatuses[r.status] || r.status}</td>
+            <td>${r.lines.length}</td>
+            <td>
+              <div class="table-actions">
+                <button type="button" class="btn-edit" data-action="open-requisition" data-id="${r.id}">Open</button>
+              </div>
+            </td>
+          </tr>
+        `
+      )
+      .join('');
+  }
+
+  function renderRequisitionEditor() {
+    if (!draftRequisition) {
+      els.requisitionEditor.hidden = true;
+      return;
+    }
+    els.requisitionEditor.hidden = false;
+    els.requisitionStatus.value = draftRequisition.status;
+    els.requisitionNotes.value = draftRequisition.notes;
+    const canApprove = Permissions.can('requisition.approve');
+    els.requisitionStatus.disabled =
+      !Permissions.can('requisition.edit') ||
+      (draftRequisition.status === 'approved' && !canApprove);
+    els.requisitionNotes.disabled = !Permissions.can('requisition.edit');
+    const editable =
+      draftRequisition.status === 'draft' && Permissions.can('requisition.edit');
+    if (draftRequisition.lines.length === 0) {
+      els.requisitionLinesBody.innerHTML =
+        '<tr><td colspan="7" class="text-muted">Nothing needs reordering.</td></tr>';
+      return;
+    }
+    els.requisitionLinesBody.innerHTML = draftRequisition.lines
+      .map(
+        (l, index) => `
+          <tr>
+            <td>${l.category}</td>
+            <td>${l.itemName}</td>
+            <td>${l.onHand ?? ''}</td>
+            <td>${l.minLevel ?? ''}</td>
+            <td>${l.reason || ''}</td>
+            <td>
+              <input
+                type="number"
+                class="form-control form-control-sm"
+                min="1"
+                step="1"
+                data-index="${index}"
+                value="${l.quantity}"
+                ${editable ? '' : 'disabled'}
+              />
+            </td>
+            <td>
+              ${
+                editable
+                  ? `<div class="table-actions"><button type="button" class="btn-delete" data-action="remove-line" data-index="${index}">Remove</button></div>`
+                  : ''
+              }
+            </td>
+          </tr>
+        `
+      )
+      .join('');
+  }
+
+  async function openRequisitionModal() {
+    if (!els.requisitionModalBackdrop) return;
+    els.requisitionModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    draftRequisition = null;
+    renderRequisitionEditor();
+    els.requisitionListBody.innerHTML =
+      '<tr><td colspan="5" class="text-muted">Loading…</td></tr>';
+    requisitions = await InventoryRepository.loadRequisitions();
+    renderRequisitionList();
+  }
+
+  function closeRequisitionModal() {
+    if (!els.requisitionModalBackdrop) return;
+    els.requisitionModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function handleGenerateRequisition() {
+    draftRequisition = InventoryService.createRequisition({
+      lines: InventoryService.buildRequisitionLines(state.items),
+    });
+    renderRequisitionEditor();
+  }
+
+  function handleRequisitionListClick(e) {
+    const btn = e.target.closest('button[data-action="open-requisition"]');
+    if (!btn) return;
+    const found = requisitions.find((r) => r.id === btn.dataset.id);
+    if (!found) return;
+    draftRequisition = InventoryService.createRequisition(found);
+    renderRequisitionEditor();
+  }
+
+  function handleRequisitionLinesInput(e) {
+    const input = e.target.closest('input[data-index]');
+    if (!input || !draftRequisition) return;
+    draftRequisition.lines[Number(input.dataset.index)].quantity = Number(
+      input.value
+    );
+  }
+
+  function handleRequisitionLinesClick(e) {
+    const btn = e.target.closest('button[data-action="remove-line"]');
+    if (!btn || !draftRequisition) return;
+    draftRequisition.lines.splice(Number(btn.dataset.index), 1);
+    renderRequisitionEditor();
+  }
+
+  async function handleRequisitionSave() {
+    if (!requireConnection()) return;
+    if (!draftRequisition) return;
+    const requisition = InventoryService.createRequisition({
+      ...draftRequisition,
+      status: els.requisitionStatus.value,
+      notes: els.requisitionNotes.value.trim(),
+    });
+    const saved = requisitions.find((r) => r.id === requisition.id);
+    const errors = InventoryService.validateRequisition(
+      requisition,
+      saved ? saved.status : ''
+    );
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+    requisitions = await InventoryRepository.saveRequisition(requisition);
+    draftRequisition = requisition;
+    renderRequisitionList();
+    renderRequisitionEditor();
+  }
+
+  function requisitionRows(requisition) {
+    return requisition.lines.map((l) => [
+      l.category,
+      l.itemName,
+      l.brand || '',
+      String(l.onHand ?? ''),
+      String(l.minLevel ?? ''),
+      l.reason || '',
+      String(l.quantity),
+    ]);
+  }
+
+  const REQUISITION_HEADER = [
+    'Category',
+    'Item Name',
+    'Brand / Supplier',
+    'On Hand',
+    'Min Level',
+    'Reason',
+    'Order Quantity',
+  ];
+
+  function handleRequisitionCsv() {
+    if (!draftRequisition || draftRequisition.lines.length === 0) return;
+    downloadCsv(
+      [REQUISITION_HEADER, ...requisitionRows(draftRequisition)],
+      'north-med-requisition'
+    );
+  }
+
+  function handleRequisitionPrint() {
+    if (!draftRequisition || draftRequisition.lines.length === 0) return;
+    const r = draftRequisition;
+    const head = REQUISITION_HEADER.map((h) => `<th>${h}</th>`).join('');
+    const body = requisitionRows(r)
+      .map((row) => `<tr>${row.map((v) => `<td>${Html.escape(v)}</td>`).join('')}</tr>`)
+      .join('');
+    printDocument(
+      'Purchase Requisition',
+      `
+        <p class="meta">
+          Date: ${DateUtils.formatDateTime(r.createdAt)} ·
+          Status: ${RequisitionStatuses[r.status] || r.status} ·
+          Prepared by: ${Html.escape(r.createdBy || (CURRENT_USER ? CURRENT_USER.email : ''))}
+        </p>
+        ${r.notes ? `<p class="meta">Notes: ${Html.escape(r.notes)}</p>` : ''}
+        <table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>
+      `
+    );
+  }
+
+  function emptyReceivingLine(category = '', itemName = '') {
+    return {
+      category,
+      itemName,
+      lotNumber: '',
+      expiryDate: '',
+      quantity: '',
+      unitCost: '',
+      contentVolume: '',
+    };
+  }
+
+  function renderReceivingLines() {
+    const categoryOptions = (selected) =>
+      ['<option value="">Category</option>']
+        .concat(
+          Catalog.categories().map(
+            (c) =>
+              `<option value="${c}" ${c === selected ? 'selected' : ''}>${c}</option>`
+          )
+        )
+        .join('');
+    const itemOptions = (category, selected) =>
+      ['<option value="">Item</option>']
+        .concat(
+          Catalog.items(category).map(
+            ({ itemName: n }) =>
+              `<option value="${n}" ${n === selected ? 'selected' : ''}>${n}</option>`
+          )
+        )
+        .join('');
+    const field = (index, name, value, type = 'text', attrs = '') =>
+      `<input type="${type}" class="form-control form-control-sm" data-index="${index}" data-field="${name}" value="${value}" ${attrs} />`;
+
+    els.receiveLinesBody.innerHTML = receivingLines
+      .map(
+        (l, index) => `
+          <tr>
+            <td><select class="form-select form-select-sm" data-index="${index}" data-field="category">${categoryOptions(l.category)}</select></td>
+            <td><select class="form-select form-select-sm" data-index="${index}" data-field="itemName">${itemOptions(l.category, l.itemName)}</select></td>
+            <td>${field(index, 'lotNumber', l.lotNumber)}</td>
+            <td>${field(index, 'expiryDate', l.expiryDate, 'date')}</td>
+            <td>${field(index, 'quantity', l.quantity, 'number', 'min="1" step="1"')}</td>
+            <td>${field(index, 'unitCost', l.unitCost, 'number', 'min="0" step="0.01"')}</td>
+            <td>${field(index, 'contentVolume', l.contentVolume)}</td>
+            <td>
+              <div class="table-actions">
+                <button type="button" class="btn-delete" data-action="remove-line" data-index="${index}">Remove</button>
+              </div>
+            </td>
+          </tr>
+        `
+      )
+      .join('');
+    renderReconciliation();
+  }
+
+  function renderReconciliation() {
+    const requisition = requisitions.find(
+      (r) => r.id === els.receiveRequisition.value
+    );
+    if (!requisition) {
+      els.receiveReconcile.hidden = true;
+      return;
+    }
+    els.receiveReconcile.hidden = false;
+    const labels = {
+      complete: 'Complete',
+      short: 'Short',
+      over: 'Over',
+      extra: 'Not ordered',
+    };
+    els.receiveReconcileBody.innerHTML = InventoryService.reconcileDelivery(
+      requisition,
+      receivingLines.filter((l) => l.itemName)
+    )
+      .map(
+        (r) => `
+          <tr class="reconcile--${r.state}">
+            <td>${r.category}</td>
+            <td>${r.itemName}</td>
+            <td>${r.ordered}</td>
+            <td>${r.received}</td>
+            <td>${labels[r.state]}</td>
+          </tr>
+        `
+      )
+      .join('');
+  }
+
+  function handleReceivingLinesChange(e) {
+    const input = e.target.closest('[data-field]');
+    if (!input) return;
+    const line = receivingLines[Number(input.dataset.index)];
+    line[input.dataset.field] = input.value;
+    if (input.dataset.field === 'category') {
+      line.itemName = '';
+      renderReceivingLines();
+      return;
+    }
+    renderReconciliation();
+  }
+
+  function handleReceivingLinesClick(e) {
+    const btn = e.target.closest('button[data-action="remove-line"]');
+    if (!btn) return;
+    receivingLines.splice(Number(btn.dataset.index), 1);
+    renderReceivingLines();
+  }
+
+  // Requisitions awaiting delivery can be reconciled; choosing one also
+  // seeds an empty line for each item ordered.
+  function handleReceivingRequisitionChange() {
+    const requisition = requisitions.find(
+      (r) => r.id === els.receiveRequisition.value
+    );
+    if (requisition && receivingLines.every((l) => !l.itemName)) {
+      receivingLines = requisition.lines.map((l) =>
+        emptyReceivingLine(l.category, l.itemName)
+      );
+    }
+    renderReceivingLines();
+  }
+
+  async function openReceiveModal() {
+    if (!els.receiveModalBackdrop) return;
+    els.receiveModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    els.receiveForm.reset();
+    document.getElementById('receiveDate').value = DateUtils.today();
+
+    requisitions = await InventoryRepository.loadRequisitions();
+    fillSelect(
+      els.receiveRequisition,
+      requisitions
+        .filter((r) => r.status === 'approved')
+        .map((r) => ({
+          value: r.id,
+          label: `${DateUtils.format(r.createdAt)} · ${r.lines.length} line${
+            r.lines.length === 1 ? '' : 's'
+          }${r.createdBy ? ` · ${r.createdBy}` : ''}`,
+        })),
+      'None'
+    );
+    receivingLines = [emptyReceivingLine()];
+    renderReceivingLines();
+  }
+
+  function closeReceiveModal() {
+    if (!els.receiveModalBackdrop) return;
+    els.receiveModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function handleReceiveSubmit(e) {
+    e.preventDefault();
+    if (!requireConnection()) return;
+    const delivery = InventoryService.createDelivery({
+      supplier: document.getElementById('receiveSupplier').value,
+      deliveryNoteNo: document.getElementById('receiveNoteNo').value,
+      dateReceived: document.getElementById('receiveDate').value,
+      requisitionId: els.receiveRequisition.value,
+    });
+    const { items, errors } = InventoryService.prepareDelivery(
+      delivery,
+      receivingLines
+    );
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+
+    const requisition = requisitions.find(
+      (r) => r.id === delivery.requisitionId
+    );
+    if (requisition) {
+      const open = InventoryService.reconcileDelivery(
+        requisition,
+        receivingLines
+      ).filter((r) => r.state !== 'complete');
+      if (
+        open.length &&
+        !window.confirm(
+          `Delivery does not match the requisition:\n` +
+            open
+              .map((r) => `- ${r.itemName}: ordered ${r.ordered}, received ${r.received}`)
+              .join('\n') +
+            `\n\nSave anyway?`
+        )
+      ) {
+        return;
+      }
+    }
+
+    const result = await InventoryRepository.receiveDelivery(delivery, items);
+    state.items = result.items;
+    if (result.error) {
+      alert(
+        `The delivery could not be saved: ${result.error.message || result.error}\n` +
+          'Nothing was received; please try again.'
+      );
+      render();
+      return;
+    }
+    if (requisition) {
+      requisitions = await InventoryRepository.saveRequisition({
+        ...requisition,
+        status: 'received',
+      });
+    }
+    closeReceiveModal();
+    render();
+  }
+
+  function openImportModal() {
+    if (!els.importModalBackdrop) return;
+    els.importModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    els.importForm.reset();
+    importSource = '';
+    importHeader = [];
+    importRows = [];
+    importMapping = {};
+    importPreview = [];
+    els.importMappingSection.hidden = true;
+    els.importPreviewSection.hidden = true;
+    els.importSubmitBtn.disabled = true;
+  }
+
+  function closeImportModal() {
+    if (!els.importModalBackdrop) return;
+    els.importModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  async function handleImportFileChange() {
+    const file = els.importFile.files[0];
+    if (!file) return;
+    const rows = Csv.parse(await file.text());
+    if (rows.length < 2) {
+      alert('The file has no data rows below its header.');
+      els.importForm.reset();
+      return;
+    }
+    importSource = file.name;
+    importHeader = rows[0].map((h) => h.trim());
+    importRows = rows.slice(1);
+    importMapping = InventoryService.guessImportMapping(importHeader);
+    renderImportMapping();
+    renderImportPreview();
+  }
+
+  function renderImportMapping() {
+    const columnOptions = (selected) =>
+      ['<option value="-1">Not in file</option>']
+        .concat(
+          importHeader.map(
+            (h, index) =>
+              `<option value="${index}" ${index === selected ? 'selected' : ''}>${
+                h || `Column ${index + 1}`
+              }</option>`
+          )
+        )
+        .join('');
+    els.importMappingGrid.innerHTML = InventoryService.IMPORT_FIELDS.map(
+      ({ field, header }) => `
+        <div class="form-group">
+          <label>${header}</label>
+          <select class="form-select form-select-sm" data-field="${field}">${columnOptions(
+        importMapping[field]
+      )}</select>
+        </div>
+      `
+    ).join('');
+    els.importMappingSection.hidden = false;
+  }
+
+  function handleImportMappingChange(e) {
+    const select = e.target.closest('select[data-field]');
+    if (!select) return;
+    importMapping[select.dataset.field] = Number(select.value);
+    renderImportPreview();
+  }
+
+  function renderImportPreview() {
+    importPreview = InventoryService.prepareImport(
+      importRows,
+      importMapping,
+      state.items
+    );
+    const counts = { ready: 0, update: 0, duplicate: 0, error: 0 };
+    els.importPreviewBody.innerHTML = importPreview
+      .map((p) => {
+        const result = p.errors.length
+          ? 'error'
+          : p.duplicate
+          ? 'duplicate'
+          : 'ready';
+        counts[result === 'ready' && p.existing ? 'update' : result] += 1;
+        const messages = p.errors.length
+          ? p.errors
+          : p.duplicate
+          ? [`Skipped: ${p.duplicate}`]
+          : p.warnings.length
+          ? p.warnings
+          : ['Ready'];
+        const rowClass =
+          result === 'ready'
+            ? p.warnings.length
+              ? 'import-row--warning'
+              : ''
+            : `import-row--${result}`;
+        return `
+          <tr class="${rowClass}">
+            <td>${p.rowNumber}</td>
+            <td>${p.item.category || ''}</td>
+            <td>${p.item.itemName || ''}</td>
+            <td>${p.item.lotNumber || '—'}</td>
+            <td>${DateUtils.format(p.item.expiryDate)}</td>
+            <td>${Number.isNaN(p.item.quantity) ? '' : p.item.quantity}</td>
+            <td>${p.item.status}</td>
+            <td>${messages.join('<br />')}</td>
+          </tr>
+        `;
+      })
+      .join('');
+    els.importSummary.textContent = `${counts.ready} new · ${
+      counts.update
+    } update${counts.update === 1 ? '' : 's'} to lots in stock · ${
+      counts.duplicate
+    } duplicate${counts.duplicate === 1 ? '' : 's'} · ${counts.error} with errors`;
+    els.importPreviewSection.hidden = false;
+    els.importSubmitBtn.disabled = counts.ready + counts.update === 0;
+  }
+
+  async function handleImportSubmit(e) {
+    e.preventDefault();
+    if (!requireConnection()) return;
+    const ready = importPreview.filter((p) => !p.errors.length && !p.duplicate);
+    if (ready.length === 0) return;
+    const skipped = importPreview.length - ready.length;
+    if (
+      skipped &&
+      !window.confirm(
+        `Import ${ready.length} row${ready.length === 1 ? '' : 's'}? ` +
+          `${skipped} row${skipped === 1 ? '' : 's'} with errors or duplicates will be skipped.`
+      )
+    ) {
+      return;
+    }
+
+    const newEntries = [
+      ...new Set(ready.map((p) => p.newEntry).filter(Boolean)),
+    ];
+    if (newEntries.length && !Permissions.can('catalog.manage')) {
+      alert(
+        'These items are not in the catalog yet; ask an administrator to add them first:\n- ' +
+          newEntries.map((e) => `${e.itemName} (${e.category})`).join('\n- ')
+      );
+      return;
+    }
+    if (newEntries.length) {
+      let catalog = null;
+      for (const entry of newEntries) {
+        catalog = await InventoryRepository.saveCatalogEntry(entry);
+      }
+      await applyCatalog(catalog);
+    }
+
+    const result = await InventoryRepository.importItems(
+      ready.filter((p) => !p.existing).map((p) => p.item),
+      importSource,
+      ready
+        .filter((p) => p.existing)
+        .map((p) => ({ item: p.item, existing: p.existing }))
+    );
+    state.items = result.items;
+    render();
+    if (result.error) {
+      alert(`The import could not be saved: ${result.error.message || result.error}`);
+      return;
+    }
+    closeImportModal();
+  }
+
+  async function openBranchModal() {
+    if (!els.branchModalBackdrop) return;
+    els.branchModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    els.branchOverviewBody.innerHTML = '<tr><td colspan="7">Loading…</td></tr>';
+    els.branchRiskBody.innerHTML = '';
+
+    const [items, inTransit] = await Promise.all([
+      InventoryRepository.loadAllBranches(),
+      InventoryRepository.loadTransfers({ allBranches: true }),
+    ]);
+    const overview = InventoryService.branchOverview(items, inTransit);
+    els.branchOverviewBody.innerHTML = overview.length
+      ? overview
+          .map(
+            (r) => `
+              <tr class="${r.branch === USER_BRANCH ? 'row-current' : ''}">
+                <td>${r.branch.toUpperCase()}</td>
+                <td>${r.lots}</td>
+                <td>${r.units}</td>
+                <td>${r.expiringLots} lot${r.expiringLots === 1 ? '' : 's'} / ${r.expiringUnits} units</td>
+                <td>${r.expiredUnits}</td>
+                <td>${r.outOfStock}</td>
+                <td>${r.inbound} / ${r.outbound}</td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="7">No stock recorded in any branch.</td></tr>';
+
+    const risk = InventoryService.expiringLots(items);
+    els.branchRiskBody.innerHTML = risk.length
+      ? risk
+          .map(
+            ({ item, info }) => `
+              <tr>
+                <td>${(item.branch || '').toUpperCase()}</td>
+                <td>${item.itemName}</td>
+                <td>${item.lotNumber || '—'}</td>
+                <td>${DateUtils.format(item.expiryDate)} (${info.days} d)</td>
+                <td>${item.quantity}</td>
+                <td>
+                  ${
+                    item.branch === USER_BRANCH && Permissions.can('transfer.manage')
+                      ? `<div class="table-actions"><button type="button" class="btn-move" data-action="transfer" data-id="${item.id}">Transfer</button></div>`
+                      : ''
+                  }
+                </td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="6">No lots are inside an expiry warning window.</td></tr>';
+  }
+
+  function closeBranchModal() {
+    if (!els.branchModalBackdrop) return;
+    els.branchModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function handleBranchRiskClick(e) {
+    const button = e.target.closest('button[data-action="transfer"]');
+    if (!button) return;
+    closeBranchModal();
+    openTransferModal(button.dataset.id);
+  }
+
+  function populateTransferLots(selectedId = '') {
+    fillSelect(
+      els.transferLot,
+      state.items
+        .filter(
+          (i) =>
+            i.quantity > 0 &&
+            InventoryService.expiryInfo(i).code !== 'expired'
+        )
+        .sort((a, b) => (a.expiryDate || '').localeCompare(b.expiryDate || ''))
+        .map((i) => ({
+          value: i.id,
+          label: `${i.itemName} · Lot ${i.lotNumber || '—'} · exp ${DateUtils.format(
+            i.expiryDate
+          )} · ${i.quantity} in stock`,
+        })),
+      'Select lot'
+    );
+    els.transferLot.value = selectedId;
+  }
+
+  async function openTransferModal(lotId = '') {
+    if (!els.transferModalBackdrop) return;
+    els.transferModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    els.transferForm.reset();
+    populateTransferLots(lotId);
+
+    const [list, allItems] = await Promise.all([
+      InventoryRepository.loadTransfers(),
+      InventoryRepository.loadAllBranches(),
+    ]);
+    transfers = list;
+    knownBranches = [
+      ...new Set(
+        allItems
+          .map((i) => i.branch)
+          .concat(list.flatMap((t) => [t.fromBranch, t.toBranch]))
+          .filter((b) => b && b !== USER_BRANCH)
+      ),
+    ].sort();
+    els.transferBranchOptions.innerHTML = knownBranches
+      .map((b) => `<option value="${b}"></option>`)
+      .join('');
+    renderTransfers();
+  }
+
+  function closeTransferModal() {
+    if (!els.transferModalBackdrop) return;
+    els.transferModalBackdrop.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  function renderTransfers() {
+    const incoming = transfers.filter(
+      (t) => t.toBranch === USER_BRANCH && t.status === 'in_transit'
+    );
+    els.transferIncomingBody.innerHTML = incoming.length
+      ? incoming
+          .map(
+            (t) => `
+              <tr>
+                <td>${DateUtils.formatDateTime(t.createdAt)}</td>
+                <td>${t.fromBranch.toUpperCase()}</td>
+                <td>${t.itemName}</td>
+                <td>${t.lotNumber || '—'}</td>
+                <td>${DateUtils.format(t.expiryDate)}</td>
+                <td>${t.quantity}</td>
+                <td>
+                  ${
+                    Permissions.can('transfer.manage')
+                      ? `<div class="table-actions"><button type="button" class="btn-edit" data-action="receive" data-id="${t.id}">Confirm Receipt</button></div>`
+                      : ''
+                  }
+                </td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="7">No transfers waiting for this branch.</td></tr>';
+
+    els.transferHistoryBody.innerHTML = transfers.length
+      ? transfers
+          .map(
+            (t) => `
+              <tr>
+                <td>${DateUtils.formatDateTime(t.createdAt)}</td>
+                <td>${t.fromBranch.toUpperCase()} → ${t.toBranch.toUpperCase()}</td>
+                <td>${t.itemName}</td>
+                <td>${t.lotNumber || '—'}</td>
+                <td>${t.quantity}</td>
+                <td>${TransferStatuses[t.status] || t.status}${
+                  t.closedAt ? ` · ${DateUtils.format(t.closedAt)}` : ''
+                }</td>
+                <td>
+                  ${
+                    t.fromBranch === USER_BRANCH &&
+                    t.status === 'in_transit' &&
+                    Permissions.can('transfer.manage')
+                      ? `<div class="table-actions"><button type="button" class="btn-delete" data-action="cancel" data-id="${t.id}">Cancel</button></div>`
+                      : ''
+                  }
+                </td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="7">No transfers yet.</td></tr>';
+  }
+
+  async function handleTransferSubmit(e) {
+    e.preventDefault();
+    if (!requireConnection()) return;
+    const lot = state.items.find((i) => i.id === els.transferLot.value);
+    const transfer = lot
+      ? InventoryService.createTransfer(lot, {
+          fromBranch: USER_BRANCH,
+          toBranch: els.transferTo.value,
+          quantity: Number(document.getElementById('transferQty').value),
+          note: document.getElementById('transferNote').value,
+        })
+      : null;
+    const errors = InventoryService.validateTransfer(transfer || {}, lot);
+    if (errors.length) {
+      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
+      return;
+    }
+    if (
+      !knownBranches.includes(transfer.toBranch) &&
+      !window.confirm(
+        `No stock has been recorded for "${transfer.toBranch}" yet. Send anyway?`
+      )
+    ) {
+      return;
+    }
+
+    const result = await InventoryRepository.sendTransfer(
+      transfer,
+      lot,
+      InventoryService.transferMovement(lot, transfer)
+    );
+    state.items = result.items;
+    transfers = await InventoryRepository.loadTransfers();
+    if (result.error) {
+      alert(`The transfer could not be sent: ${result.error.message || result.error}`);
+    } else {
+      els.transferForm.reset();
+    }
+    populateTransferLots();
+    renderTransfers();
+    render();
+  }
+
+  async function handleTransferTableClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const transfer = transfers.find((t) => t.id === button.dataset.id);
+    if (!transfer || !requireConnection()) return;
+
+    let result = null;
+    if (button.dataset.action === 'receive') {
+      result = await InventoryRepository.receiveTransfer(
+        transfer,
+        InventoryService.itemFromTransfer(transfer)
+      );
+    } else if (button.dataset.action === 'cancel') {
+      const lot = state.items.find((i) => i.id === transfer.itemId);
+      if (!lot) {
+        alert('The lot this transfer came from no longer exists in this branch.');
+        return;
+      }
+      if (!window.confirm('Cancel this transfer and return the units to stock?')) {
+        return;
+      }
+      result = await InventoryRepository.cancelTransfer(
+        transfer,
+        lot,
+        InventoryService.transferMovement(lot, transfer, { cancelled: true })
+      );
+    }
+    if (!result) return;
+    state.items = result.items;
+    if (result.error) {
+      alert(`The transfer could not be updated: ${result.error.message || result.error}`);
+    }
+    transfers = await InventoryRepository.loadTransfers();
+    populateTransferLots();
+    renderTransfers();
+    render();
+  }
+
+  // Screens that write outside the offline queue (catalog, requisitions,
+  // deliveries, imports) need a live connection.
+  function requireConnection() {
+    if (syncState.online) return true;
+    alert(
+      'You are offline. This change needs a connection; stock edits and ' +
+        'movements can still be made and will sync later.'
+    );
+    return false;
+  }
+
+  function renderSyncStatus(status) {
+    syncState = status;
+    if (els.syncStatus) {
+      const conflicts = status.conflicts.length;
+      let label = status.online ? 'Online' : 'Offline';
+      let modifier = status.online ? 'online' : 'offline';
+      if (!status.remote) {
+        label = status.storage;
+        modifier = 'local';
+      } else if (status.syncing) {
+        label = 'Syncing…';
+        modifier = 'pending';
+      } else if (conflicts) {
+        label = `${conflicts} conflict${conflicts === 1 ? '' : 's'}`;
+        modifier = 'conflict';
+      } else if (status.pending) {
+        label = `${label} · ${status.pending} pending`;
+        modifier = 'pending';
+      }
+      els.syncStatus.textContent = label;
+      els.syncStatus.className = `sync-status sync-status--${modifier}`;
+    }
+    if (els.syncModalBackdrop && !els.syncModalBackdrop.hidden) {
+      renderSyncModal();
+    }
+  }
+
+  function describeQueuedChange(op) {
+    if (op.type === 'upsert') return op.isNew ? 'New lot' : 'Edit';
+    if (op.type === 'remove') return 'Delete';
+    const def = MovementTypes[op.movement.type];
+    return `${def ? def.label : op.movement.type} ${op.movement.amount ?? ''}`.trim();
+  }
+
+  function lotLabel(op) {
+    const item = op.item || {};
+    return [item.itemName, item.lotNumber].filter(Boolean).join(' · ') || op.itemId;
+  }
+
+  async function renderSyncModal() {
+    const pending = await InventoryRepository.pendingChanges();
+    els.syncSummary.textContent = syncState.online
+      ? `Online. ${pending.length} change${
+          pending.length === 1 ? '' : 's'
+        } waiting to sync.`
+      : `Offline. Changes are kept on this device and sync when the connection returns.`;
+    els.syncNowBtn.disabled = !syncState.online || syncState.syncing || !pending.length;
+
+    els.syncPendingBody.innerHTML = pending.length
+      ? pending
+          .map(
+            (op) => `
+              <tr>
+                <td>${DateUtils.formatDateTime(op.queuedAt)}</td>
+                <td>${describeQueuedChange(op)}</td>
+                <td>${Html.escape(lotLabel(op))}</td>
+              </tr>
+            `
+          )
+          .join('')
+      : '<tr><td colspan="3">Nothing waiting to sync.</td></tr>';
+
+    const problems = {
+      changed: 'Edited by someone else while you were offline',
+      deleted: 'Deleted by someone else while you were offline',
+      failed: 'Rejected by the server',
+    };
+    els.syncConflicts.hidden = syncState.conflicts.length === 0;
+    els.syncConflictsBody.innerHTML = syncState.conflicts
+      .map((c) => {
+        const differences =
+          c.server && c.local
+            ? AuditLog.describeChanges({
+                action: 'update',
+                changes: AuditLog.diff(c.server, c.local),
+              })
+            : [];
+        const canKeepLocal = !(c.op.type === 'movement' && c.reason === 'deleted');
+        return `
+          <tr>
+            <td>${Html.escape(lotLabel(c.op))}</td>
+            <td>${describeQueuedChange(c.op)}</td>
+            <td>${problems[c.reason]}${c.message ? `: ${Html.escape(c.message)}` : ''}</td>
+            <td class="activity-changes">${differences.map(Html.escape).join('<br>') || '—'}</td>
+            <td>
+              <div class="table-actions">
+                ${
+                  canKeepLocal
+                    ? `<button type="button" class="btn-edit" data-action="keep-local" data-id="${c.id}">Keep Mine</button>`
+                    : ''
+                }
+                <button type="button" class="btn-delete" data-action="keep-server" data-id="${c.id}">Discard Mine</button>
+              </div>
+            </td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  function openSyncModal() {
+    if (!els.syncModalBackdrop) return;
+    els.syncModalBackdrop.hidden = false;
+    document.body.style.overflow = 'hidden';
+    renderSyncModal();
+  }
+
+  function closeSyncModal() {
+    if (!els.syncModalBackdrop) return;
+    els.syncModalBackdrop.hidden = true;
     document.body.style.overflow = '';
   }
 
-  async function handleEditSubmit(e) {
-    e.preventDefault();
-    const id = document.getElementById('editId').value;
-    const payload = {
-      id,
-      category: document.getElementById('editCategory').value || '',
-      itemName: document.getElementById('editItemName').value,
-      brand: document.getElementById('editBrand').value,
-      contentVolume: document.getElementById('editContentVolume').value,
-      lotNumber: document.getElementById('editLotNumber').value,
-      dateReceived: document.getElementById('editDateReceived').value,
-      expiryDate: document.getElementById('editExpiryDate').value,
-      status: document.getElementById('editStatus').value,
-      quantity: Number(document.getElementById('editQuantity').value),
-      remarks: '',
-    };
-    const updatedItem = InventoryService.createItem(payload);
-    const errors = InventoryService.validate(updatedItem);
-    if (errors.length) {
-      alert('Please fix the following issues:\n- ' + errors.join('\n- '));
-      return;
-    }
-    state.items = await InventoryRepository.upsert(updatedItem);
-    closeEditModal();
+  async function handleSyncNow() {
+    state.items = await InventoryRepository.sync();
     render();
   }
 
-  async function handleDelete(id) {
-    const item = state.items.find((i) => i.id === id);
-    const label = item ? `${item.itemName} (${item.category})` : id;
-    if (!window.confirm(`Delete inventory item:\n${label}?`)) return;
-    state.items = await InventoryRepository.remove(id);
+  async function handleSyncConflictClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const keepLocal = button.dataset.action === 'keep-local';
+    if (keepLocal && !requireConnection()) return;
+    state.items = await InventoryRepository.resolveConflict(
+      button.dataset.id,
+      keepLocal
+    );
     render();
   }
 
+  async function handleConnectionChange() {
+    if (navigator.onLine) {
+      await handleSyncNow();
+    } else {
+      renderSyncStatus(await InventoryRepository.syncStatus());
+    }
+  }
+
   function attachTableRowHandlers() {
     els.tableBody.addEventListener('click', (e) => {
+      const groupTr = e.target.closest('tr[data-group]');
+      if (groupTr) {
+        toggleGroup(groupTr.dataset.group);
+        return;
+      }
       const btn = e.target.closest('button[data-action]');
       if (!btn) return;
       const id = btn.dataset.id;
       const action = btn.dataset.action;
       if (action === 'edit') openEditModal(id);
+      if (action === 'movement') openMovementModal(id);
+      if (action === 'discard') openDiscardModal(id);
       if (action === 'delete') handleDelete(id);
     });
   }
 
+  const TIER_ROW_CLASSES = {
+    critical: 'row-critical',
+    warning: 'row-expiring',
+    watch: 'row-watch',
+  };
+
+  function expiryRowClass(expInfo) {
+    if (expInfo.code === 'expired') return 'row-expired';
+    if (expInfo.code === 'warning') return TIER_ROW_CLASSES[expInfo.tier];
+    return '';
+  }
+
+  function expiryTagClass(expInfo) {
+    return expInfo.code === 'expired'
+      ? 'tag--exp-expired'
+      : expInfo.code === 'warning'
+      ? `tag--exp-${expInfo.tier}`
+      : expInfo.code === 'good'
+      ? 'tag--exp-good'
+      : '';
+  }
+
+  function statusTagClass(status) {
+    return status === 'Unopened'
+      ? 'tag--status-unopened'
+      : status === 'Opened'
+      ? 'tag--status-opened'
+      : 'tag--status-out';
+  }
+
   function renderTable() {
     const filtered = InventoryService.filter(state.items, state.filters);
-    const sorted = InventoryService.sort(
+    els.tableBody.innerHTML = '';
+    if (state.tableView === 'grouped') {
+      InventoryService.groupLots(
+        filtered,
+        state.sortField,
+        state.sortDirection
+      ).forEach((group) => {
+        const expanded = state.expandedGroups.has(group.key);
+        els.tableBody.appendChild(groupRow(group, expanded));
+        if (!expanded) return;
+        group.lots.forEach((item) => {
+          const tr = lotRow(item);
+          tr.classList.add('row-lot-child');
+          els.tableBody.appendChild(tr);
+        });
+      });
+      return;
+    }
+    InventoryService.sort(
       filtered,
       state.sortField,
       state.sortDirection
+    ).forEach((item) => els.tableBody.appendChild(lotRow(item)));
+  }
+
+  // Summary row of the grouped view; clicking it shows or hides the lots.
+  function groupRow(group, expanded) {
+    const tr = document.createElement('tr');
+    const expInfo = group.expiryInfo;
+    tr.className = `row-group ${expiryRowClass(expInfo)}`.trim();
+    tr.dataset.group = group.key;
+
+    const itemForecast = state.forecast.byItem.get(group.key);
+    const unused = group.lots.reduce((sum, l) => {
+      const lotForecast = state.forecast.byLot.get(l.id);
+      return sum + (lotForecast ? lotForecast.unused : 0);
+    }, 0);
+
+    tr.innerHTML = `
+      <td>
+        <button type="button" class="group-toggle" data-action="toggle-group" aria-expanded="${expanded}">
+          ${expanded ? '▾' : '▸'}
+        </button>
+        ${group.category || ''}
+      </td>
+      <td>${group.itemName}</td>
+      <td>${group.brands > 1 ? `${group.brands} brands` : group.brand || ''}</td>
+      <td>${group.lotCount > 1 ? '' : group.contentVolume || ''}</td>
+      <td>${group.lotCount} lot${group.lotCount === 1 ? '' : 's'}</td>
+      <td></td>
+      <td>${DateUtils.format(group.expiryDate)}</td>
+      <td><span class="tag ${statusTagClass(group.status)}">${group.status}</span></td>
+      <td><strong>${group.quantity}</strong></td>
+      <td>
+        <span class="tag ${expiryTagClass(expInfo)}">
+          ${expInfo.label}
+        </span>
+      </td>
+      <td>${
+        itemForecast && itemForecast.dailyUsage
+          ? formatUsage(itemForecast.weeklyUsage)
+          : '—'
+      }</td>
+      <td>${
+        itemForecast && itemForecast.stockOutDate
+          ? DateUtils.format(itemForecast.stockOutDate)
+          : '—'
+      }</td>
+      <td>${
+        unused > 0
+          ? `<span class="tag tag--exp-warning" title="At the current usage rate">~${unused} of ${group.quantity} expire unused</span>`
+          : ''
+      }</td>
+      <td></td>
+    `;
+    return tr;
+  }
+
+  function toggleGroup(key) {
+    if (state.expandedGroups.has(key)) {
+      state.expandedGroups.delete(key);
+    } else {
+      state.expandedGroups.add(key);
+    }
+    renderTable();
+  }
+
+  function lotRow(item) {
+    const tr = document.createElement('tr');
+    const expInfo = InventoryService.expiryInfo(item);
+    tr.className = expiryRowClass(expInfo);
+    const expClass = expiryTagClass(expInfo);
+    const statusClass = statusTagClass(item.status);
+
+    const itemForecast = state.forecast.byItem.get(
+      InventoryService.itemKey(item)
     );
-    els.tableBody.innerHTML = '';
-    sorted.forEach((item) => {
-      const tr = document.createElement('tr');
-      const expInfo = DateUtils.classifyExpiry(item.expiryDate);
-      let rowClass = "";
-
-      if (expInfo.code === "expired") rowClass = "row-expired";
-      if (expInfo.code === "warning") rowClass = "row-expiring";
-
-      tr.className = rowClass;
-      const expClass =
-        expInfo.code === 'expired'
-          ? 'tag--exp-expired'
-          : expInfo.code === 'warning'
-          ? 'tag--exp-warning'
-          : expInfo.code === 'good'
-          ? 'tag--exp-good'
-          : '';
-      const statusClass =
-        item.status === 'Unopened'
-          ? 'tag--status-unopened'
-          : item.status === 'Opened'
-          ? 'tag--status-opened'
-          : 'tag--status-out';
-
-      tr.innerHTML = `
-        <td>${item.category || ''}</td>
-        <td>${item.itemName}</td>
-        <td>${item.brand || ''}</td>
-        <td>${item.contentVolume || ''}</td>
-        <td>${item.lotNumber || ''}</td>
-        <td>${DateUtils.format(item.dateReceived)}</td>
-        <td>${DateUtils.format(item.expiryDate)}</td>
-        <td><span class="tag ${statusClass}">${item.status}</span></td>
-        <td>${item.quantity}</td>
-        <td>
-          <span class="tag ${expClass}">
-            ${expInfo.label}
-          </span>
-        </td>
-        <td>
-          <div class="table-actions">
-            <button type="button" class="btn-edit" data-action="edit" data-id="${item.id}">Edit</button>
-            <button type="button" class="btn-delete" data-action="delete" data-id="${item.id}">Delete</button>
-          </div>
-        </td>
-      `;
-      els.tableBody.appendChild(tr);
-    });
+    const lotForecast = state.forecast.byLot.get(item.id);
+
+    tr.innerHTML = `
+      <td>${item.category || ''}</td>
+      <td>${item.itemName}</td>
+      <td>${item.brand || ''}</td>
+      <td>${item.contentVolume || ''}</td>
+      <td>${item.lotNumber || ''}</td>
+      <td>${DateUtils.format(item.dateReceived)}</td>
+      <td>
+        ${DateUtils.format(item.expiryDate)}
+        ${
+          expInfo.source === 'opened'
+            ? `<div class="cell-note">Open vial: ${DateUtils.format(expInfo.date)}</div>`
+            : ''
+        }
+      </td>
+      <td><span class="tag ${statusClass}">${item.status}</span></td>
+      <td>${item.quantity}</td>
+      <td>
+        <span class="tag ${expClass}">
+          ${expInfo.label}
+        </span>
+      </td>
+      <td>${
+        itemForecast && itemForecast.dailyUsage
+          ? formatUsage(itemForecast.weeklyUsage)
+          : '—'
+      }</td>
+      <td>${
+        itemForecast && itemForecast.stockOutDate
+          ? DateUtils.format(itemForecast.stockOutDate)
+          : '—'
+      }</td>
+      <td>${
+        lotForecast && lotForecast.unused > 0
+          ? `<span class="tag tag--exp-warning" title="At the current usage rate">~${lotForecast.unused} of ${item.quantity} expire unused</span>`
+          : ''
+      }</td>
+      <td>
+        <div class="table-actions">
+          ${
+            Permissions.can('stock.move')
+              ? `<button type="button" class="btn-move" data-action="movement" data-id="${item.id}">Use / Receive</button>`
+              : ''
+          }
+          ${
+            Permissions.can('stock.move') && item.quantity > 0
+              ? `<button type="button" class="btn-discard" data-action="discard" data-id="${item.id}">Discard</button>`
+              : ''
+          }
+          ${
+            Permissions.can('item.edit')
+              ? `<button type="button" class="btn-edit" data-action="edit" data-id="${item.id}">Edit</button>`
+              : ''
+          }
+          ${
+            Permissions.can('item.delete')
+              ? `<button type="button" class="btn-delete" data-action="delete" data-id="${item.id}">Delete</button>`
+              : ''
+          }
+        </div>
+      </td>
+    `;
+    return tr;
   }
 
+  const TIER_PILL_CLASSES = {
+    critical: 'pill--danger',
+    warning: 'pill--warning',
+    watch: 'pill--muted',
+  };
+
   function renderAlerts() {
     const alerts = InventoryService.computeAlerts(state.items);
     els.alertSummary.innerHTML = '';
@@ -763,9 +8715,22 @@ const UI = (() => {
         }</span>`
       );
     }
-    if (alerts.expSoon > 0) {
+    ExpiryTiers.TIERS.forEach(({ code, label }) => {
+      const count = alerts.byTier[code] || 0;
+      if (count > 0) {
+        pills.push(
+          `<span class="pill ${TIER_PILL_CLASSES[code]}">${count} expiring (${label})</span>`
+        );
+      }
+    });
+    if (alerts.lowStock > 0) {
+      const names = alerts.lowStockItems
+        .map((l) => `${l.itemName}: ${l.total} (min ${l.minLevel})`)
+        .join('\n');
       pills.push(
-        `<span class="pill pill--warning">${alerts.expSoon} expiring &le; 90 days</span>`
+        `<span class="pill pill--warning" title="${names}">${alerts.lowStock} item${
+          alerts.lowStock === 1 ? '' : 's'
+        } below reorder point</span>`
       );
     }
     if (alerts.outOfStock > 0 || alerts.zeroQty > 0) {
@@ -788,12 +8753,264 @@ const UI = (() => {
       els.kpiOutOrZero.textContent = String(totalOut);
     }
     if (els.kpiTotal) {
-      els.kpiTotal.textContent = String(state.items.length);
+      els.kpiTotal.textContent = String(
+        state.items.filter((i) => i.status !== 'Discarded').length
+      );
+    }
+    if (els.kpiLowStock) {
+      els.kpiLowStock.textContent = String(alerts.lowStock);
+    }
+
+    const value = InventoryService.valuation(state.items);
+    if (els.kpiStockValue) {
+      els.kpiStockValue.textContent = Money.format(value.total);
+      els.kpiUncosted.textContent = value.uncosted
+        ? `${value.uncosted} lot${value.uncosted === 1 ? '' : 's'} without cost`
+        : '';
+      els.kpiExpiredValue.textContent = Money.format(value.expired);
+      els.kpiExpiringValue.textContent = Money.format(value.expiring);
+    }
+  }
+
+  const CHART_COLORS = {
+    danger: '#ef4444',
+    warning: '#facc15',
+    primary: '#6366f1',
+    accent: '#22c55e',
+    muted: '#64748b',
+  };
+
+  const STATUS_COLORS = {
+    Unopened: CHART_COLORS.primary,
+    Opened: CHART_COLORS.accent,
+    'Out of Stock': CHART_COLORS.danger,
+  };
+
+  function periodLabel(from) {
+    const text = DateUtils.format(from);
+    return state.chartGranularity === 'month' ? text.slice(3) : text.slice(0, 5);
+  }
+
+  function chartOptions(onPick, extra = {}) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      onClick: (e, elements) => {
+        if (elements.length) {
+          onPick(elements[0].datasetIndex, elements[0].index);
+        }
+      },
+      onHover: (e, elements) => {
+        e.native.target.style.cursor = elements.length ? 'pointer' : '';
+      },
+      ...extra,
+    };
+  }
+
+  const STACKED_SCALES = {
+    x: { stacked: true },
+    y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } },
+  };
+
+  function drawChart(name, config) {
+    if (charts[name]) charts[name].destroy();
+    charts[name] = new window.Chart(els[name], config);
+  }
+
+  // The charts cover every lot in the branch, whatever the table filters
+  // are. Chart.js comes from a CDN; if it did not load, the section is
+  // hidden rather than left empty.
+  async function refreshCharts() {
+    if (!els.chartsSection) return;
+    if (!window.Chart) {
+      els.chartsSection.hidden = true;
+      return;
     }
+    window.Chart.defaults.color = '#9ca3af';
+    window.Chart.defaults.borderColor = 'rgba(148, 163, 184, 0.18)';
+
+    const timeline = InventoryService.expiryTimeline(
+      state.items,
+      state.chartGranularity
+    );
+    drawChart('chartExpiryTimeline', {
+      type: 'bar',
+      data: {
+        labels: ['Expired', ...timeline.buckets.map((b) => periodLabel(b.from))],
+        datasets: [
+          {
+            label: 'Lots',
+            data: [timeline.expired.lots, ...timeline.buckets.map((b) => b.lots)],
+            units: [timeline.expired.units, ...timeline.buckets.map((b) => b.units)],
+            backgroundColor: [
+              CHART_COLORS.danger,
+              ...timeline.buckets.map(() => CHART_COLORS.warning),
+            ],
+          },
+        ],
+      },
+      options: chartOptions(
+        (dataset, index) => {
+          if (index === 0) {
+            applyTableFilter({ expiry: 'expired' });
+            return;
+          }
+          const bucket = timeline.buckets[index - 1];
+          applyTableFilter({ expiryFrom: bucket.from, expiryTo: bucket.to });
+        },
+        {
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              callbacks: {
+                afterLabel: (ctx) => `${ctx.dataset.units[ctx.dataIndex]} units`,
+              },
+            },
+          },
+          scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+        }
+      ),
+    });
+
+    const byCategory = InventoryService.stockByCategory(state.items);
+    const statuses = Object.keys(STATUS_COLORS);
+    byCategory.forEach((row) => {
+      Object.keys(row.byStatus).forEach((status) => {
+        if (!statuses.includes(status)) statuses.push(status);
+      });
+    });
+    drawChart('chartStockByCategory', {
+      type: 'bar',
+      data: {
+        labels: byCategory.map((row) => row.category || 'Uncategorized'),
+        datasets: statuses.map((status) => ({
+          label: status,
+          data: byCategory.map((row) => row.byStatus[status] || 0),
+          backgroundColor: STATUS_COLORS[status] || CHART_COLORS.muted,
+        })),
+      },
+      options: chartOptions(
+        (dataset, index) =>
+          applyTableFilter({
+            category: byCategory[index].category,
+            status: statuses[dataset],
+          }),
+        { scales: STACKED_SCALES }
+      ),
+    });
+
+    const atRisk = InventoryService.itemsAtRisk(state.items);
+    drawChart('chartAtRisk', {
+      type: 'bar',
+      data: {
+        labels: atRisk.map((row) => row.itemName),
+        datasets: [
+          {
+            label: 'Expired',
+            data: atRisk.map((row) => row.expired),
+            backgroundColor: CHART_COLORS.danger,
+          },
+          {
+            label: 'Expiring soon',
+            data: atRisk.map((row) => row.expiring),
+            backgroundColor: CHART_COLORS.warning,
+          },
+        ],
+      },
+      options: chartOptions(
+        (dataset, index) =>
+          applyTableFilter({
+            category: atRisk[index].category,
+            search: atRisk[index].itemName,
+            expiry: dataset === 0 ? 'expired' : 'expiring',
+          }),
+        { indexAxis: 'y', scales: STACKED_SCALES }
+      ),
+    });
+
+    const { lots, movements } = await InventoryRepository.loadHistory();
+    const trend = InventoryService.stockTrend(
+      lots,
+      movements,
+      state.chartGranularity
+    );
+    drawChart('chartTrend', {
+      type: 'line',
+      data: {
+        labels: trend.map((p) => periodLabel(p.from)),
+        datasets: [
+          {
+            label: 'Expired',
+            data: trend.map((p) => p.expired),
+            borderColor: CHART_COLORS.danger,
+            backgroundColor: CHART_COLORS.danger,
+          },
+          {
+            label: 'Out of stock',
+            data: trend.map((p) => p.outOfStock),
+            borderColor: CHART_COLORS.primary,
+            backgroundColor: CHART_COLORS.primary,
+          },
+        ],
+      },
+      options: chartOptions(
+        (dataset) =>
+          applyTableFilter(
+            dataset === 0 ? { expiry: 'expired' } : { status: 'Out of Stock' }
+          ),
+        { scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+      ),
+    });
+  }
+
+  // Replaces the table filters with the given ones, e.g. those behind a
+  // clicked chart segment, so the table shows exactly the lots meant.
+  function applyTableFilter(filters) {
+    if (els.searchInput) els.searchInput.value = filters.search || '';
+    if (els.topSearchInput) els.topSearchInput.value = '';
+    if (els.filterCategory) els.filterCategory.value = filters.category || '';
+    els.filterStatus.value = filters.status || '';
+    els.filterExpiry.value = filters.expiry || '';
+    els.filterLowStock.value = filters.lowStock || '';
+    state.filters.expiryFrom = filters.expiryFrom || '';
+    state.filters.expiryTo = filters.expiryTo || '';
+    renderExpiryRange();
+    handleFilters();
+    els.tableBody.closest('section').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  function renderExpiryRange() {
+    if (!els.expiryRangeChip) return;
+    const { expiryFrom, expiryTo } = state.filters;
+    els.expiryRangeChip.hidden = !expiryFrom && !expiryTo;
+    els.expiryRangeChip.textContent = `${DateUtils.format(expiryFrom)} – ${DateUtils.format(
+      expiryTo
+    )} ×`;
+  }
+
+  function clearExpiryRange() {
+    state.filters.expiryFrom = '';
+    state.filters.expiryTo = '';
+    renderExpiryRange();
+    handleFilters();
   }
 
   function exportCsv() {
     const filtered = InventoryService.filter(state.items, state.filters);
+    if (state.tableView === 'grouped') {
+      const groups = InventoryService.groupLots(
+        filtered,
+        state.sortField,
+        state.sortDirection
+      );
+      if (groups.length === 0) {
+        alert('No inventory data to export for the current view.');
+        return;
+      }
+      downloadCsv(groupedCsvRows(groups), 'north-med-reagent-inventory-by-item');
+      return;
+    }
     const sorted = InventoryService.sort(
       filtered,
       state.sortField,
@@ -803,6 +9020,11 @@ const UI = (() => {
       alert('No inventory data to export for the current view.');
       return;
     }
+    downloadCsv(inventoryCsvRows(sorted), 'north-med-reagent-inventory');
+  }
+
+  // Header plus one row per lot, in the column order imports expect.
+  function inventoryCsvRows(items) {
     const header = [
       'Category',
       'Item Name',
@@ -814,11 +9036,13 @@ const UI = (() => {
       'Date Opened',
       'Status',
       'Quantity Remaining',
+      'Unit Cost',
       'Remarks',
       'Expiry Status',
+      `Stock Value (${Settings.get('currency')})`,
     ];
-    const rows = sorted.map((item) => {
-      const expInfo = DateUtils.classifyExpiry(item.expiryDate);
+    const rows = items.map((item) => {
+      const expInfo = InventoryService.expiryInfo(item);
       return [
         item.category,
         item.itemName,
@@ -830,15 +9054,51 @@ const UI = (() => {
         DateUtils.format(item.dateOpened),
         item.status,
         String(item.quantity),
+        Money.toCsv(item.unitCost),
         (item.remarks || '').replace(/\n/g, ' '),
         expInfo.label,
+        item.unitCost == null ? '' : Money.toCsv(item.quantity * item.unitCost),
+      ];
+    });
+    return [header, ...rows];
+  }
+
+  // Header plus one row per item of the grouped view, with its totals.
+  function groupedCsvRows(groups) {
+    const header = [
+      'Category',
+      'Item Name',
+      'Lots',
+      'Total Quantity',
+      'Nearest Expiry',
+      'Worst Status',
+      'Expiry Status',
+      `Stock Value (${Settings.get('currency')})`,
+    ];
+    const rows = groups.map((group) => {
+      const costed = group.lots.filter((l) => l.unitCost != null);
+      return [
+        group.category,
+        group.itemName,
+        String(group.lotCount),
+        String(group.quantity),
+        DateUtils.format(group.expiryDate),
+        group.status,
+        group.expiryInfo.label,
+        costed.length
+          ? Money.toCsv(costed.reduce((sum, l) => sum + l.quantity * l.unitCost, 0))
+          : '',
       ];
     });
-    const csvLines = [header, ...rows]
+    return [header, ...rows];
+  }
+
+  function downloadCsv(rows, baseName) {
+    const csvLines = rows
       .map((row) =>
         row
           .map((value) => {
-            const safe = value.replace(/"/g, '""');
+            const safe = String(value ?? '').replace(/"/g, '""');
             return `"${safe}"`;
           })
           .join(',')
@@ -850,13 +9110,56 @@ const UI = (() => {
     const a = document.createElement('a');
     a.href = url;
     const ts = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
-    a.download = `north-med-reagent-inventory-${ts}.csv`;
+    a.download = `${baseName}-${ts}.csv`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   }
 
+  // Opens a standalone, branded page and hands it to the browser's print
+  // dialog (which also offers "Save as PDF").
+  function printDocument(title, bodyHtml) {
+    const win = window.open('', '_blank');
+    if (!win) {
+      alert('Allow pop-ups for this site to print.');
+      return;
+    }
+    const logoUrl = new URL('logo.png', window.location.href).href;
+    const branch = USER_BRANCH ? `${USER_BRANCH.toUpperCase()} Branch` : '';
+    win.document.write(`<!DOCTYPE html>
+      <html lang="en">
+        <head>
+          <meta charset="UTF-8" />
+          <title>${title}</title>
+          <style>
+            body { font-family: system-ui, sans-serif; color: #111827; margin: 24px; }
+            header { display: flex; align-items: center; gap: 12px; border-bottom: 2px solid #4f46e5; padding-bottom: 8px; margin-bottom: 16px; }
+            header img { height: 48px; }
+            header h1 { font-size: 1.1rem; margin: 0; }
+            header p { margin: 2px 0 0; font-size: 0.8rem; color: #4b5563; }
+            h2 { font-size: 1rem; margin: 16px 0 8px; }
+            table { width: 100%; border-collapse: collapse; font-size: 0.8rem; }
+            th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; }
+            th { background: #f3f4f6; }
+            .meta { font-size: 0.8rem; color: #4b5563; }
+          </style>
+        </head>
+        <body>
+          <header>
+            <img src="${logoUrl}" alt="North Med Logo" />
+            <div>
+              <h1>North Med Diagnostics</h1>
+              <p>${[branch, title].filter(Boolean).join(' · ')}</p>
+            </div>
+          </header>
+          ${bodyHtml}
+        </body>
+      </html>`);
+    win.document.close();
+    win.addEventListener('load', () => win.print());
+  }
+
   function bindEvents() {
     els.inventoryForm.addEventListener('submit', handleFormSubmit);
 
@@ -872,6 +9175,22 @@ const UI = (() => {
     els.filterStatus.addEventListener('change', handleFilters);
     els.filterExpiry.addEventListener('change', handleFilters);
     els.filterLowStock.addEventListener('change', handleFilters);
+    if (els.expiryRangeChip) {
+      els.expiryRangeChip.addEventListener('click', clearExpiryRange);
+    }
+    if (els.tableView) {
+      els.tableView.addEventListener('change', () => {
+        state.tableView = els.tableView.value;
+        renderTable();
+      });
+    }
+
+    if (els.chartGranularity) {
+      els.chartGranularity.addEventListener('change', () => {
+        state.chartGranularity = els.chartGranularity.value;
+        refreshCharts().catch((err) => console.error('Failed to draw charts', err));
+      });
+    }
 
     els.tableHead.addEventListener('click', handleSortClick);
     attachTableRowHandlers();
@@ -897,15 +9216,367 @@ const UI = (() => {
       });
     }
 
+    // Stock movement modal handlers
+    if (els.movementForm) {
+      els.movementForm.addEventListener('submit', handleMovementSubmit);
+      els.movementType.addEventListener('change', syncMovementAmountLabel);
+      els.movementModalCloseBtn.addEventListener('click', closeMovementModal);
+      els.movementCancelBtn.addEventListener('click', closeMovementModal);
+      els.movementModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.movementModalBackdrop) closeMovementModal();
+      });
+    }
+
+    if (els.editStatus) {
+      els.editStatus.addEventListener('change', handleEditStatusChange);
+    }
+    if (els.editCategory) {
+      els.editCategory.addEventListener('change', () =>
+        populateEditItemOptions('')
+      );
+    }
+
+    bindScanField(els.scanCode, handleAddScan);
+    bindScanField(els.editScanCode, handleEditScan);
+
+    // Goods receiving modal handlers
+    if (els.receiveModalBackdrop) {
+      els.receiveBtn.addEventListener('click', openReceiveModal);
+      els.receiveModalCloseBtn.addEventListener('click', closeReceiveModal);
+      els.receiveCancelBtn.addEventListener('click', closeReceiveModal);
+      els.receiveModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.receiveModalBackdrop) closeReceiveModal();
+      });
+      els.receiveAddLineBtn.addEventListener('click', () => {
+        receivingLines.push(emptyReceivingLine());
+        renderReceivingLines();
+      });
+      els.receiveLinesBody.addEventListener('change', handleReceivingLinesChange);
+      els.receiveLinesBody.addEventListener('click', handleReceivingLinesClick);
+      els.receiveRequisition.addEventListener(
+        'change',
+        handleReceivingRequisitionChange
+      );
+      els.receiveForm.addEventListener('submit', handleReceiveSubmit);
+    }
+
+    // CSV import modal handlers
+    if (els.importModalBackdrop) {
+      els.importCsvBtn.addEventListener('click', openImportModal);
+      els.importModalCloseBtn.addEventListener('click', closeImportModal);
+      els.importCancelBtn.addEventListener('click', closeImportModal);
+      els.importModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.importModalBackdrop) closeImportModal();
+      });
+      els.importFile.addEventListener('change', handleImportFileChange);
+      els.importMappingGrid.addEventListener('change', handleImportMappingChange);
+      els.importForm.addEventListener('submit', handleImportSubmit);
+    }
+
+    // Valuation and settings
+    els.valueCards.forEach((card) => {
+      card.addEventListener('click', openValuationModal);
+      card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          openValuationModal();
+        }
+      });
+    });
+    if (els.reportsModalBackdrop) {
+      els.reportsBtn.addEventListener('click', openReportsModal);
+      els.reportsModalCloseBtn.addEventListener('click', closeReportsModal);
+      els.reportsModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.reportsModalBackdrop) closeReportsModal();
+      });
+      els.reportKind.addEventListener('change', renderReportPreview);
+      els.reportPrintBtn.addEventListener('click', handleReportPrint);
+      els.reportPdfBtn.addEventListener('click', handleReportPdf);
+    }
+
+    if (els.digestModalBackdrop) {
+      els.digestBtn.addEventListener('click', openDigestModal);
+      els.digestModalCloseBtn.addEventListener('click', closeDigestModal);
+      els.digestModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.digestModalBackdrop) closeDigestModal();
+      });
+      els.digestForm.addEventListener('submit', handleDigestSubmit);
+      els.digestFrequency.addEventListener('change', renderDigestPreview);
+      els.digestWeekday.addEventListener('change', renderDigestPreview);
+      els.digestSendTestBtn.addEventListener('click', handleDigestSendTest);
+    }
+    if (els.notificationsModalBackdrop) {
+      els.notificationsBtn.addEventListener('click', openNotificationsModal);
+      els.notificationsModalCloseBtn.addEventListener('click', closeNotificationsModal);
+      els.notificationsModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.notificationsModalBackdrop) closeNotificationsModal();
+      });
+      els.notificationList.addEventListener('click', handleNotificationClick);
+      els.notificationsReadAllBtn.addEventListener('click', () =>
+        markNotificationsRead(notifications)
+      );
+    }
+    if (els.forecastModalBackdrop) {
+      els.forecastBtn.addEventListener('click', openForecastModal);
+      els.forecastModalCloseBtn.addEventListener('click', closeForecastModal);
+      els.forecastModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.forecastModalBackdrop) closeForecastModal();
+      });
+    }
+    if (els.valuationModalBackdrop) {
+      els.valuationModalCloseBtn.addEventListener('click', closeValuationModal);
+      els.valuationModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.valuationModalBackdrop) closeValuationModal();
+      });
+    }
+    if (els.settingsModalBackdrop) {
+      els.settingsBtn.addEventListener('click', openSettingsModal);
+      els.settingsModalCloseBtn.addEventListener('click', closeSettingsModal);
+      els.settingsCancelBtn.addEventListener('click', closeSettingsModal);
+      els.settingsModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.settingsModalBackdrop) closeSettingsModal();
+      });
+      els.settingsForm.addEventListener('submit', handleSettingsSubmit);
+      els.tierRulesBody.addEventListener('input', handleTierRuleInput);
+      els.tierRulesBody.addEventListener('click', handleTierRuleRemove);
+      els.tierRuleCategory.addEventListener('change', populateTierRuleItems);
+      els.tierRuleAddBtn.addEventListener('click', handleTierRuleAdd);
+    }
+
+    // Discard and waste register
+    if (els.discardModalBackdrop) {
+      fillSelect(
+        els.discardReason,
+        Object.entries(WasteReasons).map(([value, label]) => ({ value, label })),
+        'Select reason'
+      );
+      els.discardModalCloseBtn.addEventListener('click', closeDiscardModal);
+      els.discardCancelBtn.addEventListener('click', closeDiscardModal);
+      els.discardModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.discardModalBackdrop) closeDiscardModal();
+      });
+      els.discardForm.addEventListener('submit', handleDiscardSubmit);
+    }
+    if (els.wasteModalBackdrop) {
+      fillSelect(
+        els.wasteReasonFilter,
+        Object.entries(WasteReasons).map(([value, label]) => ({ value, label })),
+        'All'
+      );
+      els.wasteGroupBy.innerHTML = Object.entries(InventoryService.WASTE_GROUPS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+      els.wasteBtn.addEventListener('click', openWasteModal);
+      els.wasteModalCloseBtn.addEventListener('click', closeWasteModal);
+      els.wasteModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.wasteModalBackdrop) closeWasteModal();
+      });
+      [els.wasteFrom, els.wasteTo, els.wasteReasonFilter, els.wasteGroupBy].forEach(
+        (el) => el.addEventListener('change', renderWaste)
+      );
+      els.wasteExportBtn.addEventListener('click', exportWasteCsv);
+    }
+
+    // Recycle bin and undo
+    if (els.recycleModalBackdrop) {
+      els.recycleBinBtn.addEventListener('click', openRecycleModal);
+      els.recycleModalCloseBtn.addEventListener('click', closeRecycleModal);
+      els.recycleModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.recycleModalBackdrop) closeRecycleModal();
+      });
+      els.recycleTableBody.addEventListener('click', handleRecycleClick);
+      els.recycleExportBtn.addEventListener('click', exportDeletedCsv);
+    }
+    if (els.undoToastBtn) {
+      els.undoToastBtn.addEventListener('click', handleUndo);
+    }
+
+    // Branch overview and transfer handlers
+    if (els.branchModalBackdrop) {
+      els.branchesBtn.addEventListener('click', openBranchModal);
+      els.branchModalCloseBtn.addEventListener('click', closeBranchModal);
+      els.branchModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.branchModalBackdrop) closeBranchModal();
+      });
+      els.branchRiskBody.addEventListener('click', handleBranchRiskClick);
+    }
+    if (els.transferModalBackdrop) {
+      els.transfersBtn.addEventListener('click', () => openTransferModal());
+      els.transferModalCloseBtn.addEventListener('click', closeTransferModal);
+      els.transferModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.transferModalBackdrop) closeTransferModal();
+      });
+      els.transferForm.addEventListener('submit', handleTransferSubmit);
+      els.transferIncomingBody.addEventListener('click', handleTransferTableClick);
+      els.transferHistoryBody.addEventListener('click', handleTransferTableClick);
+    }
+
+    // Edit conflict handlers
+    if (els.conflictModalBackdrop) {
+      els.conflictModalCloseBtn.addEventListener('click', closeConflictModal);
+      els.conflictModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.conflictModalBackdrop) closeConflictModal();
+      });
+      els.conflictKeepMineBtn.addEventListener('click', handleConflictKeepMine);
+      els.conflictTakeTheirsBtn.addEventListener('click', handleConflictTakeTheirs);
+      els.conflictBackBtn.addEventListener('click', handleConflictBack);
+    }
+
+    // Offline sync handlers
+    if (els.syncModalBackdrop) {
+      els.syncStatus.addEventListener('click', openSyncModal);
+      els.syncModalCloseBtn.addEventListener('click', closeSyncModal);
+      els.syncModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.syncModalBackdrop) closeSyncModal();
+      });
+      els.syncNowBtn.addEventListener('click', handleSyncNow);
+      els.syncConflictsBody.addEventListener('click', handleSyncConflictClick);
+    }
+    window.addEventListener('online', handleConnectionChange);
+    window.addEventListener('offline', handleConnectionChange);
+
+    // Requisition modal handlers
+    if (els.requisitionModalBackdrop) {
+      els.requisitionsBtn.addEventListener('click', openRequisitionModal);
+      els.requisitionModalCloseBtn.addEventListener('click', closeRequisitionModal);
+      els.requisitionModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.requisitionModalBackdrop) closeRequisitionModal();
+      });
+      els.generateRequisitionBtn.addEventListener('click', handleGenerateRequisition);
+      els.requisitionListBody.addEventListener('click', handleRequisitionListClick);
+      els.requisitionLinesBody.addEventListener('input', handleRequisitionLinesInput);
+      els.requisitionLinesBody.addEventListener('click', handleRequisitionLinesClick);
+      els.requisitionSaveBtn.addEventListener('click', handleRequisitionSave);
+      els.requisitionCsvBtn.addEventListener('click', handleRequisitionCsv);
+      els.requisitionPrintBtn.addEventListener('click', handleRequisitionPrint);
+    }
+
+    // Catalog settings modal handlers
+    if (els.catalogModalBackdrop) {
+      els.catalogBtn.addEventListener('click', openCatalogModal);
+      els.catalogModalCloseBtn.addEventListener('click', closeCatalogModal);
+      els.catalogModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.catalogModalBackdrop) closeCatalogModal();
+      });
+      els.catalogCategory.addEventListener('change', () => {
+        closeCatalogEditor();
+        renderCatalogAdmin();
+      });
+      els.catalogShowRetired.addEventListener('change', renderCatalogAdmin);
+      els.catalogAddCategoryBtn.addEventListener('click', handleCatalogAddCategory);
+      els.catalogRetireCategoryBtn.addEventListener(
+        'click',
+        handleCatalogRetireCategory
+      );
+      els.catalogNewItemBtn.addEventListener('click', () => openCatalogEditor(null));
+      els.catalogTableBody.addEventListener('click', handleCatalogTableClick);
+      els.catalogEntryForm.addEventListener('submit', handleCatalogEntrySubmit);
+      els.catalogEditorCancelBtn.addEventListener('click', closeCatalogEditor);
+      els.catalogRetireBtn.addEventListener('click', handleCatalogRetire);
+      els.catalogMergeBtn.addEventListener('click', handleCatalogMerge);
+    }
+
+    // Use reagent modal handlers
+    if (els.useModalBackdrop) {
+      els.useReagentBtn.addEventListener('click', openUseModal);
+      els.useModalCloseBtn.addEventListener('click', closeUseModal);
+      els.useCancelBtn.addEventListener('click', closeUseModal);
+      els.useModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.useModalBackdrop) closeUseModal();
+      });
+      els.useCategory.addEventListener('change', populateUseItems);
+      els.useItemName.addEventListener('change', populateUseLots);
+      els.useLot.addEventListener('change', updateUseHint);
+      els.useForm.addEventListener('submit', handleUseSubmit);
+    }
+
+    // Activity modal handlers
+    if (els.activityModalBackdrop) {
+      els.activityBtn.addEventListener('click', () => openActivityModal());
+      els.activityModalCloseBtn.addEventListener('click', closeActivityModal);
+      els.activityModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === els.activityModalBackdrop) closeActivityModal();
+      });
+      els.activityItem.addEventListener('change', renderActivity);
+      els.activityUser.addEventListener('change', renderActivity);
+      els.activityFrom.addEventListener('change', loadActivity);
+      els.activityTo.addEventListener('change', loadActivity);
+    }
+
     // Global escape key to close modals
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
+        // The conflict dialog sits on top of the edit modal; close just it.
+        if (els.conflictModalBackdrop && !els.conflictModalBackdrop.hidden) {
+          closeConflictModal();
+          return;
+        }
         if (els.editModalBackdrop && !els.editModalBackdrop.hidden) {
           closeEditModal();
         }
         if (els.addModalBackdrop && !els.addModalBackdrop.hidden) {
           closeAddModal();
         }
+        if (els.movementModalBackdrop && !els.movementModalBackdrop.hidden) {
+          closeMovementModal();
+        }
+        if (els.activityModalBackdrop && !els.activityModalBackdrop.hidden) {
+          closeActivityModal();
+        }
+        if (els.useModalBackdrop && !els.useModalBackdrop.hidden) {
+          closeUseModal();
+        }
+        if (els.catalogModalBackdrop && !els.catalogModalBackdrop.hidden) {
+          closeCatalogModal();
+        }
+        if (
+          els.requisitionModalBackdrop &&
+          !els.requisitionModalBackdrop.hidden
+        ) {
+          closeRequisitionModal();
+        }
+        if (els.receiveModalBackdrop && !els.receiveModalBackdrop.hidden) {
+          closeReceiveModal();
+        }
+        if (els.importModalBackdrop && !els.importModalBackdrop.hidden) {
+          closeImportModal();
+        }
+        if (els.syncModalBackdrop && !els.syncModalBackdrop.hidden) {
+          closeSyncModal();
+        }
+        if (els.branchModalBackdrop && !els.branchModalBackdrop.hidden) {
+          closeBranchModal();
+        }
+        if (els.recycleModalBackdrop && !els.recycleModalBackdrop.hidden) {
+          closeRecycleModal();
+        }
+        if (els.discardModalBackdrop && !els.discardModalBackdrop.hidden) {
+          closeDiscardModal();
+        }
+        if (els.digestModalBackdrop && !els.digestModalBackdrop.hidden) {
+          closeDigestModal();
+        }
+        if (els.reportsModalBackdrop && !els.reportsModalBackdrop.hidden) {
+          closeReportsModal();
+        }
+        if (els.notificationsModalBackdrop && !els.notificationsModalBackdrop.hidden) {
+          closeNotificationsModal();
+        }
+        if (els.forecastModalBackdrop && !els.forecastModalBackdrop.hidden) {
+          closeForecastModal();
+        }
+        if (els.valuationModalBackdrop && !els.valuationModalBackdrop.hidden) {
+          closeValuationModal();
+        }
+        if (els.settingsModalBackdrop && !els.settingsModalBackdrop.hidden) {
+          closeSettingsModal();
+        }
+        if (els.wasteModalBackdrop && !els.wasteModalBackdrop.hidden) {
+          closeWasteModal();
+        }
+        if (els.transferModalBackdrop && !els.transferModalBackdrop.hidden) {
+          closeTransferModal();
+        }
       }
     });
 
@@ -918,20 +9589,75 @@ const UI = (() => {
     }
   }
 
-  function render() {
+  // Callers do not wait for this, so every failure is caught here. A
+  // forecast that cannot be loaded leaves the last one in place.
+  async function render() {
+    try {
+      await refreshForecast();
+    } catch (err) {
+      console.error('Failed to load usage forecast', err);
+    }
     renderTable();
     renderAlerts();
+    try {
+      await Promise.all([refreshCharts(), refreshNotifications()]);
+    } catch (err) {
+      console.error('Unexpected error refreshing charts and notifications', err);
+    }
+  }
+
+  // Hides the controls the signed-in role may not use. The repository
+  // refuses those writes anyway; this keeps people from running into it.
+  function applyPermissions() {
+    const allow = (el, action) => {
+      if (el) el.hidden = !Permissions.can(action);
+    };
+    allow(els.fabAddItem, 'item.create');
+    allow(els.useReagentBtn, 'stock.move');
+    allow(els.receiveBtn, 'delivery.receive');
+    allow(els.catalogBtn, 'catalog.manage');
+    allow(els.recycleBinBtn, 'item.delete');
+    allow(els.settingsBtn, 'settings.manage');
+    allow(els.importCsvBtn, 'item.import');
+    allow(els.generateRequisitionBtn, 'requisition.edit');
+    allow(els.requisitionSaveBtn, 'requisition.edit');
+    allow(els.transferForm, 'transfer.manage');
+
+    const adjustOption = els.movementType.querySelector('option[value="adjust"]');
+    if (adjustOption) adjustOption.disabled = !Permissions.can('stock.adjust');
+    const approvedOption = els.requisitionStatus.querySelector(
+      'option[value="approved"]'
+    );
+    if (approvedOption) {
+      approvedOption.disabled = !Permissions.can('requisition.approve');
+    }
   }
 
   async function init() {
     cacheDom();
+    applyPermissions();
+    InventoryRepository.onPermissionDenied((message) => alert(message));
+    InventoryRepository.onSyncChange(renderSyncStatus);
+    Settings.setSettings(await InventoryRepository.loadSettings());
+    showCurrency();
+    applyMailSettings();
+    Catalog.setCatalog(await InventoryRepository.loadCatalog());
+    Catalog.setReorderLevels(await InventoryRepository.loadReorderLevels());
+    ExpiryTiers.setRules(await InventoryRepository.loadExpiryTiers());
     state.items = await InventoryRepository.initializeWithSampleDataIfEmpty();
+    populateCategorySelects();
+    populateExpiryFilter();
+    notificationWatch = await InventoryRepository.loadNotificationWatch();
+    notifications = await InventoryRepository.loadNotifications();
     initCategoryItemOptions();
     bindEvents();
     render();
+    InventoryRepository.subscribe(handleLiveUpdate);
     if (els.yearSpan) {
       els.yearSpan.textContent = String(new Date().getFullYear());
     }
+    // Changes queued in an earlier offline session go up as soon as we can.
+    await handleConnectionChange();
   }
 
   return { init };
@@ -941,15 +9667,73 @@ const UI = (() => {
 // Bootstrap with auth guard
 // ===============================
 
+// getUser() asks the auth server; offline, fall back to the session kept in
+// local storage so the cached inventory stays reachable.
+async function getSignedInUser(supabase) {
+  if (navigator.onLine) return supabase.auth.getUser();
+  const { data, error } = await supabase.auth.getSession();
+  return { data: { user: data && data.session ? data.session.user : null }, error };
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js').catch((err) => {
+    console.error('Failed to register service worker', err);
+  });
+}
+
+// `?storage=local` or `?storage=memory` (or window.INVENTORY_STORAGE) runs
+// the app without Supabase, e.g. for training; so does a page with no
+// Supabase client configured.
+function chooseStorageAdapter() {
+  const requested =
+    new URLSearchParams(window.location.search).get('storage') ||
+    window.INVENTORY_STORAGE;
+  if (requested === 'memory') return StorageAdapters.memory();
+  if (requested === 'local') return StorageAdapters.local();
+  if (!window.supabaseClient) {
+    console.warn('No Supabase client configured; using local browser storage');
+    return StorageAdapters.local();
+  }
+  return StorageAdapters.supabase(window.supabaseClient);
+}
+
+function showRole() {
+  const roleLabel = document.getElementById('roleLabel');
+  if (roleLabel) roleLabel.textContent = Roles[Permissions.currentRole()];
+}
+
+// Without Supabase there is no sign-in; everyone works in one training
+// branch, as an administrator unless `?role=` asks to try another role.
+async function startLocalSession(adapter) {
+  USER_BRANCH = 'training';
+  const role = new URLSearchParams(window.location.search).get('role');
+  CURRENT_USER = {
+    id: 'local-user',
+    email: 'trainee@local',
+    role: role ? Permissions.normalizeRole(role) : 'admin',
+  };
+  const branchLabel = document.getElementById('branchLabel');
+  if (branchLabel) {
+    branchLabel.textContent = `TRAINING Branch · ${adapter.label}`;
+  }
+  showRole();
+  const logoutBtn = document.getElementById('logoutBtn');
+  if (logoutBtn) logoutBtn.hidden = true;
+  await UI.init();
+}
+
 async function bootstrap() {
-  const supabase = window.supabaseClient;
-  if (!supabase) {
-    await UI.init();
+  const adapter = chooseStorageAdapter();
+  InventoryRepository.useAdapter(adapter);
+  if (!adapter.remote) {
+    await startLocalSession(adapter);
     return;
   }
+  const supabase = window.supabaseClient;
 
   try {
-   const { data, error } = await supabase.auth.getUser();
+   const { data, error } = await getSignedInUser(supabase);
 
 if (error || !data || !data.user) {
   window.location.href = 'login.html';
@@ -957,6 +9741,12 @@ if (error || !data || !data.user) {
 }
 
 USER_BRANCH = data.user.user_metadata.branch || "sogod";
+CURRENT_USER = {
+  id: data.user.id,
+  email: data.user.email || '',
+  role: await InventoryRepository.loadRole(data.user.id),
+};
+showRole();
 
 // Show branch in header
 const branchLabel = document.getElementById("branchLabel");
@@ -988,5 +9778,6 @@ USER_BRANCH = data.user.user_metadata.branch || "sogod";
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+  registerServiceWorker();
   bootstrap();
 });
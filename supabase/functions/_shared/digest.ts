@@ -0,0 +1,271 @@
+// ===============================
+// North Med Diagnostics
+// Expiry and stock digest, server side
+// ===============================
+
+// The scheduled job's copy of the digest rules in script.js
+// (`DateUtils.classifyExpiry`, `ExpiryTiers.forItem`,
+// `InventoryService.digest` and `DigestService.render`), so the mail a
+// subscriber gets matches the preview in the app. Change them together.
+//
+// Dates are ISO calendar days (YYYY-MM-DD) in the branch's time zone; the
+// function runs in UTC.
+
+// Digests go out from this hour of the day, in DIGEST_TIME_ZONE.
+export const SEND_HOUR = 7;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const TIERS = [
+  { code: 'critical', label: 'Critical' },
+  { code: 'warning', label: 'Warning' },
+  { code: 'watch', label: 'Watch' },
+];
+const DEFAULT_DAYS: Record<string, number> = { critical: 0, warning: 90, watch: 0 };
+
+export interface Subscription {
+  branch: string;
+  user_id: string;
+  email: string;
+  frequency: string;
+  weekday: number | null;
+  last_sent_at: string | null;
+}
+
+// Calendar date and hour of `now` in `timeZone`.
+export function localTime(now: Date, timeZone: string) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    hour: Number(parts.hour),
+    weekday: new Date(`${date}T00:00:00Z`).getUTCDay(),
+  };
+}
+
+function addDays(isoDate: string, days: number) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + Number(days));
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(from: string, to: string) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+function format(isoDate: string) {
+  if (!isoDate) return '';
+  const [year, month, day] = isoDate.slice(0, 10).split('-');
+  return `${day}/${month}/${year}`;
+}
+
+export function escapeHtml(value: unknown) {
+  return String(value ?? '').replace(
+    /[&<>"']/g,
+    (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch] as string
+  );
+}
+
+// Daily digests go out once a day, weekly ones on the chosen weekday (or
+// as soon as possible once a week has been missed).
+export function isDue(sub: Subscription, now: Date, timeZone: string) {
+  const local = localTime(now, timeZone);
+  if (sub.frequency === 'off' || local.hour < SEND_HOUR) return false;
+  const weekday = sub.weekday == null ? 1 : Number(sub.weekday);
+  if (!sub.last_sent_at) return sub.frequency === 'daily' || local.weekday === weekday;
+  const last = new Date(sub.last_sent_at);
+  if (localTime(last, timeZone).date === local.date) return false;
+  if (sub.frequency === 'daily') return true;
+  return local.weekday === weekday || now.getTime() - last.getTime() >= 7 * MS_PER_DAY;
+}
+
+// The period a digest covers: since the last one, or one period back.
+export function since(sub: Subscription, now: Date) {
+  if (sub.last_sent_at) return new Date(sub.last_sent_at);
+  const days = sub.frequency === 'weekly' ? 7 : 1;
+  return new Date(now.getTime() - days * MS_PER_DAY);
+}
+
+// A branch's expiry tier rules (rows of inventory_expiry_tiers), resolved
+// item rule, then category rule, then branch default, then DEFAULT_DAYS.
+export function tiersFor(rules: Record<string, unknown>[], category: string, itemName: string) {
+  const rule = (c: string, i: string) =>
+    rules.find((r) => (r.category || '') === c && (r.item_name || '') === i) || null;
+  const chain = [
+    category && itemName ? rule(category, itemName) : null,
+    category ? rule(category, '') : null,
+    rule('', ''),
+  ];
+  return TIERS.map(({ code, label }) => {
+    const found = chain.find((r) => r && r[`${code}_days`] != null);
+    return {
+      code,
+      label,
+      days: found ? Number(found[`${code}_days`]) : DEFAULT_DAYS[code],
+    };
+  });
+}
+
+// The earlier of the printed expiry and the open date plus on-board
+// stability, classified against the lot's tiers.
+function classifyExpiry(
+  lot: Record<string, any>,
+  stabilityDays: number,
+  tiers: { code: string; label: string; days: number }[],
+  today: string
+) {
+  const printed = lot.expiry_date ? String(lot.expiry_date).slice(0, 10) : '';
+  const openExpiry =
+    lot.date_opened && stabilityDays > 0
+      ? addDays(String(lot.date_opened).slice(0, 10), stabilityDays)
+      : '';
+  const date = openExpiry && (!printed || openExpiry < printed) ? openExpiry : printed;
+  if (!date) return { code: 'none', days: null, date: '' };
+  const days = daysBetween(today, date);
+  if (days < 0) return { code: 'expired', days, date };
+  const tier = tiers.find((t) => t.days > 0 && days <= t.days);
+  if (tier) return { code: 'warning', tier, days, date };
+  return { code: 'good', days, date };
+}
+
+// What the digest covering `from` (an ISO date) until `today` reports.
+// `lots` are inventory_items rows; `stability` maps "category::item" to
+// on-board stability days; `discarded` holds ids of lots emptied by a
+// discard, which no longer count.
+export function summarize(
+  lots: Record<string, any>[],
+  { rules, stability, discarded, from, today }: {
+    rules: Record<string, unknown>[];
+    stability: Map<string, number>;
+    discarded: Set<string>;
+    from: string;
+    today: string;
+  }
+) {
+  const result = {
+    newlyExpired: [] as { lot: Record<string, any>; info: any }[],
+    enteringWarning: [] as { lot: Record<string, any>; info: any }[],
+    outOfStock: [] as Record<string, any>[],
+    zeroQuantity: [] as Record<string, any>[],
+  };
+  lots.forEach((lot) => {
+    if (lot.status === 'Discarded' || discarded.has(lot.id)) return;
+    if (lot.status === 'Out of Stock') {
+      result.outOfStock.push(lot);
+      return;
+    }
+    if (Number(lot.quantity) === 0) {
+      result.zeroQuantity.push(lot);
+      return;
+    }
+    const tiers = tiersFor(rules, lot.category || '', lot.item_name);
+    const info = classifyExpiry(
+      lot,
+      stability.get(`${lot.category || ''}::${lot.item_name}`) || 0,
+      tiers,
+      today
+    );
+    if (info.code === 'expired' && info.date >= from) {
+      result.newlyExpired.push({ lot, info });
+    }
+    if (info.code === 'warning') {
+      const entered = addDays(info.date, -info.tier.days);
+      if (entered > from && entered <= today) {
+        result.enteringWarning.push({ lot, info });
+      }
+    }
+  });
+  result.enteringWarning.sort((a, b) => a.info.days - b.info.days);
+  return result;
+}
+
+function lotLabel(lot: Record<string, any>) {
+  return [lot.item_name, lot.lot_number ? `lot ${lot.lot_number}` : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Subject, HTML and plain-text bodies for one branch's digest.
+export function render(
+  summary: ReturnType<typeof summarize>,
+  { branch, from, to }: { branch: string; from: string; to: string }
+) {
+  const parts = [
+    {
+      title: 'Newly expired',
+      columns: ['Item', 'Expired', 'Qty'],
+      rows: summary.newlyExpired.map(({ lot, info }) => [
+        lotLabel(lot),
+        format(info.date),
+        lot.quantity,
+      ]),
+    },
+    {
+      title: 'Entering an expiry tier',
+      columns: ['Item', 'Tier', 'Expires', 'Days Left', 'Qty'],
+      rows: summary.enteringWarning.map(({ lot, info }) => [
+        lotLabel(lot),
+        info.tier.label,
+        format(info.date),
+        info.days,
+        lot.quantity,
+      ]),
+    },
+    {
+      title: 'Out of stock',
+      columns: ['Item', 'Category'],
+      rows: summary.outOfStock.map((lot) => [lotLabel(lot), lot.category]),
+    },
+    {
+      title: 'Zero quantity',
+      columns: ['Item', 'Category', 'Status'],
+      rows: summary.zeroQuantity.map((lot) => [lotLabel(lot), lot.category, lot.status]),
+    },
+  ];
+  const period = `${format(from)} – ${format(to)}`;
+  const count = parts.reduce((sum, p) => sum + p.rows.length, 0);
+  const name = String(branch).toUpperCase();
+  const subject = `${name} inventory digest: ${summary.newlyExpired.length} expired, ${
+    summary.enteringWarning.length
+  } expiring, ${summary.outOfStock.length + summary.zeroQuantity.length} out of stock`;
+
+  const html = [
+    `<h2>${escapeHtml(name)} branch inventory digest</h2>`,
+    `<p>${escapeHtml(period)}</p>`,
+    ...parts.map((p) =>
+      p.rows.length
+        ? `<h3>${escapeHtml(p.title)} (${p.rows.length})</h3>` +
+          '<table border="1" cellpadding="4" cellspacing="0">' +
+          `<tr>${p.columns.map((c) => `<th align="left">${escapeHtml(c)}</th>`).join('')}</tr>` +
+          p.rows
+            .map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`)
+            .join('') +
+          '</table>'
+        : `<h3>${escapeHtml(p.title)}</h3><p>None.</p>`
+    ),
+  ].join('\n');
+
+  const text = [
+    `${name} branch inventory digest`,
+    period,
+    ...parts.map((p) =>
+      [
+        '',
+        `${p.title} (${p.rows.length})`,
+        ...(p.rows.length ? p.rows.map((r) => `- ${r.join(' | ')}`) : ['None.']),
+      ].join('\n')
+    ),
+  ].join('\n');
+
+  return { subject, html, text, empty: count === 0 };
+}
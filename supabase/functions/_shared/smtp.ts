@@ -0,0 +1,69 @@
+// ===============================
+// North Med Diagnostics
+// SMTP relay shared by the mail Edge Functions
+// ===============================
+
+// The SMTP account comes from the function secrets:
+//
+//   supabase secrets set \
+//     SMTP_HOST=smtp.example.com \
+//     SMTP_PORT=465 \
+//     SMTP_USERNAME=inventory@example.com \
+//     SMTP_PASSWORD=... \
+//     SMTP_FROM="North Med Inventory <inventory@example.com>"
+//
+// SMTP_PORT defaults to 465 (implicit TLS); set SMTP_TLS=false for a
+// server that only offers STARTTLS on 587 or plain SMTP on 25.
+import { SMTPClient } from 'https://deno.land/x/denomailer@1.6.0/mod.ts';
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  html: string;
+  text: string;
+}
+
+function config() {
+  const hostname = Deno.env.get('SMTP_HOST') || '';
+  const from = Deno.env.get('SMTP_FROM') || Deno.env.get('SMTP_USERNAME') || '';
+  if (!hostname || !from) return null;
+  const username = Deno.env.get('SMTP_USERNAME') || '';
+  return {
+    from,
+    connection: {
+      hostname,
+      port: Number(Deno.env.get('SMTP_PORT') || 465),
+      tls: Deno.env.get('SMTP_TLS') !== 'false',
+      auth: username
+        ? { username, password: Deno.env.get('SMTP_PASSWORD') || '' }
+        : undefined,
+    },
+  };
+}
+
+// Whether the SMTP secrets are set; without them nothing can be sent.
+export function smtpConfigured(): boolean {
+  return config() !== null;
+}
+
+// Sends one message. Resolves to { error } like the app's mail transports.
+export async function sendMail(message: MailMessage): Promise<{ error: string | null }> {
+  const settings = config();
+  if (!settings) return { error: 'SMTP is not configured (SMTP_HOST / SMTP_FROM)' };
+  const client = new SMTPClient({ connection: settings.connection });
+  try {
+    await client.send({
+      from: settings.from,
+      to: message.to,
+      subject: message.subject,
+      content: message.text,
+      html: message.html,
+    });
+    return { error: null };
+  } catch (err) {
+    console.error(`Failed to send mail to ${message.to}`, err);
+    return { error: err instanceof Error ? err.message : String(err) };
+  } finally {
+    await client.close();
+  }
+}
@@ -0,0 +1,143 @@
+// ===============================
+// North Med Diagnostics
+// send-digests Edge Function
+// ===============================
+
+// The scheduled expiry and stock digest. pg_cron calls this every hour
+// (supabase/migrations/*_schedule_digests.sql) with the service role key;
+// it sends every subscription that is due, whether or not anyone has the
+// dashboard open. `last_sent_at` is claimed before sending, so overlapping
+// runs still send each digest once.
+//
+// Secrets: the SMTP account (see _shared/smtp.ts) and DIGEST_TIME_ZONE,
+// the branches' time zone for the 07:00 send time (default Asia/Manila).
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+import { sendMail, smtpConfigured } from '../_shared/smtp.ts';
+import { isDue, localTime, render, since, summarize, Subscription } from '../_shared/digest.ts';
+
+const DIGEST_TABLE = 'inventory_digest_subscriptions';
+const ITEMS_TABLE = 'inventory_items';
+const MOVEMENTS_TABLE = 'inventory_movements';
+const CATALOG_TABLE = 'inventory_catalog';
+const EXPIRY_TIERS_TABLE = 'inventory_expiry_tiers';
+
+function reply(status: number, body: Record<string, unknown>) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL') || '',
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+);
+
+// Moves `last_sent_at` from `from` to `to`; only one run can win that.
+async function claim(sub: Subscription, from: string | null, to: string | null) {
+  let query = supabase
+    .from(DIGEST_TABLE)
+    .update({ last_sent_at: to })
+    .eq('branch', sub.branch)
+    .eq('user_id', sub.user_id);
+  query = from ? query.eq('last_sent_at', from) : query.is('last_sent_at', null);
+  const { data, error } = await query.select('user_id');
+  if (error) {
+    console.error(`Failed to claim digest for ${sub.email}`, error);
+    return false;
+  }
+  return (data || []).length > 0;
+}
+
+// Lots, tier rules and emptied-by-discard lot ids for one branch.
+async function loadBranch(branch: string) {
+  const [lots, rules] = await Promise.all([
+    supabase.from(ITEMS_TABLE).select('*').eq('branch', branch).is('deleted_at', null),
+    supabase.from(EXPIRY_TIERS_TABLE).select('*').eq('branch', branch),
+  ]);
+  if (lots.error || rules.error) throw lots.error || rules.error;
+
+  // A lot emptied by a discard reads as Discarded in the app (StockLedger).
+  const emptyIds = (lots.data || []).filter((l) => Number(l.quantity) === 0).map((l) => l.id);
+  const discarded = new Set<string>();
+  if (emptyIds.length) {
+    const { data, error } = await supabase
+      .from(MOVEMENTS_TABLE)
+      .select('item_id, movement_type, created_at')
+      .in('item_id', emptyIds)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    const last = new Map<string, string>();
+    (data || []).forEach((m) => last.set(m.item_id, m.movement_type));
+    last.forEach((type, id) => {
+      if (type === 'discard') discarded.add(id);
+    });
+  }
+  return { lots: lots.data || [], rules: rules.data || [], discarded };
+}
+
+Deno.serve(async (req) => {
+  const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (token !== Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) {
+    return reply(401, { error: 'Only the scheduler may run the digest job' });
+  }
+  // Without SMTP nothing can go out; leave every subscription unclaimed so
+  // it is sent once mail is set up.
+  if (!smtpConfigured()) {
+    return reply(503, { error: 'SMTP is not configured; no digests were sent' });
+  }
+
+  const timeZone = Deno.env.get('DIGEST_TIME_ZONE') || 'Asia/Manila';
+  const now = new Date();
+  const today = localTime(now, timeZone).date;
+
+  const { data: subs, error } = await supabase
+    .from(DIGEST_TABLE)
+    .select('*')
+    .neq('frequency', 'off');
+  if (error) {
+    console.error('Failed to load digest subscriptions', error);
+    return reply(500, { error: error.message });
+  }
+  const due = (subs || []).filter((s: Subscription) => s.email && isDue(s, now, timeZone));
+  if (!due.length) return reply(200, { sent: 0 });
+
+  const { data: catalog, error: catalogError } = await supabase
+    .from(CATALOG_TABLE)
+    .select('category, item_name, stability_days');
+  if (catalogError) {
+    console.error('Failed to load catalog', catalogError);
+    return reply(500, { error: catalogError.message });
+  }
+  const stability = new Map<string, number>(
+    (catalog || []).map((e) => [`${e.category || ''}::${e.item_name}`, Number(e.stability_days || 0)])
+  );
+
+  const branches = new Map<string, Awaited<ReturnType<typeof loadBranch>>>();
+  let sent = 0;
+  const failed: string[] = [];
+  for (const sub of due as Subscription[]) {
+    const sentAt = now.toISOString();
+    if (!(await claim(sub, sub.last_sent_at, sentAt))) continue;
+    try {
+      if (!branches.has(sub.branch)) branches.set(sub.branch, await loadBranch(sub.branch));
+      const { lots, rules, discarded } = branches.get(sub.branch)!;
+      const from = localTime(since(sub, now), timeZone).date;
+      const message = render(
+        summarize(lots, { rules, stability, discarded, from, today }),
+        { branch: sub.branch, from, to: today }
+      );
+      // A digest with nothing to report still counts as sent, so the next
+      // one covers only the time after it.
+      if (message.empty) continue;
+      const result = await sendMail({ to: sub.email, ...message });
+      if (result.error) throw new Error(result.error);
+      sent += 1;
+    } catch (err) {
+      console.error(`Failed to send digest to ${sub.email}`, err);
+      failed.push(sub.email);
+      await claim(sub, sentAt, sub.last_sent_at);
+    }
+  }
+  return reply(200, { sent, failed });
+});
@@ -0,0 +1,64 @@
+// ===============================
+// North Med Diagnostics
+// send-mail Edge Function
+// ===============================
+
+// The relay behind `MailTransports.smtp` in script.js: takes
+// { to, subject, html, text } and sends it over SMTP (see _shared/smtp.ts
+// for the secrets). A signed-in user may only mail their own address, so
+// the function cannot be used to send mail to anyone else; the service
+// role (the send-digests job) may mail any subscriber.
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+import { sendMail } from '../_shared/smtp.ts';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+function reply(status: number, body: Record<string, unknown>) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+  });
+}
+
+// The caller's e-mail address, '*' for the service role, or null.
+async function callerEmail(req: Request): Promise<string | null> {
+  const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!token) return null;
+  if (token === Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) return '*';
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') || '',
+    Deno.env.get('SUPABASE_ANON_KEY') || ''
+  );
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data.user) return null;
+  return data.user.email || null;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: CORS_HEADERS });
+  if (req.method !== 'POST') return reply(405, { error: 'Use POST' });
+
+  const caller = await callerEmail(req);
+  if (!caller) return reply(401, { error: 'Sign in to send mail' });
+
+  let message;
+  try {
+    message = await req.json();
+  } catch {
+    return reply(400, { error: 'Body must be JSON' });
+  }
+  const { to, subject, html, text } = message || {};
+  if (!to || !subject || !(html || text)) {
+    return reply(400, { error: 'to, subject and html or text are required' });
+  }
+  if (caller !== '*' && String(to).toLowerCase() !== caller.toLowerCase()) {
+    return reply(403, { error: 'You can only send mail to your own address' });
+  }
+
+  const { error } = await sendMail({ to, subject, html: html || '', text: text || '' });
+  return error ? reply(502, { error }) : reply(200, { sent: true });
+});
@@ -0,0 +1,30 @@
+-- Runs the send-digests Edge Function at the top of every hour; the
+-- function works out which subscriptions are due (07:00 in the branches'
+-- time zone, daily or on the chosen weekday).
+--
+-- The call needs the project URL and the service role key, kept in Vault.
+-- Store them once per project before applying this migration:
+--
+--   select vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   select vault.create_secret('<service role key>', 'service_role_key');
+
+create extension if not exists pg_cron;
+create extension if not exists pg_net;
+
+select cron.schedule(
+  'send-digests',
+  '0 * * * *',
+  $$
+  select net.http_post(
+    url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url')
+      || '/functions/v1/send-digests',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (
+        select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key'
+      )
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
@@ -0,0 +1,30 @@
+-- The role each account works under (Permissions in script.js). An account
+-- without a row here gets the viewer role, so every account that existed
+-- before roles is given one: they keep the full access they had, and an
+-- administrator narrows it from there, e.g.
+--
+--   update public.inventory_profiles set role = 'technician'
+--   where user_id = (select id from auth.users where email = '<address>');
+--
+-- Accounts created after this migration start as viewers until given a role.
+
+create table if not exists public.inventory_profiles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  role text not null default 'viewer'
+    check (role in ('admin', 'supervisor', 'technician', 'viewer')),
+  created_at timestamptz not null default now()
+);
+
+alter table public.inventory_profiles enable row level security;
+
+-- Users read their own role; only the service role (the dashboard, SQL)
+-- changes one.
+drop policy if exists "Users read their own profile" on public.inventory_profiles;
+create policy "Users read their own profile"
+  on public.inventory_profiles for select
+  to authenticated
+  using (user_id = auth.uid());
+
+insert into public.inventory_profiles (user_id, role)
+select id, 'admin' from auth.users
+on conflict (user_id) do nothing;
@@ -0,0 +1,82 @@
+// Service worker: keeps the app shell (pages, script, styles and CDN
+// libraries) available without a network. Inventory data does not go
+// through here; script.js keeps its own IndexedDB copy, and Supabase
+// requests always go straight to the network.
+
+const SHELL_CACHE = 'north-med-shell-v3';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'login.html',
+  'style.css',
+  'script.js',
+  'logo.png',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/jspdf-autotable@3.8.2/dist/jspdf.plugin.autotable.min.js',
+  'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+function isShellRequest(request) {
+  const url = new URL(request.url);
+  return (
+    url.origin === self.location.origin ||
+    SHELL_FILES.includes(request.url)
+  );
+}
+
+// Network first so a deploy is picked up on the next online visit; the
+// cached copy is only used when the network fails.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !isShellRequest(request)) return;
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches
+          .match(request, { ignoreSearch: true })
+          .then(
+            (cached) =>
+              cached ||
+              (request.mode === 'navigate'
+                ? caches.match('index.html')
+                : Response.error())
+          )
+      )
+  );
+});
@@ -0,0 +1,259 @@
+// ===============================
+// North Med Diagnostics
+// Storage adapter tests
+// ===============================
+
+// The local and in-memory adapters stand in for Supabase by emulating the
+// part of the supabase-js query builder InventoryRepository uses. These
+// tests pin that emulation down, and run the repository itself over the
+// memory adapter, so a new query method or a repository change that the
+// emulation does not follow fails here rather than in a training session.
+//
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// script.js is a classic browser script; evaluate it in a sandbox with just
+// enough of `window` and `document` for its top level, and hand back the
+// modules under test.
+function loadApp() {
+  const storage = new Map();
+  const context = vm.createContext({
+    console,
+    URL,
+    Intl,
+    setTimeout,
+    clearTimeout,
+    navigator: { onLine: true },
+    document: { addEventListener() {}, getElementById: () => null },
+    window: {
+      localStorage: {
+        getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value)),
+      },
+    },
+  });
+  const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+  return vm.runInContext(
+    `${source}
+    ({
+      StorageAdapters,
+      InventoryRepository,
+      InventoryService,
+      Catalog,
+      setSession(branch, user) {
+        USER_BRANCH = branch;
+        CURRENT_USER = user;
+      },
+    });`,
+    context
+  );
+}
+
+// Values built inside the sandbox have its own Array and Object
+// prototypes; compare them as plain data.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const ADMIN = { id: 'u-admin', email: 'admin@example.com', role: 'admin' };
+
+function repositoryOver(app, adapter, user = ADMIN) {
+  app.setSession('training', user);
+  app.InventoryRepository.useAdapter(adapter);
+  return app.InventoryRepository;
+}
+
+function lot(app, overrides = {}) {
+  return app.InventoryService.createItem({
+    category: 'Chemistry',
+    itemName: 'Glucose',
+    lotNumber: 'L1',
+    expiryDate: '2030-01-01',
+    quantity: 10,
+    ...overrides,
+  });
+}
+
+test('select filters, orders, limits and projects rows', async () => {
+  const { StorageAdapters } = loadApp();
+  const { client } = StorageAdapters.memory({
+    rows: [
+      { id: 'a', branch: 'x', n: 3, note: null },
+      { id: 'b', branch: 'x', n: 1, note: 'kept' },
+      { id: 'c', branch: 'y', n: 2, note: null },
+    ],
+  });
+
+  const { data } = await client
+    .from('rows')
+    .select('id, n')
+    .eq('branch', 'x')
+    .order('n', { ascending: false })
+    .limit(5);
+  assert.deepEqual(plain(data), [{ id: 'a', n: 3 }, { id: 'b', n: 1 }]);
+
+  const ranged = await client.from('rows').select('id').gte('n', 2).lte('n', 3);
+  assert.deepEqual(plain(ranged.data.map((r) => r.id)), ['a', 'c']);
+
+  const unset = await client.from('rows').select('id').is('note', null);
+  assert.deepEqual(plain(unset.data.map((r) => r.id)), ['a', 'c']);
+
+  const one = await client.from('rows').select('*').eq('id', 'b').maybeSingle();
+  assert.equal(one.data.note, 'kept');
+  const none = await client.from('rows').select('*').eq('id', 'z').maybeSingle();
+  assert.equal(none.data, null);
+});
+
+test('insert refuses duplicate ids and upsert merges on the conflict columns', async () => {
+  const { StorageAdapters } = loadApp();
+  const { client } = StorageAdapters.memory();
+
+  assert.equal((await client.from('t').insert({ id: 1, v: 'a' })).error, null);
+  const clash = await client.from('t').insert([{ id: 1, v: 'b' }]);
+  assert.equal(clash.error.code, '23505');
+
+  await client
+    .from('levels')
+    .upsert([{ branch: 'x', item: 'g', min: 1, note: 'first' }], { onConflict: 'branch,item' });
+  await client
+    .from('levels')
+    .upsert([{ branch: 'x', item: 'g', min: 4 }], { onConflict: 'branch,item' });
+  const { data } = await client.from('levels').select('*');
+  assert.deepEqual(plain(data), [{ branch: 'x', item: 'g', min: 4, note: 'first' }]);
+});
+
+test('update returns the changed rows only when followed by select', async () => {
+  const { StorageAdapters } = loadApp();
+  const { client } = StorageAdapters.memory({
+    rows: [{ id: 'a', v: 1, stamp: 's1' }],
+  });
+
+  const silent = await client.from('rows').update({ v: 2 }).eq('id', 'a');
+  assert.equal(silent.data, null);
+
+  // The optimistic-concurrency pattern: no rows back means someone else won.
+  const stale = await client
+    .from('rows')
+    .update({ v: 3, stamp: 's2' })
+    .eq('id', 'a')
+    .eq('stamp', 'old')
+    .select();
+  assert.deepEqual(plain(stale.data), []);
+
+  const fresh = await client
+    .from('rows')
+    .update({ v: 3, stamp: 's2' })
+    .eq('id', 'a')
+    .eq('stamp', 's1')
+    .select('id');
+  assert.equal(fresh.data.length, 1);
+
+  await client.from('rows').delete().eq('id', 'a');
+  assert.deepEqual(plain((await client.from('rows').select('*')).data), []);
+});
+
+test('the local adapter keeps its tables in localStorage', async () => {
+  const { StorageAdapters } = loadApp();
+  await StorageAdapters.local('test').client.from('t').insert({ id: 1 });
+  const { data } = await StorageAdapters.local('test').client.from('t').select('*');
+  assert.deepEqual(plain(data), [{ id: 1 }]);
+});
+
+test('the repository loads, upserts, deletes, restores and purges lots', async () => {
+  const app = loadApp();
+  const repo = repositoryOver(app, app.StorageAdapters.memory());
+
+  const item = lot(app);
+  let items = await repo.upsert(item);
+  assert.deepEqual(plain(items.map((i) => [i.lotNumber, i.quantity])), [['L1', 10]]);
+
+  items = await repo.remove(item.id, 'Broken vial');
+  assert.equal(items.length, 0);
+  const deleted = await repo.loadDeleted();
+  assert.equal(deleted[0].deleteReason, 'Broken vial');
+
+  items = await repo.restore(item.id);
+  assert.equal(items.length, 1);
+
+  await repo.remove(item.id);
+  await repo.purge(item.id);
+  assert.equal((await repo.loadDeleted()).length, 0);
+});
+
+test('stock movements go through the ledger and count as a change to the lot', async () => {
+  const app = loadApp();
+  const repo = repositoryOver(app, app.StorageAdapters.memory());
+
+  const [item] = await repo.upsert(lot(app));
+  // `updated_at` has millisecond resolution; step past the insert's.
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const consume = app.InventoryService.createMovement(item, { type: 'consume', amount: 3 });
+  const [after] = await repo.recordMovement(item, consume);
+  assert.equal(after.quantity, 7);
+  assert.notEqual(after.updatedAt, item.updatedAt);
+
+  // An edit started before the movement must not write the old quantity back.
+  const { conflict } = await repo.saveEdit({ ...item, brand: 'Other' });
+  assert.equal(conflict.server.quantity, 7);
+});
+
+test('catalog entries are saved and read back through the adapter', async () => {
+  const app = loadApp();
+  const repo = repositoryOver(app, app.StorageAdapters.memory());
+
+  const seeded = await repo.loadCatalog();
+  app.Catalog.setCatalog(seeded);
+  const entry = app.Catalog.createEntry({
+    category: seeded.categories[0].name,
+    itemName: 'Test Reagent',
+    stabilityDays: 30,
+  });
+  const catalog = await repo.saveCatalogEntry(entry);
+  const saved = catalog.items.find((e) => e.itemName === 'Test Reagent');
+  assert.equal(saved.stabilityDays, 30);
+});
+
+test('adapters without a server report no Edge Functions', async () => {
+  const app = loadApp();
+  const repo = repositoryOver(app, app.StorageAdapters.memory());
+  assert.equal(repo.hasFunctions(), false);
+  const { error } = await repo.invokeFunction('send-mail', {});
+  assert.match(error.message, /Supabase/);
+});
+
+test('transfers land on the matching lot and report a second receipt', async () => {
+  const app = loadApp();
+  const adapter = app.StorageAdapters.memory();
+  const { InventoryService } = app;
+
+  const repo = repositoryOver(app, adapter);
+  app.setSession('north', ADMIN);
+  await repo.upsert(lot(app, { quantity: 3 }));
+  app.setSession('south', ADMIN);
+  const [source] = await repo.upsert(lot(app, { lotNumber: 'l1 ' }));
+  const transfer = InventoryService.createTransfer(source, {
+    fromBranch: 'south',
+    toBranch: 'north',
+    quantity: 4,
+  });
+  const sent = await repo.sendTransfer(
+    transfer,
+    source,
+    InventoryService.transferMovement(source, transfer)
+  );
+  assert.equal(sent.error, null);
+
+  app.setSession('north', ADMIN);
+  const item = InventoryService.itemFromTransfer(transfer);
+  const received = await repo.receiveTransfer(transfer, item);
+  assert.equal(received.error, null);
+  assert.deepEqual(plain(received.items.map((i) => [i.lotNumber, i.quantity])), [['L1', 7]]);
+
+  const again = await repo.receiveTransfer(transfer, item);
+  assert.match(again.error.message, /already received/);
+  assert.equal(again.items[0].quantity, 7);
+});